@@ -18,7 +18,7 @@
 ║ • Batch processing with progress tracking                            ║
 ║ • Memory management and tensor cleanup                               ║
 ║ • Performance monitoring and adaptive quality                        ║
-║ • Style history tracking and replay                                  ║
+║ • Edit history panel (undo/redo steps)                               ║
 ║ • Web Worker integration for background processing                   ║
 ║                                                                      ║
 ║ Artistic Styles:                                                     ║
@@ -31,7 +31,8 @@
 ║ • Photorealistic: Enhanced realism with subtle artistic touch        ║
 ║                                                                      ║
 ║ Technical Features:                                                  ║
-║ • Convolution operations for texture synthesis                       ║
+║ • Feed-forward TF.js networks loaded from each style's modelUrl      ║
+║ • Convolution kernels as fallback when no network is hosted          ║
 ║ • Edge detection and enhancement algorithms                          ║
 ║ • Color space transformations and palette reduction                  ║
 ║ • Gaussian filtering and noise generation                            ║
@@ -55,11 +56,18 @@ class AdvancedStyleSystem {
     constructor(app) {
         this.app = app;
         this.models = new Map();
-        this.styleCache = new Map();
-        this.processingQueue = [];
+        this.processingQueue = new StyleJobQueue({ concurrency: app.settings.styleConcurrency });
+        this.previewController = null;
+        this.batchController = null;
+        this.processingWorker = null;
+        this.workerReady = false;
+        this.workerJobs = new Map();
+        this.nextJobId = 1;
+        this.modelLoader = null;
         this.isInitialized = false;
         
-        // Advanced style configurations
+        // Advanced style configurations; facePreservation is the default strength of the
+        // preserve-faces pass, higher for styles that distort faces the most
         this.styleConfigs = {
             vangogh: {
                 name: 'Van Gogh',
@@ -71,7 +79,8 @@ class AdvancedStyleSystem {
                     colorIntensity: { min: 0.5, max: 2.0, default: 1.2 },
                     swirling: { min: 0.0, max: 1.0, default: 0.7 }
                 },
-                processingIntensity: 'high'
+                processingIntensity: 'high',
+                facePreservation: 0.6
             },
             picasso: {
                 name: 'Picasso',
@@ -83,7 +92,8 @@ class AdvancedStyleSystem {
                     fragmentation: { min: 0.1, max: 1.0, default: 0.6 },
                     colorShift: { min: 0.0, max: 0.8, default: 0.4 }
                 },
-                processingIntensity: 'medium'
+                processingIntensity: 'medium',
+                facePreservation: 0.85
             },
             monet: {
                 name: 'Monet',
@@ -95,7 +105,8 @@ class AdvancedStyleSystem {
                     brushSoftness: { min: 0.5, max: 2.0, default: 1.3 },
                     colorBlending: { min: 0.3, max: 1.0, default: 0.7 }
                 },
-                processingIntensity: 'medium'
+                processingIntensity: 'medium',
+                facePreservation: 0.4
             },
             kandinsky: {
                 name: 'Kandinsky',
@@ -107,7 +118,8 @@ class AdvancedStyleSystem {
                     colorSaturation: { min: 1.0, max: 2.5, default: 1.8 },
                     patternComplexity: { min: 0.3, max: 1.0, default: 0.6 }
                 },
-                processingIntensity: 'high'
+                processingIntensity: 'high',
+                facePreservation: 0.8
             },
             hokusai: {
                 name: 'Hokusai',
@@ -119,7 +131,8 @@ class AdvancedStyleSystem {
                     wavePattern: { min: 0.0, max: 1.0, default: 0.5 },
                     colorReduction: { min: 0.3, max: 0.8, default: 0.5 }
                 },
-                processingIntensity: 'medium'
+                processingIntensity: 'medium',
+                facePreservation: 0.6
             },
             // New advanced styles
             neural_abstract: {
@@ -132,7 +145,8 @@ class AdvancedStyleSystem {
                     flow: { min: 0.0, max: 1.0, default: 0.4 },
                     emergence: { min: 0.2, max: 0.9, default: 0.5 }
                 },
-                processingIntensity: 'very-high'
+                processingIntensity: 'very-high',
+                facePreservation: 0.9
             },
             photorealistic: {
                 name: 'Photorealistic',
@@ -144,7 +158,8 @@ class AdvancedStyleSystem {
                     clarity: { min: 0.8, max: 1.5, default: 1.1 },
                     depth: { min: 0.5, max: 1.2, default: 0.8 }
                 },
-                processingIntensity: 'low'
+                processingIntensity: 'low',
+                facePreservation: 0.2
             }
         };
         
@@ -155,7 +170,8 @@ class AdvancedStyleSystem {
             'traditional-modern': { styles: ['hokusai', 'neural_abstract'], weights: [0.5, 0.5] }
         };
         
-        this.initializeAdvancedStyles();
+        // Settles once the models are loaded; custom styles register after this
+        this.ready = this.initializeAdvancedStyles();
     }
     
     // === INITIALIZATION ===
@@ -216,13 +232,26 @@ class AdvancedStyleSystem {
     }
     
     async loadStyleModels() {
-        const modelPromises = Object.entries(this.styleConfigs).map(async ([styleKey, config]) => {
+        const downloadProgress = new Map();
+        
+        if (typeof StyleModelLoader !== 'undefined') {
+            this.modelLoader = new StyleModelLoader({
+                baseUrl: this.getModelBaseUrl(),
+                onProgress: (styleKey, fraction) => {
+                    downloadProgress.set(styleKey, fraction);
+                    this.reportModelProgress(downloadProgress);
+                }
+            });
+        }
+        
+        // Custom styles bring their own model; a kernel model would replace it with the plain photo
+        const builtIn = Object.entries(this.styleConfigs).filter(([, config]) => !config.custom);
+        
+        const modelPromises = builtIn.map(async ([styleKey, config]) => {
             try {
-                // For demo purposes, create sophisticated processing functions
-                // In production, these would be actual TensorFlow.js models
                 const model = await this.createAdvancedStyleModel(styleKey, config);
                 this.models.set(styleKey, model);
-                console.log(`✅ Loaded style model: ${config.name}`);
+                console.log(`✅ Loaded style model: ${config.name} (${model.source})`);
             } catch (error) {
                 console.warn(`⚠️ Failed to load model for ${config.name}:`, error);
                 // Create fallback model
@@ -234,13 +263,51 @@ class AdvancedStyleSystem {
         console.log(`✅ Loaded ${this.models.size} style models`);
     }
     
+    getModelBaseUrl() {
+        // <meta name="style-models-base-url"> points the loader at self-hosted model files
+        return document.querySelector('meta[name="style-models-base-url"]')?.content.trim() || '';
+    }
+    
+    reportModelProgress(downloadProgress) {
+        const fractions = Array.from(downloadProgress.values());
+        const overall = fractions.reduce((sum, fraction) => sum + fraction, 0) / fractions.length;
+        
+        this.app.updateLoadingText(`Downloading style models... ${Math.round(overall * 100)}%`);
+        this.app.updateProgress(40 + overall * 20);
+    }
+    
+    async loadStyleNetwork(styleKey, config) {
+        if (!this.modelLoader) return null;
+        
+        try {
+            // Resolves to null when no model file is hosted for this style
+            return await this.modelLoader.load(styleKey, config);
+        } catch (error) {
+            console.warn(`⚠️ ${config.name} network rejected, using built-in kernels:`, error.message);
+            return null;
+        }
+    }
+    
     async createAdvancedStyleModel(styleKey, config) {
-        // Create a sophisticated style processing model
+        const network = await this.loadStyleNetwork(styleKey, config);
+        
         return {
             styleKey,
             config,
-            process: async (imageData, parameters) => {
-                return await this.processStyleAdvanced(imageData, styleKey, parameters);
+            network,
+            source: network ? 'network' : 'kernels',
+            process: async (imageData, parameters, intensity = this.app.settings.styleIntensity / 100) => {
+                if (network) {
+                    try {
+                        // The job's intensity, so pages with their own intensity render (and cache) as set
+                        return await this.modelLoader.run(network, imageData, { strength: intensity });
+                    } catch (error) {
+                        console.warn(`⚠️ ${config.name} inference failed, using built-in kernels:`, error);
+                    }
+                }
+                // Kernels have no strength of their own; intensity mixes them back toward the photo
+                const pixels = await this.processStyleAdvanced(imageData, styleKey, parameters);
+                return StyleFilters.mix(imageData.data, pixels, intensity);
             },
             blend: async (imageData, otherStyle, weight) => {
                 return await this.blendStyles(imageData, styleKey, otherStyle, weight);
@@ -255,8 +322,10 @@ class AdvancedStyleSystem {
         return {
             styleKey,
             config,
-            process: async (imageData, parameters) => {
-                return await this.processStyleBasic(imageData, styleKey, parameters);
+            network: null,
+            source: 'basic',
+            process: async (imageData, parameters, intensity) => {
+                return await this.processStyleBasic(imageData, styleKey, { ...parameters, intensity });
             },
             blend: async (imageData, otherStyle, weight) => {
                 return await this.blendStylesBasic(imageData, styleKey, otherStyle, weight);
@@ -652,33 +721,30 @@ class AdvancedStyleSystem {
     
     // === STYLE BLENDING ===
     
-    async blendStyles(imageData, style1, style2, weight) {
-        const model1 = this.models.get(style1);
-        const model2 = this.models.get(style2);
-        
-        if (!model1 || !model2) {
+    async blendStyles(imageData, style1, style2, weight, options = {}) {
+        // options: { parametersFor, intensity, signal } when blending a page's own style
+        if (!this.models.has(style1) || !this.models.has(style2)) {
             throw new Error('One or both styles not found');
         }
         
-        // Apply both styles
-        const result1 = await model1.process(imageData);
-        const result2 = await model2.process(imageData);
-        
-        // Blend results
-        const tensor1 = tf.browser.fromPixels(result1).div(255);
-        const tensor2 = tf.browser.fromPixels(result2).div(255);
-        
-        const blended = tensor1.mul(weight).add(tensor2.mul(1 - weight));
-        const result = blended.mul(255).clipByValue(0, 255);
+        // Both styles render in one worker round trip when possible; a cancelled batch stops it
+        const results = await this.renderStyles(imageData, [style1, style2], options.parametersFor, {
+            intensity: options.intensity,
+            signal: options.signal
+        });
+        const result1 = results.get(style1);
+        const result2 = results.get(style2);
         
-        const blendedImageData = await tf.browser.toPixels(result);
+        if (!result1 || !result2) {
+            throw new Error('Could not render both styles for blending');
+        }
         
-        tensor1.dispose();
-        tensor2.dispose();
-        blended.dispose();
-        result.dispose();
+        const blended = new Uint8ClampedArray(result1.length);
+        for (let i = 0; i < blended.length; i++) {
+            blended[i] = result1[i] * weight + result2[i] * (1 - weight);
+        }
         
-        return blendedImageData;
+        return blended;
     }
     
     // === STYLE VECTOR GENERATION ===
@@ -715,6 +781,19 @@ class AdvancedStyleSystem {
                     <!-- Dynamic parameter controls will be inserted here -->
                 </div>
                 
+                <div class="face-preservation-section">
+                    <h4 class="control-section-title">Faces</h4>
+                    <label class="face-preservation-toggle">
+                        <input type="checkbox" id="preserve-faces">
+                        Preserve faces
+                    </label>
+                    <div class="parameter-control">
+                        <label for="face-strength" class="parameter-label">Face Strength</label>
+                        <input type="range" id="face-strength" class="range-input" min="0" max="100" value="60">
+                        <span class="parameter-value" id="face-strength-value">60%</span>
+                    </div>
+                </div>
+                
                 <div class="style-blending-section">
                     <h4 class="control-section-title">Style Blending</h4>
                     <div class="blending-controls">
@@ -752,13 +831,31 @@ class AdvancedStyleSystem {
         // Style parameter updates
         document.addEventListener('change', (e) => {
             if (e.target.matches('.style-parameter-input')) {
-                this.updateStyleParameters();
+                this.updateStyleParameters(`Adjust ${this.formatParameterName(e.target.dataset.param).toLowerCase()}`);
             }
         });
         
-        // Blend weight control
+        // Face preservation: the strength applies on release, like the style parameters
+        document.getElementById('preserve-faces').addEventListener('change', (e) => {
+            this.app.updateCurrentPageStyle({ label: e.target.checked ? 'Preserve faces' : 'Stop preserving faces' });
+        });
+        
+        document.getElementById('face-strength').addEventListener('input', (e) => {
+            document.getElementById('face-strength-value').textContent = `${e.target.value}%`;
+        });
+        
+        document.getElementById('face-strength').addEventListener('change', () => {
+            if (document.getElementById('preserve-faces').checked) {
+                this.app.updateCurrentPageStyle({ label: 'Adjust face strength' });
+            }
+        });
+        
+        // Blend weight control: the label follows the slider, the page renders on release
         document.getElementById('blend-weight').addEventListener('input', (e) => {
             document.getElementById('blend-weight-value').textContent = `${e.target.value}%`;
+        });
+        
+        document.getElementById('blend-weight').addEventListener('change', () => {
             this.updateStyleBlending();
         });
         
@@ -776,11 +873,13 @@ class AdvancedStyleSystem {
     }
     
     updateStyleParameterControls(styleKey) {
-        const config = this.styleConfigs[styleKey];
-        if (!config) return;
-        
         const container = document.getElementById('style-parameters');
         container.innerHTML = '';
+        this.setFaceStrengthControl(this.getFaceStrength(styleKey));
+        
+        // Styles without parameters (the original photo) show none
+        const config = this.styleConfigs[styleKey];
+        if (!config) return;
         
         Object.entries(config.parameters).forEach(([paramName, paramConfig]) => {
             const controlHTML = `
@@ -808,64 +907,367 @@ class AdvancedStyleSystem {
     // === PROCESSING PIPELINE ===
     
     setupProcessingPipeline() {
-        this.processingWorker = new Worker(this.createProcessingWorkerScript(), {
-            type: 'module'
-        });
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+            console.warn('⚠️ Web Workers or OffscreenCanvas unavailable, styles render on the main thread');
+            return;
+        }
+        
+        try {
+            this.processingWorker = new Worker('js/style-worker.js');
+        } catch (error) {
+            console.warn('⚠️ Style worker could not start, styles render on the main thread:', error);
+            return;
+        }
         
         this.processingWorker.onmessage = (e) => {
             this.handleWorkerMessage(e.data);
         };
-    }
-    
-    createProcessingWorkerScript() {
-        const workerScript = `
-            // Style processing worker for background operations
-            self.onmessage = function(e) {
-                const { type, data } = e.data;
-                
-                switch (type) {
-                    case 'PROCESS_STYLE':
-                        processStyleInBackground(data);
-                        break;
-                    case 'BATCH_PROCESS':
-                        processBatchInBackground(data);
-                        break;
-                }
-            };
-            
-            function processStyleInBackground(data) {
-                // Background style processing
-                self.postMessage({
-                    type: 'STYLE_PROCESSED',
-                    result: data
-                });
-            }
-            
-            function processBatchInBackground(data) {
-                // Background batch processing
-                self.postMessage({
-                    type: 'BATCH_COMPLETED',
-                    result: data
-                });
-            }
-        `;
+        this.processingWorker.onerror = (e) => {
+            e.preventDefault();
+            this.handleWorkerFailure(e.message || 'Style worker crashed');
+        };
         
-        return URL.createObjectURL(new Blob([workerScript], { type: 'application/javascript' }));
+        const customStyles = this.app.customStyles;
+        this.processingWorker.postMessage({
+            type: 'INIT',
+            styleConfigs: this.styleConfigs,
+            customStyle: {
+                pyramidLevels: customStyles ? customStyles.pyramidLevels : 4,
+                parameters: customStyles ? customStyles.parameters : {}
+            }
+        });
     }
     
     handleWorkerMessage(data) {
-        const { type, result } = data;
+        const { type } = data;
         
         switch (type) {
+            case 'READY':
+                this.workerReady = true;
+                console.log(`✅ Style worker ready (${data.backend} backend)`);
+                break;
+            case 'PROGRESS':
+                this.handleJobProgress(data);
+                break;
             case 'STYLE_PROCESSED':
-                this.handleStyleProcessed(result);
+                this.handleStyleProcessed(data);
                 break;
             case 'BATCH_COMPLETED':
-                this.handleBatchCompleted(result);
+                this.handleBatchCompleted(data);
+                break;
+            case 'JOB_FAILED':
+                this.handleJobFailed(data);
                 break;
         }
     }
     
+    handleJobProgress({ jobId, progress, stage, style }) {
+        const job = this.workerJobs.get(jobId);
+        if (job && job.onProgress) {
+            job.onProgress({ progress, stage, style });
+        }
+    }
+    
+    async handleStyleProcessed({ jobId, style, result, batch }) {
+        const job = this.workerJobs.get(jobId);
+        if (!job) return;
+        
+        try {
+            const output = await this.unpackWorkerResult(result, job.encode);
+            
+            if (batch) {
+                // Batch results stream in per style; the job settles on BATCH_COMPLETED
+                job.results.set(style, output);
+                job.onResult?.(style, output);
+            } else {
+                this.workerJobs.delete(jobId);
+                job.resolve(output);
+            }
+        } catch (error) {
+            this.workerJobs.delete(jobId);
+            job.reject(error);
+        }
+    }
+    
+    async handleBatchCompleted({ jobId }) {
+        const job = this.workerJobs.get(jobId);
+        if (!job) return;
+        
+        this.workerJobs.delete(jobId);
+        
+        // Styles the worker could not render get one more try on this thread
+        for (const style of job.styles) {
+            if (job.results.has(style)) continue;
+            try {
+                const output = await job.fallback(style);
+                job.results.set(style, output);
+                job.onResult?.(style, output);
+            } catch (error) {
+                console.warn(`⚠️ ${style} failed in batch:`, error);
+            }
+        }
+        
+        job.resolve(job.results);
+    }
+    
+    async handleJobFailed({ jobId, style, error, cancelled }) {
+        const job = this.workerJobs.get(jobId);
+        if (!job) return;
+        
+        if (style && job.results) {
+            // A single style in a batch failed; handleBatchCompleted retries it
+            console.warn(`⚠️ Worker could not render ${style}:`, error);
+            return;
+        }
+        
+        this.workerJobs.delete(jobId);
+        
+        if (cancelled) {
+            job.reject(new DOMException('Style job cancelled', 'AbortError'));
+            return;
+        }
+        
+        console.warn(`⚠️ Worker job ${jobId} failed, rendering on the main thread:`, error);
+        this.settleWithFallback(job);
+    }
+    
+    handleWorkerFailure(message) {
+        console.error('❌ Style worker failed:', message);
+        
+        this.processingWorker?.terminate();
+        this.processingWorker = null;
+        this.workerReady = false;
+        
+        // Everything in flight finishes on the main thread instead
+        const pending = Array.from(this.workerJobs.values());
+        this.workerJobs.clear();
+        pending.forEach(job => this.settleWithFallback(job));
+    }
+    
+    async settleWithFallback(job) {
+        try {
+            if (job.styles) {
+                for (const style of job.styles) {
+                    if (job.results.has(style)) continue;
+                    const output = await job.fallback(style);
+                    job.results.set(style, output);
+                    job.onResult?.(style, output);
+                }
+                job.resolve(job.results);
+            } else {
+                job.resolve(await job.fallback());
+            }
+        } catch (error) {
+            job.reject(error);
+        }
+    }
+    
+    // === JOB SCHEDULING ===
+    
+    async scheduleBlend(photo, style, cacheKey, options = {}) {
+        // Blends share the queue (and the batch progress) with single-style renders
+        return await this.processingQueue.enqueue({
+            key: cacheKey,
+            priority: options.priority ?? StyleJobQueue.PRIORITY.VISIBLE,
+            group: options.group ?? null,
+            signal: options.signal ?? null,
+            run: (signal) => this.renderBlend(photo, style, signal)
+        });
+    }
+    
+    async scheduleStyle(photo, styleKey, parameters = {}, options = {}) {
+        // Resolves to a PNG data URL; identical requests share one render
+        const intensity = options.intensity ?? this.app.settings.styleIntensity / 100;
+        
+        return await this.processingQueue.enqueue({
+            key: this.createJobKey(photo, styleKey, parameters, intensity),
+            priority: options.priority ?? StyleJobQueue.PRIORITY.VISIBLE,
+            group: options.group ?? null,
+            signal: options.signal ?? null,
+            run: (signal) => this.renderStyle(photo.imageData, styleKey, parameters, {
+                encode: true,
+                intensity,
+                signal
+            })
+        });
+    }
+    
+    createJobKey(photo, styleKey, parameters, intensity) {
+        // Same key as the app's style cache, so a job and its cached result line up
+        return StyleCache.createKey(photo.id, styleKey, { ...parameters, intensity }, this.app.settings.qualityPreset);
+    }
+    
+    setConcurrency(concurrency) {
+        this.processingQueue.setConcurrency(concurrency);
+    }
+    
+    // === STYLE RENDERING ===
+    
+    async renderStyle(imageData, styleKey, parameters = {}, options = {}) {
+        // Resolves to RGBA pixels, or a data URL when options.encode is set
+        const intensity = options.intensity ?? this.app.settings.styleIntensity / 100;
+        const task = this.createStyleTask(styleKey, parameters, intensity);
+        const fallback = () => this.renderOnMainThread(imageData, styleKey, parameters, intensity, options.encode);
+        
+        if (!task || !this.processingWorker) {
+            return await fallback();
+        }
+        
+        return await this.postWorkerJob({ type: 'PROCESS_STYLE', task }, imageData, {
+            encode: options.encode,
+            onProgress: options.onProgress,
+            signal: options.signal,
+            fallback
+        });
+    }
+    
+    async renderStyles(imageData, styleKeys, parametersFor = () => ({}), options = {}) {
+        // Renders several styles of one image in a single worker job; resolves to Map(style → output)
+        const intensity = options.intensity ?? this.app.settings.styleIntensity / 100;
+        const fallback = (style) => this.renderOnMainThread(imageData, style, parametersFor(style), intensity, options.encode);
+        const results = new Map();
+        
+        const workerTasks = [];
+        for (const style of styleKeys) {
+            const task = this.processingWorker ? this.createStyleTask(style, parametersFor(style), intensity) : null;
+            if (task) {
+                workerTasks.push(task);
+            } else {
+                // Networks and worker-less browsers render here, one style at a time
+                if (options.signal?.aborted) {
+                    throw new DOMException('Style job cancelled', 'AbortError');
+                }
+                const output = await fallback(style);
+                results.set(style, output);
+                options.onResult?.(style, output);
+            }
+        }
+        
+        if (workerTasks.length === 0) return results;
+        
+        const workerResults = await this.postWorkerJob({ type: 'BATCH_PROCESS', tasks: workerTasks }, imageData, {
+            encode: options.encode,
+            onProgress: options.onProgress,
+            onResult: options.onResult,
+            signal: options.signal,
+            styles: workerTasks.map(task => task.style),
+            fallback
+        });
+        
+        workerResults.forEach((output, style) => results.set(style, output));
+        return results;
+    }
+    
+    createStyleTask(styleKey, parameters, intensity) {
+        const model = this.models.get(styleKey);
+        
+        // Loaded networks live on this thread's tf backend
+        if (model && model.network) return null;
+        
+        const customStyles = this.app.customStyles;
+        const custom = customStyles ? customStyles.styles.get(styleKey) : null;
+        if (custom) {
+            return {
+                style: styleKey,
+                mode: 'custom',
+                parameters: { ...customStyles.getDefaultParameters(), ...parameters },
+                statistics: custom.statistics,
+                intensity
+            };
+        }
+        
+        return {
+            style: styleKey,
+            mode: this.styleConfigs[styleKey] && model && model.source !== 'basic' ? 'kernels' : 'filter',
+            parameters,
+            intensity
+        };
+    }
+    
+    postWorkerJob(message, imageData, options) {
+        return new Promise((resolve, reject) => {
+            const jobId = this.nextJobId++;
+            
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(new DOMException('Style job cancelled', 'AbortError'));
+                    return;
+                }
+                // The worker drops the job between styles and answers with a cancelled JOB_FAILED
+                options.signal.addEventListener('abort', () => this.cancelWorkerJob(jobId), { once: true });
+            }
+            
+            this.workerJobs.set(jobId, {
+                resolve,
+                reject,
+                encode: options.encode,
+                onProgress: options.onProgress,
+                onResult: options.onResult,
+                fallback: options.fallback,
+                styles: options.styles || null,
+                results: options.styles ? new Map() : null
+            });
+            
+            // Copy so the photo keeps its pixels, then hand the copy over without cloning
+            const buffer = new Uint8ClampedArray(imageData.data).buffer;
+            this.processingWorker.postMessage({
+                ...message,
+                jobId,
+                encode: Boolean(options.encode),
+                image: { width: imageData.width, height: imageData.height, buffer }
+            }, [buffer]);
+        });
+    }
+    
+    cancelWorkerJob(jobId) {
+        if (this.processingWorker && this.workerJobs.has(jobId)) {
+            this.processingWorker.postMessage({ type: 'CANCEL', jobId });
+        }
+    }
+    
+    async unpackWorkerResult(result, encode) {
+        if (encode) {
+            return await this.blobToDataURL(result.blob);
+        }
+        return new Uint8ClampedArray(result.buffer);
+    }
+    
+    async renderOnMainThread(imageData, styleKey, parameters, intensity, encode) {
+        let pixels = null;
+        const model = this.models.get(styleKey);
+        
+        if (model && model.source !== 'basic') {
+            try {
+                pixels = await model.process(imageData, parameters, intensity);
+            } catch (error) {
+                console.warn(`⚠️ ${styleKey} failed, falling back to canvas filter:`, error);
+            }
+        }
+        
+        if (!pixels) {
+            pixels = StyleFilters.render(document.createElement('canvas'), imageData, styleKey, intensity);
+        }
+        
+        return encode ? this.pixelsToDataURL(pixels, imageData.width, imageData.height) : pixels;
+    }
+    
+    pixelsToDataURL(pixels, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+        return canvas.toDataURL();
+    }
+    
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
     // === REAL-TIME PREVIEW ===
     
     initializeRealTimePreview() {
@@ -903,7 +1305,8 @@ class AdvancedStyleSystem {
     async updateRealTimePreview() {
         if (!this.app.photos.length) return;
         
-        const currentPhoto = this.app.photos[this.app.currentPage];
+        // Chapter dividers have no photo to preview
+        const currentPhoto = this.app.pages[this.app.currentPage]?.userData.photo;
         if (!currentPhoto) return;
         
         try {
@@ -920,14 +1323,26 @@ class AdvancedStyleSystem {
                 const imageData = ctx.getImageData(0, 0, 200, 150);
                 const parameters = this.getCurrentParameters();
                 
-                const styledImageData = await this.processStyleAdvanced(
-                    imageData, 
-                    this.app.currentStyle, 
-                    parameters
-                );
+                const style = this.app.currentStyle;
+                if (!this.models.has(style)) return;
+                
+                // Only the latest slider position matters
+                this.previewController?.abort();
+                const controller = new AbortController();
+                this.previewController = controller;
                 
-                const styledCanvas = new ImageData(styledImageData, 200, 150);
-                this.previewCanvas.getContext('2d').putImageData(styledCanvas, 0, 0);
+                try {
+                    const styledImageData = await this.processingQueue.enqueue({
+                        priority: StyleJobQueue.PRIORITY.PREVIEW,
+                        signal: controller.signal,
+                        run: (signal) => this.renderStyle(imageData, style, parameters, { signal })
+                    });
+                    
+                    const styledCanvas = new ImageData(styledImageData, 200, 150);
+                    this.previewCanvas.getContext('2d').putImageData(styledCanvas, 0, 0);
+                } catch (error) {
+                    if (error.name !== 'AbortError') throw error;
+                }
             };
             
             img.src = currentPhoto.styledVersions.get('original');
@@ -973,43 +1388,86 @@ class AdvancedStyleSystem {
             }
         });
         
-        this.updateStyleParameters();
+        this.updateStyleParameters(`Apply ${presetName} preset`);
     }
     
-    updateStyleParameters() {
+    updateStyleParameters(label = 'Adjust style parameters') {
         // Update the current style with new parameters
-        this.app.updateCurrentPageStyle();
+        this.app.updateCurrentPageStyle({ label });
     }
     
-    updateStyleBlending() {
-        const secondaryStyle = document.getElementById('secondary-style').value;
-        const blendWeight = parseInt(document.getElementById('blend-weight').value) / 100;
+    setStyleControls(style) {
+        // Show a page's own style in the parameter and blend controls
+        this.updateStyleParameterControls(style.name);
         
-        if (secondaryStyle && this.app.photos.length > 0) {
-            this.applyStyleBlending(secondaryStyle, blendWeight);
+        Object.entries(style.parameters || {}).forEach(([paramName, value]) => {
+            const input = document.getElementById(`${paramName}-param`);
+            if (input) {
+                input.value = value;
+                document.getElementById(`${paramName}-value`).textContent = Number(value).toFixed(1);
+            }
+        });
+        
+        document.getElementById('preserve-faces').checked = Boolean(style.preserveFaces);
+        if (style.preserveFaces) {
+            this.setFaceStrengthControl(style.preserveFaces);
         }
+        
+        document.getElementById('secondary-style').value = style.blend ? style.blend.style : '';
+        const weight = Math.round((style.blend ? style.blend.weight : 0.5) * 100);
+        document.getElementById('blend-weight').value = weight;
+        document.getElementById('blend-weight-value').textContent = `${weight}%`;
     }
     
-    async applyStyleBlending(secondaryStyle, weight) {
-        if (!this.app.photos.length) return;
+    updateStyleBlending() {
+        const secondaryStyle = document.getElementById('secondary-style').value;
+        const photo = this.app.pages[this.app.currentPage]?.userData.photo;
         
-        const currentPhoto = this.app.photos[this.app.currentPage];
-        const imageData = currentPhoto.imageData;
+        // Moving the weight with no secondary style on an unblended page changes nothing
+        if (!secondaryStyle && !photo?.style.blend) return;
         
-        try {
-            const blendedResult = await this.blendStyles(
-                imageData,
-                this.app.currentStyle,
-                secondaryStyle,
-                weight
-            );
-            
-            // Update the page texture
-            this.app.updatePageTexture(blendedResult);
-            
-        } catch (error) {
-            console.error('❌ Style blending failed:', error);
-        }
+        const label = secondaryStyle
+            ? `Blend with ${this.styleConfigs[secondaryStyle]?.name || secondaryStyle}`
+            : 'Remove blend';
+        
+        // The blend is part of the page's style, so it is rendered, saved and undone with it
+        this.app.updateCurrentPageStyle({ label, coalesce: 'blend' });
+    }
+    
+    getBlendFromControls() {
+        const secondaryStyle = document.getElementById('secondary-style')?.value;
+        if (!secondaryStyle) return null;
+        
+        return {
+            style: secondaryStyle,
+            weight: parseInt(document.getElementById('blend-weight').value) / 100
+        };
+    }
+    
+    getFaceStrength(styleKey) {
+        return this.styleConfigs[styleKey]?.facePreservation ?? 0.6;
+    }
+    
+    setFaceStrengthControl(strength) {
+        const value = Math.round(strength * 100);
+        document.getElementById('face-strength').value = value;
+        document.getElementById('face-strength-value').textContent = `${value}%`;
+    }
+    
+    getFacePreservationFromControls() {
+        // Strength 0..1 when the page should keep its faces, otherwise null
+        if (!document.getElementById('preserve-faces')?.checked) return null;
+        return parseInt(document.getElementById('face-strength').value) / 100;
+    }
+    
+    async renderBlend(photo, style, signal = null) {
+        const pixels = await this.blendStyles(photo.imageData, style.name, style.blend.style, style.blend.weight, {
+            // The primary style keeps the page's parameters; the secondary uses its defaults
+            parametersFor: key => (key === style.name ? style.parameters || {} : {}),
+            intensity: (style.intensity ?? this.app.settings.styleIntensity) / 100,
+            signal
+        });
+        return this.pixelsToDataURL(pixels, photo.width, photo.height);
     }
     
     // === BATCH PROCESSING ===
@@ -1033,6 +1491,7 @@ class AdvancedStyleSystem {
                                 <div class="progress-fill" id="batch-progress-fill"></div>
                             </div>
                             <span id="batch-progress-text">Processing...</span>
+                            <button class="batch-cancel-btn" id="batch-cancel">Cancel</button>
                         </div>
                     </div>
                 </div>
@@ -1047,84 +1506,139 @@ class AdvancedStyleSystem {
             document.getElementById('batch-all-styles').addEventListener('click', () => {
                 this.batchProcessAllStyles();
             });
+            
+            document.getElementById('batch-cancel').addEventListener('click', () => {
+                this.cancelBatch();
+            });
+            
+            this.updateBatchLabels();
         }
     }
     
-    async batchProcessCurrentStyle() {
-        const photos = this.app.photos;
-        if (!photos.length) return;
+    updateBatchLabels() {
+        // Batch tools work on the selected pages, or the whole book when nothing is selected
+        const currentButton = document.getElementById('batch-current-style');
+        const allButton = document.getElementById('batch-all-styles');
+        if (!currentButton || !allButton) return;
         
-        const progressBar = document.getElementById('batch-progress');
-        const progressFill = document.getElementById('batch-progress-fill');
-        const progressText = document.getElementById('batch-progress-text');
+        const count = this.app.selection ? this.app.selection.count : 0;
+        const target = count > 0 ? `Selected (${count})` : 'All';
         
-        progressBar.style.display = 'block';
+        currentButton.textContent = `Apply Current Style to ${target}`;
+        allButton.textContent = `Generate All Styles for ${target}`;
+    }
+    
+    async batchProcessCurrentStyle() {
+        // Renders in the background, then the pages that finished take the style
+        const style = this.app.getStyleFromControls();
+        const photos = this.app.getSelectedOrAllPhotos();
+        const results = await this.runBatch(photos, () => [style]);
         
-        for (let i = 0; i < photos.length; i++) {
-            const progress = ((i + 1) / photos.length) * 100;
-            progressFill.style.width = `${progress}%`;
-            progressText.textContent = `Processing ${i + 1} of ${photos.length}...`;
-            
-            try {
-                await this.app.applyStyleTransfer(photos[i], this.app.currentStyle);
-            } catch (error) {
-                console.error(`❌ Failed to process photo ${i + 1}:`, error);
-            }
-            
-            // Small delay to prevent blocking
-            await new Promise(resolve => setTimeout(resolve, 100));
+        if (results.length > 0) {
+            this.app.assignPhotoStyles(results, `Apply ${style.name} to ${results.length} pages`);
         }
-        
-        progressBar.style.display = 'none';
-        console.log('✅ Batch processing completed');
     }
     
     async batchProcessAllStyles() {
-        const photos = this.app.photos;
-        const styles = Object.keys(this.styleConfigs);
-        
-        if (!photos.length) return;
+        // Pre-renders every style; each page keeps its own parameters for the style it uses
+        await this.runBatch(this.app.getSelectedOrAllPhotos(), photo => Object.keys(this.styleConfigs).map(name => ({
+            name,
+            parameters: photo.style.name === name ? photo.style.parameters : {},
+            intensity: photo.style.intensity
+        })));
+    }
+    
+    async runBatch(photos, stylesFor) {
+        // stylesFor(photo) → page styles to render; resolves to [{ photo, style, styledImage }]
+        if (!photos.length) return [];
         
-        const totalOperations = photos.length * styles.length;
-        let completed = 0;
+        // A new batch replaces the one in flight
+        this.cancelBatch();
+        const controller = new AbortController();
+        this.batchController = controller;
         
         const progressBar = document.getElementById('batch-progress');
+        progressBar.style.display = 'block';
+        this.updateBatchProgress(null);
+        
+        const unsubscribe = this.processingQueue.onProgress('batch', (progress) => {
+            this.updateBatchProgress(progress);
+        });
+        
+        const jobs = [];
+        photos.forEach(photo => {
+            stylesFor(photo).forEach(style => {
+                jobs.push(this.app.renderPhotoStyle(photo, style, {
+                    priority: StyleJobQueue.PRIORITY.BATCH,
+                    group: 'batch',
+                    signal: controller.signal
+                }).then(styledImage => ({ photo, style, styledImage })));
+            });
+        });
+        
+        const results = await Promise.allSettled(jobs);
+        unsubscribe();
+        
+        if (this.batchController === controller) {
+            this.batchController = null;
+            progressBar.style.display = 'none';
+        }
+        
+        const failed = results.filter(result => result.status === 'rejected' && result.reason.name !== 'AbortError');
+        failed.forEach(result => console.error('❌ Batch style job failed:', result.reason));
+        
+        if (controller.signal.aborted) {
+            console.log('⏹️ Batch processing cancelled');
+        } else {
+            console.log(`✅ Batch processing completed (${jobs.length - failed.length}/${jobs.length})`);
+        }
+        
+        return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    }
+    
+    cancelBatch() {
+        if (this.batchController) {
+            this.batchController.abort();
+            this.batchController = null;
+        }
+    }
+    
+    updateBatchProgress(progress) {
         const progressFill = document.getElementById('batch-progress-fill');
         const progressText = document.getElementById('batch-progress-text');
         
-        progressBar.style.display = 'block';
-        
-        for (const photo of photos) {
-            for (const style of styles) {
-                completed++;
-                const progress = (completed / totalOperations) * 100;
-                progressFill.style.width = `${progress}%`;
-                progressText.textContent = `Processing ${style} style (${completed}/${totalOperations})...`;
-                
-                try {
-                    await this.app.applyStyleTransfer(photo, style);
-                } catch (error) {
-                    console.error(`❌ Failed to apply ${style} to photo:`, error);
-                }
-                
-                // Small delay to prevent blocking
-                await new Promise(resolve => setTimeout(resolve, 50));
-            }
+        if (!progress || progress.total === 0) {
+            progressFill.style.width = '0%';
+            progressText.textContent = 'Processing...';
+            return;
         }
         
-        progressBar.style.display = 'none';
-        console.log('✅ Batch processing all styles completed');
+        const settled = progress.total - progress.remaining;
+        progressFill.style.width = `${progress.fraction * 100}%`;
+        progressText.textContent = progress.eta !== null && !progress.done
+            ? `Processing ${settled} of ${progress.total} · ${this.formatEta(progress.eta)} left`
+            : `Processing ${settled} of ${progress.total}...`;
+    }
+    
+    formatEta(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    
+    getBatchProgress() {
+        return this.processingQueue.getProgress('batch');
     }
     
     createStyleHistoryUI() {
-        // Add style history tracking
-        this.styleHistory = [];
+        // The panel lists the app-wide edit history; without it there is nothing to show
+        const history = this.app.editHistory;
+        if (!history) return;
         
-        // Create history panel
         const historyHTML = `
             <div class="style-history-section">
-                <h4 class="control-section-title">Style History</h4>
-                <div id="style-history-list" class="style-history-list">
+                <h4 class="control-section-title">Edit History</h4>
+                <div id="style-history-list" class="style-history-list" aria-live="polite">
                     <!-- History items will be added here -->
                 </div>
                 <button class="clear-history-btn" id="clear-style-history">Clear History</button>
@@ -1135,24 +1649,10 @@ class AdvancedStyleSystem {
         stylePanel.insertAdjacentHTML('beforeend', historyHTML);
         
         document.getElementById('clear-style-history').addEventListener('click', () => {
-            this.clearStyleHistory();
+            history.clear();
         });
-    }
-    
-    addToStyleHistory(style, parameters) {
-        const historyItem = {
-            style,
-            parameters: { ...parameters },
-            timestamp: Date.now()
-        };
-        
-        this.styleHistory.unshift(historyItem);
-        
-        // Keep only last 10 items
-        if (this.styleHistory.length > 10) {
-            this.styleHistory = this.styleHistory.slice(0, 10);
-        }
         
+        history.onChange(() => this.updateStyleHistoryUI());
         this.updateStyleHistoryUI();
     }
     
@@ -1160,78 +1660,29 @@ class AdvancedStyleSystem {
         const container = document.getElementById('style-history-list');
         container.innerHTML = '';
         
-        this.styleHistory.forEach((item, index) => {
-            const itemHTML = `
-                <div class="history-item" data-index="${index}">
-                    <span class="history-style">${this.styleConfigs[item.style]?.name || item.style}</span>
-                    <span class="history-time">${new Date(item.timestamp).toLocaleTimeString()}</span>
-                    <button class="history-apply-btn">Apply</button>
-                </div>
+        this.app.editHistory.getEntries().forEach(({ command, undone }) => {
+            const item = document.createElement('div');
+            item.className = `history-item${undone ? ' undone' : ''}`;
+            item.innerHTML = `
+                <span class="history-style"></span>
+                <span class="history-time">${new Date(command.time).toLocaleTimeString()}</span>
             `;
-            container.insertAdjacentHTML('beforeend', itemHTML);
-        });
-        
-        // Add click listeners
-        container.querySelectorAll('.history-apply-btn').forEach((btn, index) => {
-            btn.addEventListener('click', () => {
-                this.applyHistoryItem(index);
-            });
+            item.querySelector('.history-style').textContent = command.label;
+            container.appendChild(item);
         });
     }
     
-    applyHistoryItem(index) {
-        const item = this.styleHistory[index];
-        if (!item) return;
-        
-        // Switch to the style
-        this.app.currentStyle = item.style;
-        
-        // Apply parameters
-        Object.entries(item.parameters).forEach(([paramName, value]) => {
-            const input = document.getElementById(`${paramName}-param`);
-            if (input) {
-                input.value = value;
-                document.getElementById(`${paramName}-value`).textContent = value;
-            }
-        });
-        
-        // Update the current page
-        this.app.updateCurrentPageStyle();
-    }
-    
-    clearStyleHistory() {
-        this.styleHistory = [];
-        this.updateStyleHistoryUI();
-    }
-    
     // === PUBLIC API ===
     
     async processStyleBasic(imageData, styleKey, parameters) {
         // Fallback to basic processing
-        return await this.app.models.styleTransfer[styleKey]?.(
-            imageData.getContext('2d'),
-            imageData,
-            parameters.intensity || 0.7
-        );
+        const intensity = parameters.intensity ?? this.app.settings.styleIntensity / 100;
+        return StyleFilters.render(document.createElement('canvas'), imageData, styleKey, intensity);
     }
     
     async blendStylesBasic(imageData, style1, style2, weight) {
-        // Basic style blending fallback
-        const result1 = await this.processStyleBasic(imageData, style1, {});
-        const result2 = await this.processStyleBasic(imageData, style2, {});
-        
-        // Simple pixel blending
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        
-        ctx.globalAlpha = weight;
-        ctx.putImageData(result1, 0, 0);
-        ctx.globalAlpha = 1 - weight;
-        ctx.drawImage(result2, 0, 0);
-        
-        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        // Basic style blending fallback; renderStyles picks filters for basic models
+        return await this.blendStyles(imageData, style1, style2, weight);
     }
 }
 
@@ -0,0 +1,298 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                  Portable Album Bundle Format (.nsmb)                ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/album-archive.js                                            ║
+║ Purpose: Save a whole book as one file and open it elsewhere         ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Single-file bundle with original images and a JSON manifest        ║
+║ • Per-photo style, parameters, intensity, blend, captions and faces  ║
+║ • Face memories with page links rewritten to bundle entry IDs        ║
+║ • Page order, book settings, people names and camera view            ║
+║ • Custom styles the pages use, so they render on any machine         ║
+║ • Versioned manifest with step-by-step migrations on load            ║
+║ • Lazy image access via Blob slices (no full-file copies)            ║
+║                                                                      ║
+║ File Layout (little-endian):                                         ║
+║ • bytes 0-3:   magic "NSMB"                                          ║
+║ • bytes 4-5:   container version (uint16)                            ║
+║ • bytes 6-7:   reserved                                              ║
+║ • bytes 8-11:  manifest length in bytes (uint32)                     ║
+║ • manifest:    UTF-8 JSON                                            ║
+║ • payload:     original images, addressed by manifest offsets        ║
+║                                                                      ║
+║ Integration: Requires main app instance for photo access             ║
+║ Browser Support: Blob API, TextEncoder/TextDecoder, DataView         ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Album Archive */
+/* Portable single-file album bundles with versioned manifests */
+
+class AlbumArchive {
+    constructor(app) {
+        this.app = app;
+
+        this.magic = 'NSMB';
+        this.containerVersion = 1;
+        this.headerSize = 12;
+        this.fileExtension = 'nsmb';
+        this.mimeType = 'application/x-nsmb';
+
+        // Manifest schema version; bump together with a new migration
+        this.formatVersion = 3;
+
+        // Each entry upgrades a manifest from version N to N + 1
+        this.migrations = {
+            // v1 did not carry custom styles; its pages open in them only where they exist locally
+            1: manifest => ({ ...manifest, customStyles: [] }),
+            // v2 had one book-wide intensity and no blends; pages inherit that intensity
+            2: manifest => {
+                const intensity = manifest.book?.settings?.styleIntensity ?? 70;
+                manifest.photos = (manifest.photos || []).map(photo => ({
+                    ...photo,
+                    intensity,
+                    blend: null
+                }));
+                return manifest;
+            }
+        };
+    }
+
+    // === WRITING ===
+
+    async createArchive(options = {}) {
+        const photos = this.app.photos;
+        if (photos.length === 0) {
+            throw new Error('No photos to save');
+        }
+
+        const imageBlobs = [];
+        const photoEntries = [];
+        let offset = 0;
+
+        // Layout and memory links refer to photos by app ID; the bundle uses its own entry IDs
+        const entryIds = new Map(photos.map((photo, i) => [String(photo.id), `photo-${i + 1}`]));
+        const archiveId = id => entryIds.get(String(id));
+
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            const blob = await this.getSourceBlob(photo);
+
+            photoEntries.push(this.serializePhoto(photo, i, archiveId, {
+                offset,
+                length: blob.size,
+                type: blob.type || 'image/jpeg'
+            }));
+
+            imageBlobs.push(blob);
+            offset += blob.size;
+        }
+
+        const layout = this.app.bookLayout
+            ? this.app.bookLayout.serialize(archiveId)
+            : null;
+
+        const manifest = {
+            format: 'neural-style-memory-book',
+            version: this.formatVersion,
+            createdAt: new Date().toISOString(),
+            app: { name: 'Neural Style Memory Book', version: '1.2.0' },
+            book: {
+                title: options.title || 'Neural Style Memory Book',
+                currentPage: this.app.currentPage,
+                currentStyle: this.app.currentStyle,
+                settings: { ...this.app.settings },
+                layout,
+                people: this.app.faceClusters ? this.app.faceClusters.serialize() : null,
+                camera: this.app.controls ? this.app.controls.serialize() : null
+            },
+            customStyles: this.getCustomStyles(photos),
+            order: photoEntries.map(entry => entry.id),
+            photos: photoEntries
+        };
+
+        const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+
+        const header = new ArrayBuffer(this.headerSize);
+        const view = new DataView(header);
+        for (let i = 0; i < 4; i++) {
+            view.setUint8(i, this.magic.charCodeAt(i));
+        }
+        view.setUint16(4, this.containerVersion, true);
+        view.setUint16(6, 0, true);
+        view.setUint32(8, manifestBytes.length, true);
+
+        return new Blob([header, manifestBytes, ...imageBlobs], { type: this.mimeType });
+    }
+
+    serializePhoto(photo, index, archiveId, image) {
+        return {
+            id: `photo-${index + 1}`,
+            filename: photo.filename,
+            caption: photo.caption || '',
+            width: photo.width,
+            height: photo.height,
+            style: photo.style?.name || 'original',
+            parameters: { ...(photo.style?.parameters || {}) },
+            intensity: photo.style?.intensity ?? this.app.settings.styleIntensity,
+            blend: photo.style?.blend || null,
+            preserveFaces: photo.style?.preserveFaces || null,
+            regions: photo.regions || [],
+            faces: photo.faces.map(face => ({
+                box: face.box,
+                landmarks: face.landmarks,
+                confidence: face.confidence,
+                personId: face.personId || null,
+                memory: face.memory ? {
+                    ...face.memory,
+                    links: face.memory.links.map(archiveId).filter(Boolean)
+                } : null
+            })),
+            image
+        };
+    }
+
+    getCustomStyles(photos) {
+        // Records of the custom styles pages, their blends and regions use; others stay home
+        const customStyles = this.app.customStyles;
+        if (!customStyles) return [];
+
+        const used = new Set();
+        const addStyle = style => {
+            if (!style) return;
+            used.add(style.name);
+            if (style.blend) used.add(style.blend.style);
+        };
+        photos.forEach(photo => {
+            addStyle(photo.style);
+            photo.regions.forEach(region => addStyle(region.style));
+        });
+
+        return Array.from(used)
+            .map(styleKey => customStyles.styles.get(styleKey))
+            .filter(Boolean);
+    }
+
+    async getSourceBlob(photo) {
+        if (photo.sourceBlob) return photo.sourceBlob;
+
+        // Photos without a source file fall back to the processing canvas
+        return await new Promise((resolve, reject) => {
+            photo.canvas.toBlob(blob => {
+                blob ? resolve(blob) : reject(new Error(`Could not encode ${photo.filename}`));
+            }, 'image/png');
+        });
+    }
+
+    // === READING ===
+
+    isArchiveFile(file) {
+        return file.name.toLowerCase().endsWith(`.${this.fileExtension}`) || file.type === this.mimeType;
+    }
+
+    async readArchive(file) {
+        const header = new DataView(await file.slice(0, this.headerSize).arrayBuffer());
+        if (header.byteLength < this.headerSize) {
+            throw new Error('File is too small to be an album');
+        }
+
+        const magic = String.fromCharCode(...[0, 1, 2, 3].map(i => header.getUint8(i)));
+        if (magic !== this.magic) {
+            throw new Error('Not a Neural Style Memory Book album');
+        }
+
+        const containerVersion = header.getUint16(4, true);
+        if (containerVersion > this.containerVersion) {
+            throw new Error('This album was saved by a newer version of the app');
+        }
+
+        const manifestLength = header.getUint32(8, true);
+        const manifestEnd = this.headerSize + manifestLength;
+        const manifestText = await file.slice(this.headerSize, manifestEnd).text();
+
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestText);
+        } catch (error) {
+            throw new Error('Album manifest is corrupted');
+        }
+
+        manifest = this.migrateManifest(manifest);
+
+        const photosById = new Map(manifest.photos.map(photo => [photo.id, photo]));
+        const orderedPhotos = manifest.order
+            .map(id => photosById.get(id))
+            .filter(Boolean);
+
+        const entries = orderedPhotos.map(photo => {
+            const start = manifestEnd + photo.image.offset;
+            const blob = file.slice(start, start + photo.image.length, photo.image.type);
+
+            if (blob.size !== photo.image.length) {
+                throw new Error(`Album is truncated (${photo.filename})`);
+            }
+
+            return {
+                id: photo.id,
+                file: new File([blob], photo.filename, { type: photo.image.type }),
+                record: {
+                    width: photo.width,
+                    height: photo.height,
+                    faces: photo.faces,
+                    caption: photo.caption,
+                    style: {
+                        name: photo.style,
+                        parameters: photo.parameters,
+                        intensity: photo.intensity,
+                        blend: photo.blend,
+                        preserveFaces: photo.preserveFaces || null
+                    },
+                    regions: photo.regions || []
+                }
+            };
+        });
+
+        return { manifest, entries };
+    }
+
+    // === MIGRATIONS ===
+
+    migrateManifest(manifest) {
+        if (!manifest || manifest.format !== 'neural-style-memory-book') {
+            throw new Error('Unrecognized album manifest');
+        }
+
+        let version = manifest.version || 1;
+        if (version > this.formatVersion) {
+            throw new Error('This album was saved by a newer version of the app');
+        }
+
+        let migrated = manifest;
+        while (version < this.formatVersion) {
+            const migrate = this.migrations[version];
+            if (!migrate) {
+                throw new Error(`No migration from album version ${version}`);
+            }
+
+            migrated = migrate(migrated);
+            version++;
+            migrated.version = version;
+            console.log(`🔄 Migrated album manifest to version ${version}`);
+        }
+
+        return migrated;
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.AlbumArchive = AlbumArchive;
+}
+
+console.log('📦 Album Archive loaded');
@@ -0,0 +1,435 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                 Album Persistence & IndexedDB Storage                ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/album-store.js                                              ║
+║ Purpose: Persist albums across reloads and crashes via IndexedDB     ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Original image blobs stored once per photo                         ║
+║ • Face detections and depth maps saved with each photo               ║
+║ • Page order, current page and book settings per album               ║
+║ • Cached styled renders so styles survive a reload                   ║
+║ • Debounced saves with flush on page hide                            ║
+║ • Quota handling that sheds regenerable renders first                ║
+║                                                                      ║
+║ Object Stores:                                                       ║
+║ • albums:  album record (order, settings, current page)              ║
+║ • photos:  lightweight photo metadata (faces, size, filename)        ║
+║ • images:  original image blob and depth map                         ║
+║ • renders: styled data cached per photo and style                    ║
+║ • customStyles: user styles extracted from reference images          ║
+║                                                                      ║
+║ Integration: Requires main app instance for photo access             ║
+║ Browser Support: IndexedDB, Blob API, StorageManager (optional)      ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Album Store */
+/* IndexedDB persistence for photos, metadata and styled renders */
+
+class AlbumStore {
+    constructor(app) {
+        this.app = app;
+        this.dbName = 'neural-style-memory-book';
+        this.dbVersion = 2;
+        this.albumId = 'default';
+        this.db = null;
+
+        // Save bookkeeping
+        this.saveDelay = 1000;
+        this.saveTimeout = null;
+        this.savePromise = null;
+        this.savedImageIds = new Set();
+        this.savedRenderKeys = new Map(); // render key → cache key it was saved with
+        this.rendersDisabled = false;
+        this.quotaWarningShown = false;
+    }
+
+    // === DATABASE ===
+
+    async open() {
+        if (this.db) return this.db;
+
+        if (!('indexedDB' in window)) {
+            throw new Error('IndexedDB is not supported in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => this.upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('⚠️ Album database upgrade blocked by another tab');
+        });
+
+        // Another tab upgraded the schema; close so it can proceed
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+
+        this.requestPersistentStorage();
+
+        console.log('✅ Album database opened');
+        return this.db;
+    }
+
+    upgradeDatabase(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore('albums', { keyPath: 'id' });
+
+            const photos = db.createObjectStore('photos', { keyPath: 'id' });
+            photos.createIndex('albumId', 'albumId');
+
+            db.createObjectStore('images', { keyPath: 'id' });
+
+            const renders = db.createObjectStore('renders', { keyPath: 'key' });
+            renders.createIndex('photoId', 'photoId');
+        }
+
+        if (oldVersion < 2) {
+            // Custom styles belong to the user, not to one album
+            db.createObjectStore('customStyles', { keyPath: 'id' });
+        }
+    }
+
+    async requestPersistentStorage() {
+        try {
+            if (navigator.storage && navigator.storage.persist) {
+                const persisted = await navigator.storage.persist();
+                console.log(persisted ? '✅ Persistent storage granted' : 'ℹ️ Storage may be evicted under pressure');
+            }
+        } catch (error) {
+            console.warn('⚠️ Persistent storage request failed:', error);
+        }
+    }
+
+    // === LOADING ===
+
+    async loadAlbum() {
+        const db = await this.open();
+        const tx = db.transaction(['albums', 'photos', 'images', 'renders'], 'readonly');
+
+        const album = await this.promisifyRequest(tx.objectStore('albums').get(this.albumId));
+        if (!album) return null;
+
+        const photoRecords = await this.promisifyRequest(
+            tx.objectStore('photos').index('albumId').getAll(this.albumId)
+        );
+        const recordsById = new Map(photoRecords.map(record => [record.id, record]));
+
+        // Follow the saved page order; photos missing from it go last
+        const orderedIds = album.order.filter(id => recordsById.has(id));
+        photoRecords.forEach(record => {
+            if (!orderedIds.includes(record.id)) orderedIds.push(record.id);
+        });
+
+        const photos = [];
+        for (const id of orderedIds) {
+            const image = await this.promisifyRequest(tx.objectStore('images').get(id));
+            if (!image || !image.blob) {
+                console.warn(`⚠️ Missing image data for photo ${id}, skipping`);
+                continue;
+            }
+
+            const renders = await this.promisifyRequest(
+                tx.objectStore('renders').index('photoId').getAll(id)
+            );
+
+            photos.push({
+                ...recordsById.get(id),
+                blob: image.blob,
+                depthMap: image.depthMap,
+                renders
+            });
+
+            this.savedImageIds.add(id);
+            renders.forEach(render => this.savedRenderKeys.set(render.key, render.cacheKey || null));
+        }
+
+        return { album, photos };
+    }
+
+    // === SAVING ===
+
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    async flush() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            await this.save();
+        } else if (this.savePromise) {
+            await this.savePromise;
+        }
+    }
+
+    async save() {
+        this.saveTimeout = null;
+
+        // Serialize saves so two transactions never race on the same album
+        const previous = this.savePromise || Promise.resolve();
+        this.savePromise = previous
+            .catch(() => {})
+            .then(() => this.saveWithQuotaHandling());
+
+        return this.savePromise;
+    }
+
+    async saveWithQuotaHandling() {
+        try {
+            await this.writeAlbum({ includeRenders: !this.rendersDisabled });
+        } catch (error) {
+            if (!this.isQuotaError(error)) {
+                console.error('❌ Album save failed:', error);
+                return;
+            }
+
+            console.warn('⚠️ Storage quota exceeded, dropping cached styled renders');
+
+            try {
+                // Styled renders can always be regenerated, so they go first
+                await this.clearRenders();
+                this.rendersDisabled = true;
+                await this.writeAlbum({ includeRenders: false });
+                this.notifyQuota('Storage is almost full. Styled previews will be regenerated instead of saved.');
+            } catch (retryError) {
+                // Photos stay in memory; nothing is removed from the open book
+                console.error('❌ Album save failed after freeing space:', retryError);
+                this.notifyQuota('Storage is full. Your latest photos are not saved yet; export the album to keep them.', 'error');
+            }
+        }
+    }
+
+    async writeAlbum({ includeRenders }) {
+        const db = await this.open();
+        const photos = this.app.photos;
+
+        // Convert renders up front; IndexedDB transactions close on await of non-IDB work
+        const pendingRenders = includeRenders ? await this.collectNewRenders(photos) : [];
+
+        const tx = db.transaction(['albums', 'photos', 'images', 'renders'], 'readwrite');
+        const albums = tx.objectStore('albums');
+        const photoStore = tx.objectStore('photos');
+        const imageStore = tx.objectStore('images');
+        const renderStore = tx.objectStore('renders');
+
+        albums.put(this.serializeAlbum());
+
+        const newImageIds = [];
+        photos.forEach(photo => {
+            photoStore.put(this.serializePhoto(photo));
+
+            if (!this.savedImageIds.has(photo.id) && photo.sourceBlob) {
+                imageStore.put({
+                    id: photo.id,
+                    blob: photo.sourceBlob,
+                    depthMap: photo.depthMap
+                });
+                newImageIds.push(photo.id);
+            }
+        });
+
+        pendingRenders.forEach(render => renderStore.put(render));
+
+        // Renders of styles a page no longer holds would otherwise pile up until the quota runs out
+        const staleRenderKeys = this.findStaleRenderKeys(photos);
+        staleRenderKeys.forEach(key => renderStore.delete(key));
+
+        // Remove photos that are no longer part of the album
+        const currentIds = new Set(photos.map(photo => photo.id));
+        const removedIds = Array.from(this.savedImageIds).filter(id => !currentIds.has(id));
+        removedIds.forEach(id => {
+            photoStore.delete(id);
+            imageStore.delete(id);
+            renderStore.delete(IDBKeyRange.bound(`${id}:`, `${id}:\uffff`));
+        });
+
+        await this.promisifyTransaction(tx);
+
+        // Only record what was written once the transaction committed
+        newImageIds.forEach(id => this.savedImageIds.add(id));
+        pendingRenders.forEach(render => this.savedRenderKeys.set(render.key, render.cacheKey));
+        staleRenderKeys.forEach(key => this.savedRenderKeys.delete(key));
+        removedIds.forEach(id => {
+            this.savedImageIds.delete(id);
+            Array.from(this.savedRenderKeys.keys())
+                .filter(key => key.startsWith(`${id}:`))
+                .forEach(key => this.savedRenderKeys.delete(key));
+        });
+    }
+
+    async collectNewRenders(photos) {
+        const renders = [];
+
+        for (const photo of photos) {
+            for (const [style, dataURL] of photo.styledVersions) {
+                // The original is rebuilt from the source blob on load
+                if (style === 'original') continue;
+
+                // A render is stale when the parameters behind it changed since it was saved
+                const key = this.getRenderKey(photo.id, style);
+                const cacheKey = photo.renderKeys?.get(style) || null;
+                if (this.savedRenderKeys.has(key) && this.savedRenderKeys.get(key) === cacheKey) continue;
+
+                renders.push({
+                    key,
+                    photoId: photo.id,
+                    style,
+                    cacheKey,
+                    blob: await this.dataURLToBlob(dataURL)
+                });
+            }
+        }
+
+        return renders;
+    }
+
+    findStaleRenderKeys(photos) {
+        const heldKeys = new Set();
+        photos.forEach(photo => {
+            photo.styledVersions.forEach((dataURL, style) => heldKeys.add(this.getRenderKey(photo.id, style)));
+        });
+
+        return Array.from(this.savedRenderKeys.keys()).filter(key => !heldKeys.has(key));
+    }
+
+    async clearRenders() {
+        const db = await this.open();
+        const tx = db.transaction('renders', 'readwrite');
+        tx.objectStore('renders').clear();
+        await this.promisifyTransaction(tx);
+        this.savedRenderKeys.clear();
+    }
+
+    async clearAlbum() {
+        const db = await this.open();
+        const tx = db.transaction(['albums', 'photos', 'images', 'renders'], 'readwrite');
+        ['albums', 'photos', 'images', 'renders'].forEach(name => tx.objectStore(name).clear());
+        await this.promisifyTransaction(tx);
+
+        this.savedImageIds.clear();
+        this.savedRenderKeys.clear();
+        this.rendersDisabled = false;
+    }
+
+    // === CUSTOM STYLES ===
+
+    async loadCustomStyles() {
+        const db = await this.open();
+        const tx = db.transaction('customStyles', 'readonly');
+        return await this.promisifyRequest(tx.objectStore('customStyles').getAll());
+    }
+
+    async saveCustomStyle(record) {
+        const db = await this.open();
+        const tx = db.transaction('customStyles', 'readwrite');
+        tx.objectStore('customStyles').put(record);
+        await this.promisifyTransaction(tx);
+    }
+
+    async deleteCustomStyle(id) {
+        const db = await this.open();
+        const tx = db.transaction('customStyles', 'readwrite');
+        tx.objectStore('customStyles').delete(id);
+        await this.promisifyTransaction(tx);
+    }
+
+    // === SERIALIZATION ===
+
+    serializeAlbum() {
+        return {
+            id: this.albumId,
+            order: this.app.photos.map(photo => photo.id),
+            currentPage: this.app.currentPage,
+            currentStyle: this.app.currentStyle,
+            settings: { ...this.app.settings },
+            layout: this.app.bookLayout ? this.app.bookLayout.serialize() : null,
+            history: this.app.editHistory ? this.app.editHistory.serialize() : null,
+            people: this.app.faceClusters ? this.app.faceClusters.serialize() : null,
+            camera: this.app.controls ? this.app.controls.serialize() : null,
+            updatedAt: Date.now()
+        };
+    }
+
+    serializePhoto(photo) {
+        return {
+            id: photo.id,
+            albumId: this.albumId,
+            filename: photo.filename,
+            mimeType: photo.sourceBlob?.type || 'image/jpeg',
+            width: photo.width,
+            height: photo.height,
+            faces: photo.faces,
+            caption: photo.caption,
+            style: photo.style,
+            regions: photo.regions,
+            addedAt: photo.addedAt || Date.now()
+        };
+    }
+
+    getRenderKey(photoId, style) {
+        return `${photoId}:${style}`;
+    }
+
+    // === HELPERS ===
+
+    isQuotaError(error) {
+        return error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    notifyQuota(message, type = 'warning') {
+        if (this.quotaWarningShown && type !== 'error') return;
+        this.quotaWarningShown = true;
+        this.app.showNotification(message, type);
+    }
+
+    promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    promisifyTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+
+    async dataURLToBlob(dataURL) {
+        const response = await fetch(dataURL);
+        return await response.blob();
+    }
+
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.AlbumStore = AlbumStore;
+}
+
+console.log('💾 Album Store loaded');
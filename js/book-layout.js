@@ -0,0 +1,439 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Page Ordering and Chapters                      ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/book-layout.js                                              ║
+║ Purpose: Decide page order and insert chapter divider pages          ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Order by import, capture date, filename or manual arrangement      ║
+║ • Chapters from gaps in capture time (event, day, trip)              ║
+║ • Auto-generated chapter titles from the dates they span             ║
+║ • User-editable chapter titles, saved with the album                 ║
+║ • Rearranging by drag and drop or keyboard (manual order)            ║
+║ • Rebuilds the page stack without reloading photo textures           ║
+║                                                                      ║
+║ Integration: Requires main app instance (photos, pages, book)        ║
+║ Browser Support: ES6+, Intl.DateTimeFormat, Three.js r128            ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Book Layout */
+/* Page ordering modes and time-based chapter dividers */
+
+class BookLayout {
+    constructor(app) {
+        this.app = app;
+        this.orderMode = 'import';
+        this.chapterGrouping = 'off';
+        this.manualOrder = [];
+        // First photo ID of a chapter → title the user typed
+        this.chapterTitles = new Map();
+
+        this.orderModes = {
+            import: { name: 'Import Order' },
+            captured: { name: 'Capture Date' },
+            filename: { name: 'Filename' },
+            manual: { name: 'Manual' }
+        };
+
+        this.chapterGroupings = {
+            off: { name: 'No Chapters' },
+            event: { name: 'By Event', gap: 3 * 60 * 60 * 1000 },
+            day: { name: 'By Day' },
+            trip: { name: 'By Trip', gap: 36 * 60 * 60 * 1000 }
+        };
+    }
+
+    // === MODES ===
+
+    setOrderMode(mode) {
+        if (!this.orderModes[mode]) return;
+        const before = this.serialize();
+
+        // Manual starts from whatever the reader is looking at now
+        if (mode === 'manual' && this.orderMode !== 'manual') {
+            this.manualOrder = this.app.photos.map(photo => photo.id);
+        }
+
+        this.orderMode = mode;
+        this.apply();
+        this.commit(`Order by ${this.orderModes[mode].name}`, before);
+    }
+
+    setChapterGrouping(grouping) {
+        if (!this.chapterGroupings[grouping]) return;
+        const before = this.serialize();
+
+        this.chapterGrouping = grouping;
+        this.apply();
+        this.commit(`Chapters: ${this.chapterGroupings[grouping].name}`, before);
+    }
+
+    setManualOrder(photoIds, label = 'Reorder pages') {
+        const before = this.serialize();
+
+        this.manualOrder = [...photoIds];
+        this.orderMode = 'manual';
+        this.apply();
+        this.commit(label, before);
+    }
+
+    commit(label, before) {
+        this.app.persistAlbum();
+
+        const after = this.serialize();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.app.editHistory?.record({ type: 'layout', label, before, after });
+    }
+
+    // === REARRANGING ===
+
+    movePhotos(photoIds, targetId, placeAfter = false) {
+        const moving = new Set(photoIds);
+        // Dropping a group onto one of its own pages changes nothing
+        if (moving.has(targetId)) return false;
+
+        const current = this.app.photos.map(photo => photo.id);
+        const order = current.filter(id => !moving.has(id));
+        const targetIndex = order.indexOf(targetId);
+        if (targetIndex === -1) return false;
+
+        // Moved pages keep their relative order, even from a scattered selection
+        order.splice(targetIndex + (placeAfter ? 1 : 0), 0, ...current.filter(id => moving.has(id)));
+        this.setManualOrder(order);
+        return true;
+    }
+
+    nudgePhotos(photoIds, direction) {
+        const order = this.app.photos.map(photo => photo.id);
+        const moving = new Set(photoIds);
+        const positions = order.map((id, index) => (moving.has(id) ? index : -1)).filter(index => index !== -1);
+        if (positions.length === 0) return false;
+
+        const neighbor = direction < 0
+            ? order[positions[0] - 1]
+            : order[positions[positions.length - 1] + 1];
+        if (neighbor === undefined) return false;
+
+        return this.movePhotos(photoIds, neighbor, direction > 0);
+    }
+
+    insertAfter(photoId, referenceId) {
+        // Other modes place the new page by its own sort key
+        if (this.orderMode !== 'manual') return;
+
+        const index = this.manualOrder.indexOf(referenceId);
+        this.manualOrder.splice(index === -1 ? this.manualOrder.length : index + 1, 0, photoId);
+    }
+
+    chaptersEnabled() {
+        // Time gaps only read as chapters when pages run in time order
+        return this.orderMode === 'captured' && this.chapterGrouping !== 'off';
+    }
+
+    // === ORDERING ===
+
+    sortPhotos(photos) {
+        const indexed = photos.map((photo, index) => ({ photo, index }));
+        const byIndex = (a, b) => a.index - b.index;
+
+        switch (this.orderMode) {
+            case 'captured':
+                // Undated photos keep their relative order after the dated ones
+                indexed.sort((a, b) => {
+                    const timeA = a.photo.exif?.capturedAt ?? Infinity;
+                    const timeB = b.photo.exif?.capturedAt ?? Infinity;
+                    return timeA === timeB ? (a.photo.addedAt - b.photo.addedAt || byIndex(a, b)) : timeA - timeB;
+                });
+                break;
+            case 'filename':
+                indexed.sort((a, b) =>
+                    a.photo.filename.localeCompare(b.photo.filename, undefined, { numeric: true, sensitivity: 'base' }) || byIndex(a, b)
+                );
+                break;
+            case 'manual': {
+                const positions = new Map(this.manualOrder.map((id, position) => [id, position]));
+                // Photos added since the arrangement was saved go last, in import order
+                indexed.sort((a, b) => {
+                    const posA = positions.has(a.photo.id) ? positions.get(a.photo.id) : Infinity;
+                    const posB = positions.has(b.photo.id) ? positions.get(b.photo.id) : Infinity;
+                    return posA === posB ? (a.photo.addedAt - b.photo.addedAt || byIndex(a, b)) : posA - posB;
+                });
+                break;
+            }
+            case 'import':
+            default:
+                indexed.sort((a, b) => a.photo.addedAt - b.photo.addedAt || byIndex(a, b));
+        }
+
+        return indexed.map(entry => entry.photo);
+    }
+
+    // === CHAPTERS ===
+
+    groupChapters(photos) {
+        if (!this.chaptersEnabled()) return [];
+
+        const grouping = this.chapterGroupings[this.chapterGrouping];
+        const chapters = [];
+        let current = null;
+
+        photos.forEach(photo => {
+            const time = photo.exif?.capturedAt ?? null;
+            const previous = current ? current.end : null;
+
+            let startsChapter = !current;
+            if (current && time !== null) {
+                if (current.undated) {
+                    startsChapter = true;
+                } else if (this.chapterGrouping === 'day') {
+                    startsChapter = new Date(time).toDateString() !== new Date(previous).toDateString();
+                } else {
+                    startsChapter = time - previous > grouping.gap;
+                }
+            } else if (current && time === null && !current.undated) {
+                // Sorting puts undated photos last; they share one chapter
+                startsChapter = true;
+            }
+
+            if (startsChapter) {
+                current = {
+                    key: String(photo.id),
+                    photos: [],
+                    start: time,
+                    end: time,
+                    undated: time === null
+                };
+                chapters.push(current);
+            }
+
+            current.photos.push(photo);
+            if (time !== null) {
+                current.end = time;
+            }
+        });
+
+        chapters.forEach(chapter => {
+            chapter.autoTitle = this.createAutoTitle(chapter);
+            chapter.title = this.chapterTitles.get(chapter.key) || chapter.autoTitle;
+        });
+
+        return chapters;
+    }
+
+    createAutoTitle(chapter) {
+        if (chapter.undated) return 'Undated';
+
+        const start = new Date(chapter.start);
+        const end = new Date(chapter.end);
+
+        // Several events can share a day; the start time tells them apart
+        if (this.chapterGrouping === 'event' && start.toDateString() === end.toDateString()) {
+            return start.toLocaleString(undefined, {
+                weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+        }
+
+        if (this.chapterGrouping === 'day' || start.toDateString() === end.toDateString()) {
+            return start.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+        }
+
+        const format = new Intl.DateTimeFormat(undefined, { month: 'long', day: 'numeric', year: 'numeric' });
+        return typeof format.formatRange === 'function'
+            ? format.formatRange(start, end)
+            : `${format.format(start)} – ${format.format(end)}`;
+    }
+
+    renameChapter(key, title) {
+        const before = this.serialize();
+        const trimmed = (title || '').trim();
+        if (trimmed) {
+            this.chapterTitles.set(key, trimmed);
+        } else {
+            // Empty title goes back to the generated one
+            this.chapterTitles.delete(key);
+        }
+
+        this.apply();
+        this.commit('Rename chapter', before);
+    }
+
+    promptRenameChapter(chapter) {
+        const title = window.prompt('Chapter title (leave empty for the automatic title)', chapter.title);
+        if (title === null) return;
+        this.renameChapter(chapter.key, title);
+    }
+
+    // === PAGE STACK ===
+
+    apply() {
+        const app = this.app;
+        if (!app.book) return;
+
+        const currentMesh = app.pages[app.currentPage];
+        const sorted = this.sortPhotos(app.photos);
+        app.photos.splice(0, app.photos.length, ...sorted);
+
+        // Photo pages are reused so their textures do not reload; dividers are rebuilt
+        const photoPages = new Map();
+        app.pages.forEach(page => {
+            if (page.userData.photo) {
+                photoPages.set(page.userData.photo.id, page);
+            } else if (page.userData.chapter) {
+                this.app.disposePage(page);
+            }
+        });
+
+        const chapters = this.groupChapters(sorted);
+        const chapterStarts = new Map(chapters.map(chapter => [chapter.photos[0].id, chapter]));
+
+        const pages = [];
+        sorted.forEach(photo => {
+            const chapter = chapterStarts.get(photo.id);
+            if (chapter) {
+                pages.push(this.createChapterPage(chapter));
+            }
+            const page = photoPages.get(photo.id);
+            if (page) pages.push(page);
+        });
+
+        app.pages = pages;
+        this.restack();
+        this.reorderPreview();
+
+        // Stay on the same page where it still exists
+        const index = currentMesh ? pages.indexOf(currentMesh) : -1;
+        app.currentPage = Math.max(0, Math.min(index === -1 ? app.currentPage : index, pages.length - 1));
+
+        app.updatePageNavigation();
+        if (pages.length > 0) {
+            app.goToPage(app.currentPage);
+        }
+    }
+
+    restack() {
+        // Order decides which leaf and which side each page lands on
+        this.app.stackPages();
+    }
+
+    reorderPreview() {
+        const preview = document.getElementById('upload-preview');
+        if (!preview) return;
+
+        const items = new Map(
+            Array.from(preview.querySelectorAll('.preview-item')).map(item => [item.dataset.photoId, item])
+        );
+        this.app.photos.forEach(photo => {
+            const item = items.get(String(photo.id));
+            if (item) preview.appendChild(item);
+        });
+    }
+
+    createChapterPage(chapter) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 760;
+        canvas.height = 1060;
+        this.drawChapterPage(canvas, chapter);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshLambertMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        const page = new THREE.Mesh(this.app.createPageGeometry(), material);
+        page.userData = { chapter, pageIndex: 0 };
+        this.app.book.add(page);
+
+        return page;
+    }
+
+    drawChapterPage(canvas, chapter) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        const gradient = ctx.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, '#1e1e3f');
+        gradient.addColorStop(1, '#3b2a6b');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(40, 40, width - 80, height - 80);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '600 56px Georgia, serif';
+
+        const lines = this.wrapText(ctx, chapter.title, width - 160);
+        const lineHeight = 70;
+        const top = height / 2 - ((lines.length - 1) * lineHeight) / 2 - 30;
+        lines.forEach((line, index) => ctx.fillText(line, width / 2, top + index * lineHeight));
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '32px Georgia, serif';
+        const count = chapter.photos.length;
+        ctx.fillText(`${count} ${count === 1 ? 'photo' : 'photos'}`, width / 2, top + lines.length * lineHeight + 20);
+    }
+
+    wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        text.split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+
+        return lines;
+    }
+
+    // === PERSISTENCE ===
+
+    serialize(mapId = id => id) {
+        return {
+            orderMode: this.orderMode,
+            chapterGrouping: this.chapterGrouping,
+            manualOrder: this.manualOrder.map(mapId).filter(id => id !== undefined),
+            chapterTitles: Array.from(this.chapterTitles.entries())
+                .map(([key, title]) => [mapId(key), title])
+                .filter(([key]) => key !== undefined)
+        };
+    }
+
+    restore(data, mapId = id => id) {
+        if (!data) return;
+
+        if (this.orderModes[data.orderMode]) this.orderMode = data.orderMode;
+        if (this.chapterGroupings[data.chapterGrouping]) this.chapterGrouping = data.chapterGrouping;
+
+        this.manualOrder = (data.manualOrder || []).map(mapId).filter(id => id !== undefined);
+        this.chapterTitles = new Map(
+            (data.chapterTitles || [])
+                .map(([key, title]) => [mapId(key), title])
+                .filter(([key]) => key !== undefined)
+                .map(([key, title]) => [String(key), title])
+        );
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.BookLayout = BookLayout;
+}
+
+console.log('📚 Book Layout loaded');
@@ -0,0 +1,220 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Camera Orbit, Zoom and Focus                    ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/camera-controls.js                                          ║
+║ Purpose: Move the camera around the book with the mouse and presets  ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Drag to orbit, right- or Shift-drag to pan, wheel to zoom          ║
+║ • Damped motion toward a clamped goal, immediate with reduced motion ║
+║ • Preset views: front, reading angle and top-down                    ║
+║ • Focus on face: fly to a hotspot, back out on the next spread       ║
+║ • Camera view saved with the album and in album bundles              ║
+║                                                                      ║
+║ Integration: Requires main app instance with a camera rig            ║
+║ Browser Support: ES6+, Pointer Events, WebGL                         ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Camera Controls */
+/* Orbit, pan and zoom around the book, with preset views */
+
+class CameraControls {
+    constructor(app) {
+        this.app = app;
+
+        // Goals for app.setCameraGoal; pan is relative to the open spread's center
+        this.presets = {
+            front: { azimuth: 0, polar: 0, zoom: 1, panX: 0, panY: 0 },
+            reading: { azimuth: 0, polar: 0.45, zoom: 1.15, panX: 0, panY: -0.3 },
+            top: { azimuth: 0, polar: 1.2, zoom: 0.9, panX: 0, panY: 0 }
+        };
+
+        // Radians per pixel when orbiting, world units per pixel when panning
+        this.orbitSpeed = 0.005;
+        this.panSpeed = 0.01;
+        this.focusZoom = 2.5;
+
+        // { pointerId, mode: 'orbit' | 'pan', x, y } of a mouse drag
+        this.drag = null;
+        // The goal before focusing on a face, returned to on the next spread
+        this.beforeFocus = null;
+        // Index into the open spread's faces for the focus button
+        this.focusIndex = -1;
+        // Last goal written to the album, so unchanged views are not saved again
+        this.savedGoal = JSON.stringify(app.cameraGoal);
+
+        this.setupListeners();
+    }
+
+    // === EVENTS ===
+
+    setupListeners() {
+        const canvas = this.app.renderer?.domElement;
+        if (canvas) {
+            canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+            canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+            // Ctrl+wheel is a trackpad pinch, which page gestures already zoom
+            canvas.addEventListener('wheel', (e) => {
+                if (!e.ctrlKey) {
+                    e.preventDefault();
+                    this.app.zoomCamera(Math.exp(-e.deltaY * 0.002));
+                }
+                this.commit();
+            }, { passive: false });
+        }
+
+        document.querySelectorAll('[data-camera-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.cameraView));
+        });
+        document.getElementById('focus-face-btn')?.addEventListener('click', () => this.focusNextFace());
+    }
+
+    handlePointerDown(event) {
+        // Touch uses swipes and two-finger gestures; a mouse grab on a page edge turns it
+        if (event.pointerType !== 'mouse' || this.app.pageGestures?.drag) return;
+
+        const pan = event.button === 2 || event.button === 1 || event.shiftKey;
+        if (event.button !== 0 && !pan) return;
+
+        this.drag = { pointerId: event.pointerId, mode: pan ? 'pan' : 'orbit', x: event.clientX, y: event.clientY };
+        event.target.setPointerCapture(event.pointerId);
+    }
+
+    handlePointerMove(event) {
+        const drag = this.drag;
+        if (drag?.pointerId !== event.pointerId) return;
+
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+
+        if (drag.mode === 'pan') {
+            this.app.panCamera(-dx * this.panSpeed, dy * this.panSpeed);
+        } else {
+            this.app.orbitCamera(-dx * this.orbitSpeed, dy * this.orbitSpeed);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (this.drag?.pointerId === event.pointerId) {
+            this.drag = null;
+        }
+        // Pinches and orbits from page gestures end here too
+        this.commit();
+    }
+
+    // === VIEWS ===
+
+    setView(name) {
+        const preset = this.presets[name];
+        if (!preset) return;
+
+        this.beforeFocus = null;
+        this.app.setCameraGoal(preset);
+        this.commit();
+    }
+
+    getActiveView() {
+        const goal = this.app.cameraGoal;
+        return Object.keys(this.presets).find(name => {
+            const preset = this.presets[name];
+            return Object.keys(preset).every(key => Math.abs(preset[key] - goal[key]) < 0.01);
+        }) || null;
+    }
+
+    commit() {
+        document.querySelectorAll('[data-camera-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.cameraView === this.getActiveView()));
+        });
+
+        const goal = JSON.stringify(this.app.cameraGoal);
+        if (goal !== this.savedGoal) {
+            this.savedGoal = goal;
+            this.app.persistAlbum();
+        }
+    }
+
+    // === FOCUS ON FACE ===
+
+    getSpreadHotspots() {
+        return this.app.getSpreadPages()
+            .flatMap(page => page.children)
+            .filter(child => child.userData.face && child.visible);
+    }
+
+    focusNextFace() {
+        const hotspots = this.getSpreadHotspots();
+        if (hotspots.length === 0) {
+            this.app.showNotification('No faces on this spread');
+            return;
+        }
+
+        this.focusIndex = (this.focusIndex + 1) % hotspots.length;
+        this.focusHotspot(hotspots[this.focusIndex]);
+    }
+
+    focusHotspot(hotspot) {
+        const position = hotspot.getWorldPosition(new THREE.Vector3());
+
+        // Only the first focus remembers the view; hopping between faces keeps it
+        if (!this.beforeFocus) {
+            this.beforeFocus = { ...this.app.cameraGoal };
+        }
+
+        // Head-on, so the face is not seen at a slant across the page
+        this.app.setCameraGoal({
+            azimuth: 0,
+            polar: 0,
+            zoom: this.focusZoom,
+            panX: position.x - this.app.cameraRig.x,
+            panY: position.y
+        });
+        this.commit();
+    }
+
+    handleSpreadChange() {
+        // Faces belong to the spread they were on
+        this.focusIndex = -1;
+        if (!this.beforeFocus) return;
+
+        this.app.setCameraGoal(this.beforeFocus);
+        this.beforeFocus = null;
+        this.commit();
+    }
+
+    // === PERSISTENCE ===
+
+    serialize() {
+        // A face focus is not worth restoring without its face; save the view behind it
+        return { ...(this.beforeFocus || this.app.cameraGoal) };
+    }
+
+    restore(data) {
+        if (!data) return;
+
+        this.beforeFocus = null;
+        this.app.setCameraGoal(data);
+        // Opening an album starts at its view rather than gliding there
+        Object.assign(this.app.cameraView, this.app.cameraGoal);
+        this.savedGoal = JSON.stringify(this.app.cameraGoal);
+        this.commit();
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.CameraControls = CameraControls;
+}
+
+console.log('🎥 Camera Controls loaded');
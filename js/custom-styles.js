@@ -0,0 +1,402 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                Custom Styles From User Reference Images              ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/custom-styles.js                                            ║
+║ Purpose: Turn a user's own painting into a reusable artistic style   ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Style extraction from any reference image                          ║
+║ • AdaIN-style feature statistics over a Laplacian pyramid            ║
+║ • Registered alongside built-in styles (configs, models, buttons)    ║
+║ • Own parameters: strength, color transfer, texture                  ║
+║ • Works with blending, batch processing and export                   ║
+║ • Persisted in IndexedDB across sessions                             ║
+║                                                                      ║
+║ Style Representation:                                                ║
+║ • Color: per-channel mean/std of the low-pass YCbCr image            ║
+║ • Texture: per-channel std of each band-pass pyramid level           ║
+║                                                                      ║
+║ Integration: Requires main app, AdvancedStyleSystem, TensorFlow.js   ║
+║ Browser Support: ES6+, Canvas API, IndexedDB (via AlbumStore)        ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Custom Styles */
+/* Reference-image style extraction and registration of user styles */
+
+class CustomStyleManager {
+    constructor(app) {
+        this.app = app;
+        this.styles = new Map();
+        this.keyPrefix = 'custom_';
+
+        // Reference images are analysed at this size so statistics stay comparable
+        this.referenceSize = 512;
+        this.pyramidLevels = 4;
+
+        this.parameters = {
+            strength: { min: 0.0, max: 1.0, default: 0.8 },
+            colorTransfer: { min: 0.0, max: 1.0, default: 0.9 },
+            texture: { min: 0.0, max: 2.0, default: 1.0 }
+        };
+
+        this.createCustomStyleUI();
+    }
+
+    // === UI ===
+
+    createCustomStyleUI() {
+        const grid = document.querySelector('.style-grid');
+        if (!grid) return;
+
+        // Not a .style-btn: it opens a picker instead of selecting a style
+        const addButton = document.createElement('button');
+        addButton.className = 'style-add-btn';
+        addButton.id = 'add-custom-style';
+        addButton.setAttribute('aria-label', 'Create a style from your own artwork');
+        addButton.innerHTML = `
+            <div class="style-preview custom-add">+</div>
+            <span class="style-name">Your Art</span>
+        `;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+        fileInput.hidden = true;
+        fileInput.id = 'custom-style-input';
+
+        addButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.createFromFile(file);
+        });
+
+        grid.appendChild(addButton);
+        grid.appendChild(fileInput);
+    }
+
+    addStyleButton(record) {
+        const addButton = document.getElementById('add-custom-style');
+        if (!addButton) return;
+
+        const button = document.createElement('button');
+        button.className = 'style-btn custom-style';
+        button.dataset.style = record.id;
+        button.setAttribute('aria-pressed', 'false');
+        button.innerHTML = `
+            <div class="style-preview" style="background-image: url('${record.thumbnail}')"></div>
+            <span class="style-name"></span>
+            <span class="style-remove" role="button" aria-label="Delete style">✕</span>
+        `;
+        button.querySelector('.style-name').textContent = record.name;
+        button.title = record.name;
+
+        button.addEventListener('click', (e) => {
+            if (e.target.closest('.style-remove')) {
+                e.stopPropagation();
+                this.removeStyle(record.id);
+                return;
+            }
+            this.app.handleStyleChange(e);
+        });
+
+        addButton.before(button);
+    }
+
+    addBlendOption(record) {
+        const select = document.getElementById('secondary-style');
+        if (!select || select.querySelector(`option[value="${record.id}"]`)) return;
+
+        const option = document.createElement('option');
+        option.value = record.id;
+        option.textContent = record.name;
+        select.appendChild(option);
+    }
+
+    // === CREATION ===
+
+    async createFromFile(file) {
+        const suggested = file.name.replace(/\.[^.]+$/, '');
+        const name = window.prompt('Name your style', suggested);
+        if (name === null) return;
+
+        this.app.showProcessing('Analyzing your artwork...');
+
+        try {
+            const img = await this.app.loadImageFromBlob(file);
+            const canvas = this.drawScaled(img, this.referenceSize);
+
+            const record = {
+                id: `${this.keyPrefix}${Date.now().toString(36)}`,
+                name: name.trim() || suggested,
+                source: file.name,
+                createdAt: Date.now(),
+                statistics: await this.extractStatistics(canvas),
+                thumbnail: this.drawScaled(img, 120).toDataURL('image/jpeg', 0.8)
+            };
+
+            this.register(record);
+            await this.app.albumStore?.saveCustomStyle(record);
+
+            this.app.hideProcessing();
+            this.app.showNotification(`Added style "${record.name}"`);
+
+            // Select it straight away
+            document.querySelector(`.style-btn[data-style="${record.id}"]`)?.click();
+        } catch (error) {
+            console.error('❌ Custom style creation failed:', error);
+            this.app.hideProcessing();
+            this.app.showError('Could not create style', error.message);
+        }
+    }
+
+    drawScaled(img, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // === REGISTRATION ===
+
+    register(record) {
+        const system = this.app.advancedStyleSystem;
+        if (!system) {
+            throw new Error('Style system is not available');
+        }
+
+        system.styleConfigs[record.id] = {
+            name: record.name,
+            description: `Custom style from ${record.source}`,
+            modelUrl: null,
+            preview: record.thumbnail,
+            parameters: JSON.parse(JSON.stringify(this.parameters)),
+            processingIntensity: 'low',
+            facePreservation: 0.6,
+            custom: true
+        };
+
+        system.models.set(record.id, {
+            styleKey: record.id,
+            config: system.styleConfigs[record.id],
+            network: null,
+            source: 'custom',
+            process: async (imageData, parameters, intensity) => {
+                const pixels = await this.applyStatistics(imageData, record.statistics, parameters);
+                return StyleFilters.mix(imageData.data, pixels, intensity);
+            },
+            blend: async (imageData, otherStyle, weight) => {
+                return await system.blendStyles(imageData, record.id, otherStyle, weight);
+            },
+            getStyleVector: () => {
+                return this.getStyleVector(record);
+            }
+        });
+
+        this.styles.set(record.id, record);
+        this.addStyleButton(record);
+        this.addBlendOption(record);
+    }
+
+    async restoreStyles() {
+        if (!this.app.albumStore) return;
+
+        try {
+            const records = await this.app.albumStore.loadCustomStyles();
+            records
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach(record => this.register(record));
+
+            if (records.length > 0) {
+                console.log(`✅ Restored ${records.length} custom styles`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not restore custom styles:', error);
+        }
+    }
+
+    async importStyles(records = []) {
+        // Styles that came with an album bundle; ones already here are kept as they are
+        const added = records.filter(record => !this.styles.has(record.id));
+
+        for (const record of added) {
+            this.register(record);
+            try {
+                await this.app.albumStore?.saveCustomStyle(record);
+            } catch (error) {
+                console.warn(`⚠️ Could not save style "${record.name}":`, error);
+            }
+        }
+
+        if (added.length > 0) {
+            this.app.showNotification(`Added ${added.length} ${added.length === 1 ? 'style' : 'styles'} from the album`);
+        }
+    }
+
+    async removeStyle(styleKey) {
+        const record = this.styles.get(styleKey);
+        if (!record || !window.confirm(`Delete the style "${record.name}"?`)) return;
+
+        const system = this.app.advancedStyleSystem;
+        delete system.styleConfigs[styleKey];
+        system.models.delete(styleKey);
+        this.styles.delete(styleKey);
+
+        document.querySelector(`.style-btn[data-style="${styleKey}"]`)?.remove();
+        document.querySelector(`#secondary-style option[value="${styleKey}"]`)?.remove();
+
+        // Pages already rendered keep their cached image
+        if (this.app.currentStyle === styleKey) {
+            document.querySelector('.style-btn[data-style="original"]')?.click();
+        }
+
+        try {
+            await this.app.albumStore?.deleteCustomStyle(styleKey);
+        } catch (error) {
+            console.warn('⚠️ Could not delete saved style:', error);
+        }
+    }
+
+    getStyleVector(record) {
+        const { colorMean, colorStd, bandStd } = record.statistics;
+        return new Float32Array([...colorMean, ...colorStd, ...bandStd.flat()]);
+    }
+
+    // === STYLE STATISTICS ===
+
+    async extractStatistics(canvas) {
+        const moments = tf.tidy(() => {
+            const image = tf.browser.fromPixels(canvas).toFloat().div(255);
+            const { bands, residual } = this.buildPyramid(this.toYCbCr(image));
+
+            const color = tf.moments(residual, [0, 1]);
+            return {
+                colorMean: color.mean,
+                colorStd: color.variance.sqrt(),
+                bandStd: bands.map(band => tf.moments(band, [0, 1]).variance.sqrt())
+            };
+        });
+
+        const statistics = {
+            colorMean: Array.from(await moments.colorMean.data()),
+            colorStd: Array.from(await moments.colorStd.data()),
+            bandStd: []
+        };
+        for (const band of moments.bandStd) {
+            statistics.bandStd.push(Array.from(await band.data()));
+        }
+
+        tf.dispose(moments);
+        return statistics;
+    }
+
+    buildPyramid(image) {
+        // Each band holds the detail lost by halving; the residual is the coarse image
+        const bands = [];
+        let current = image;
+
+        for (let level = 0; level < this.pyramidLevels; level++) {
+            const [height, width] = current.shape;
+            if (Math.min(height, width) < 16) break;
+
+            const down = tf.image.resizeBilinear(this.blur(current), [Math.ceil(height / 2), Math.ceil(width / 2)]);
+            const up = tf.image.resizeBilinear(down, [height, width]);
+
+            bands.push(current.sub(up));
+            current = down;
+        }
+
+        return { bands, residual: current };
+    }
+
+    blur(image) {
+        return tf.avgPool(image.expandDims(0), 3, 1, 'same').squeeze([0]);
+    }
+
+    // === STYLE APPLICATION ===
+
+    async applyStatistics(imageData, statistics, parameters = {}) {
+        const { strength, colorTransfer, texture } = { ...this.getDefaultParameters(), ...parameters };
+
+        const result = tf.tidy(() => {
+            const image = tf.browser.fromPixels(imageData).toFloat().div(255);
+            const { bands, residual } = this.buildPyramid(this.toYCbCr(image));
+
+            // AdaIN on the low-pass image: adopt the reference's color mean and spread
+            const { mean, variance } = tf.moments(residual, [0, 1]);
+            const adapted = residual
+                .sub(mean)
+                .div(variance.sqrt().add(1e-5))
+                .mul(tf.tensor1d(statistics.colorStd))
+                .add(tf.tensor1d(statistics.colorMean));
+            let rebuilt = residual.add(adapted.sub(residual).mul(strength * colorTransfer));
+
+            // Rebuild coarse to fine, rescaling each detail band toward the reference's energy
+            for (let level = bands.length - 1; level >= 0; level--) {
+                const band = bands[level];
+                const target = statistics.bandStd[Math.min(level, statistics.bandStd.length - 1)];
+
+                let gain = tf.scalar(1);
+                if (target) {
+                    const bandStd = tf.moments(band, [0, 1]).variance.sqrt().add(1e-5);
+                    const ratio = tf.tensor1d(target).div(bandStd);
+                    gain = ratio.sub(1).mul(strength * texture).add(1).clipByValue(0, 4);
+                }
+
+                rebuilt = tf.image.resizeBilinear(rebuilt, band.shape.slice(0, 2)).add(band.mul(gain));
+            }
+
+            return this.fromYCbCr(rebuilt).clipByValue(0, 1);
+        });
+
+        try {
+            return await tf.browser.toPixels(result);
+        } finally {
+            result.dispose();
+        }
+    }
+
+    getDefaultParameters() {
+        const defaults = {};
+        Object.entries(this.parameters).forEach(([name, config]) => {
+            defaults[name] = config.default;
+        });
+        return defaults;
+    }
+
+    // === COLOR SPACE ===
+
+    toYCbCr(image) {
+        // Rows are input channels (R, G, B); Cb/Cr centered on zero
+        const matrix = tf.tensor2d([
+            [0.299, -0.168736, 0.5],
+            [0.587, -0.331264, -0.418688],
+            [0.114, 0.5, -0.081312]
+        ]);
+        return image.reshape([-1, 3]).matMul(matrix).reshape(image.shape);
+    }
+
+    fromYCbCr(image) {
+        const matrix = tf.tensor2d([
+            [1, 1, 1],
+            [0, -0.344136, 1.772],
+            [1.402, -0.714136, 0]
+        ]);
+        return image.reshape([-1, 3]).matMul(matrix).reshape(image.shape);
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.CustomStyleManager = CustomStyleManager;
+}
+
+console.log('🎨 Custom Styles loaded');
@@ -0,0 +1,222 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                       Undo/Redo Edit History                         ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/edit-history.js                                             ║
+║ Purpose: Command history so editor actions can be undone and redone  ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Plain-data commands replayed by per-type handlers                  ║
+║ • Undo and redo stacks, redo cleared by new edits                    ║
+║ • Coalescing of rapid slider edits into one step                     ║
+║ • Byte and entry budgets; oldest steps dropped first                 ║
+║ • Saved with the album (session-only steps are skipped)              ║
+║                                                                      ║
+║ Integration: Requires main app instance; handlers set up by the app  ║
+║ Browser Support: ES6+                                                ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Edit History */
+/* Command-pattern undo/redo shared by the whole editor */
+
+class EditHistory {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+        this.maxEntries = options.maxEntries || 200;
+        // Slider drags arrive as many edits; ones this close together become one step
+        this.coalesceWindow = options.coalesceWindow || 1000;
+
+        this.handlers = new Map();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.bytes = 0;
+        this.isApplying = false;
+        this.listeners = [];
+    }
+
+    // === HANDLERS ===
+
+    register(type, handler) {
+        // handler: { undo(command), redo(command), measure?(command) }
+        this.handlers.set(type, handler);
+    }
+
+    // === RECORDING ===
+
+    record(command) {
+        // Replaying a step must not record it again
+        if (this.isApplying) return null;
+        if (!this.handlers.has(command.type)) {
+            throw new Error(`No history handler for "${command.type}"`);
+        }
+
+        const entry = { ...command, time: Date.now() };
+        const top = this.undoStack[this.undoStack.length - 1];
+
+        if (entry.coalesce && top && top.coalesce === entry.coalesce && entry.time - top.time < this.coalesceWindow) {
+            // Keep where the drag started, take where it ended
+            this.bytes -= top.bytes;
+            top.after = entry.after;
+            top.time = entry.time;
+            top.bytes = this.measure(top);
+            this.bytes += top.bytes;
+        } else {
+            entry.bytes = this.measure(entry);
+            this.undoStack.push(entry);
+            this.bytes += entry.bytes;
+        }
+
+        this.dropRedo();
+        this.trim();
+        this.changed();
+        return this.undoStack[this.undoStack.length - 1];
+    }
+
+    // === UNDO / REDO ===
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isApplying;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isApplying;
+    }
+
+    async undo(expected = null) {
+        const command = this.undoStack[this.undoStack.length - 1];
+        // A notification's Undo button only applies while its step is still on top
+        if (!command || this.isApplying || (expected && command !== expected)) return false;
+
+        this.undoStack.pop();
+        await this.replay(command, 'undo');
+        this.redoStack.push(command);
+        this.changed();
+        return true;
+    }
+
+    async redo() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        if (!command || this.isApplying) return false;
+
+        this.redoStack.pop();
+        await this.replay(command, 'redo');
+        this.undoStack.push(command);
+        this.changed();
+        return true;
+    }
+
+    async replay(command, direction) {
+        this.isApplying = true;
+        try {
+            await this.handlers.get(command.type)[direction](command);
+        } catch (error) {
+            console.error(`❌ Could not ${direction} "${command.label}":`, error);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    // === BUDGET ===
+
+    measure(command) {
+        const handler = this.handlers.get(command.type);
+        if (handler && handler.measure) {
+            return handler.measure(command);
+        }
+        // JavaScript strings are UTF-16: two bytes per character
+        return JSON.stringify({ before: command.before, after: command.after }).length * 2;
+    }
+
+    trim() {
+        // The oldest undo steps go first; redo steps were already dropped by the new edit
+        while (this.undoStack.length > 1 && (this.bytes > this.maxBytes || this.undoStack.length > this.maxEntries)) {
+            this.bytes -= this.undoStack.shift().bytes;
+        }
+    }
+
+    dropRedo() {
+        this.redoStack.forEach(command => {
+            this.bytes -= command.bytes;
+        });
+        this.redoStack = [];
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.bytes = 0;
+        this.changed();
+    }
+
+    // === PERSISTENCE ===
+
+    serialize() {
+        // Session-only steps hold live objects (removed photos) that are not saved with the album
+        const save = command => ({
+            type: command.type,
+            label: command.label,
+            before: command.before,
+            after: command.after,
+            time: command.time
+        });
+
+        return {
+            undo: this.undoStack.filter(command => !command.transient).map(save),
+            redo: this.redoStack.filter(command => !command.transient).map(save)
+        };
+    }
+
+    restore(data) {
+        if (!data) return;
+
+        const load = commands => (commands || [])
+            .filter(command => this.handlers.has(command.type))
+            .map(command => ({ ...command, bytes: this.measure(command) }));
+
+        this.undoStack = load(data.undo);
+        this.redoStack = load(data.redo);
+        this.bytes = [...this.undoStack, ...this.redoStack].reduce((total, command) => total + command.bytes, 0);
+        this.trim();
+        this.changed();
+    }
+
+    // === EVENTS ===
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    changed() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('❌ History listener failed:', error);
+            }
+        });
+    }
+
+    getEntries() {
+        // Newest first, redo steps above the current point
+        return [
+            ...this.redoStack.map(command => ({ command, undone: true })),
+            ...this.undoStack.slice().reverse().map(command => ({ command, undone: false }))
+        ];
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.EditHistory = EditHistory;
+}
+
+console.log('↩️ Edit History loaded');
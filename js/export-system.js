@@ -59,7 +59,15 @@ class ExportSystem {
             PNG: { extension: 'png', mimeType: 'image/png', quality: 1.0 },
             WEBP: { extension: 'webp', mimeType: 'image/webp', quality: 0.9 },
             PDF: { extension: 'pdf', mimeType: 'application/pdf', quality: 1.0 },
-            ZIP: { extension: 'zip', mimeType: 'application/zip', quality: 1.0 }
+            ZIP: { extension: 'zip', mimeType: 'application/zip', quality: 1.0 },
+            NSMB: { extension: 'nsmb', mimeType: 'application/x-nsmb', quality: 1.0 }
+        };
+        
+        this.pdfMargins = {
+            none: 0,
+            narrow: 18,
+            normal: 36,
+            wide: 72
         };
         
         this.qualityPresets = {
@@ -153,6 +161,13 @@ class ExportSystem {
                                         <small>Multiple files</small>
                                     </span>
                                 </label>
+                                <label class="format-option">
+                                    <input type="radio" name="format" value="NSMB">
+                                    <span class="format-label">
+                                        <strong>Album</strong>
+                                        <small>Reopen later (.nsmb)</small>
+                                    </span>
+                                </label>
                             </div>
                         </section>
                         
@@ -213,6 +228,42 @@ class ExportSystem {
                             </div>
                         </section>
                         
+                        <!-- PDF Layout -->
+                        <section class="export-section pdf-options" id="pdf-options" hidden>
+                            <h4 class="export-section-title">PDF Layout</h4>
+                            <div class="pdf-options-grid">
+                                <label class="pdf-option">
+                                    <span class="pdf-option-label">Page size</span>
+                                    <select id="pdf-page-size" class="select-input">
+                                        <option value="a4" selected>A4</option>
+                                        <option value="letter">US Letter</option>
+                                        <option value="square">Square photobook (8×8 in)</option>
+                                    </select>
+                                </label>
+                                <label class="pdf-option">
+                                    <span class="pdf-option-label">Margins</span>
+                                    <select id="pdf-margin" class="select-input">
+                                        <option value="none">None</option>
+                                        <option value="narrow">Narrow</option>
+                                        <option value="normal" selected>Normal</option>
+                                        <option value="wide">Wide</option>
+                                    </select>
+                                </label>
+                            </div>
+                            <input type="text" id="pdf-title" class="filename-input" 
+                                   placeholder="Album title" value="Neural Style Memory Book" aria-label="Album title">
+                            <div class="style-export-options">
+                                <label class="checkbox-option">
+                                    <input type="checkbox" id="pdf-title-page" checked>
+                                    <span class="checkbox-label">Title page</span>
+                                </label>
+                                <label class="checkbox-option">
+                                    <input type="checkbox" id="pdf-captions" checked>
+                                    <span class="checkbox-label">Page captions</span>
+                                </label>
+                            </div>
+                        </section>
+                        
                         <!-- File Naming -->
                         <section class="export-section">
                             <h4 class="export-section-title">File Naming</h4>
@@ -355,6 +406,11 @@ class ExportSystem {
             checkbox.addEventListener('change', () => this.updatePreview());
         });
         
+        // PDF layout
+        document.querySelectorAll('#pdf-page-size, #pdf-margin').forEach(select => {
+            select.addEventListener('change', () => this.updatePreview());
+        });
+        
         // Add export button to main UI
         this.addExportButtonToUI();
     }
@@ -445,9 +501,10 @@ class ExportSystem {
         const format = document.querySelector('input[name="format"]:checked')?.value || 'JPEG';
         const filename = document.getElementById('export-filename').value || 'export';
         const quality = parseInt(document.getElementById('export-quality').value) / 100;
+        const preset = document.querySelector('.quality-btn.active')?.dataset.preset || 'medium';
         
         // Calculate estimated file size
-        const estimatedSize = this.calculateEstimatedSize(exportType, format, quality);
+        const estimatedSize = this.calculateEstimatedSize(exportType, format, quality, preset);
         
         // Calculate file count
         const fileCount = this.calculateFileCount(exportType, format);
@@ -455,42 +512,48 @@ class ExportSystem {
         // Generate final filename
         const finalFilename = this.generateFinalFilename(filename, format, exportType);
         
+        // PDF layout options only matter for PDF exports
+        document.getElementById('pdf-options').hidden = format !== 'PDF';
+        
         // Update preview display
         document.getElementById('estimated-size').textContent = this.formatFileSize(estimatedSize);
         document.getElementById('file-count').textContent = fileCount;
         document.getElementById('final-filename').textContent = finalFilename;
     }
     
-    calculateEstimatedSize(exportType, format, quality) {
-        const baseSize = 1024 * 1024; // 1MB base
-        let multiplier = 1;
-        
-        switch (exportType) {
-            case 'current':
-                multiplier = 1;
-                break;
-            case 'album':
-                multiplier = this.app.photos.length;
-                break;
-            case 'selection':
-                multiplier = this.getSelectedPhotosCount();
-                break;
+    calculateEstimatedSize(exportType, format, quality, presetName = 'medium') {
+        // Album bundles carry the untouched originals of the whole book
+        if (format === 'NSMB') {
+            return this.app.photos.reduce((total, photo) => total + (photo.sourceBlob?.size || 1024 * 1024), 0);
         }
         
-        // Format-specific calculations
-        const formatMultipliers = {
-            JPEG: quality * 0.8,
-            PNG: 1.2,
-            WEBP: quality * 0.6,
-            PDF: multiplier * 0.9,
-            ZIP: multiplier * quality
-        };
-        
-        return baseSize * multiplier * (formatMultipliers[format] || 1);
+        const preset = this.qualityPresets[presetName] || this.qualityPresets.medium;
+        const imageFormat = this.getImageFormat(format);
+        
+        // Rough compressed bytes per output pixel
+        const jpegBytesPerPixel = 0.05 + 0.45 * quality * quality;
+        const bytesPerPixel = {
+            JPEG: jpegBytesPerPixel,
+            WEBP: jpegBytesPerPixel * 0.7,
+            PNG: 1.8
+        }[imageFormat] || jpegBytesPerPixel;
+        
+        // ZIP exports hold one file per requested version of each photo
+        const copies = format === 'ZIP'
+            ? Math.max(1, this.getExportVariants({
+                includeOriginal: document.getElementById('include-original').checked,
+                includeStyled: document.getElementById('include-styled').checked
+            }).length)
+            : 1;
+        
+        return this.getPhotosForExport(exportType).reduce((total, photo) => {
+            const { width, height } = this.calculateOutputDimensions(photo, preset);
+            return total + width * height * bytesPerPixel * copies;
+        }, 0);
     }
     
     calculateFileCount(exportType, format) {
-        if (format === 'ZIP' || format === 'PDF') {
+        if (format === 'ZIP' || format === 'PDF' || format === 'NSMB') {
             return 1;
         }
         
@@ -509,6 +572,10 @@ class ExportSystem {
     generateFinalFilename(base, format, exportType) {
         const extension = this.exportFormats[format].extension;
         
+        if (format === 'NSMB') {
+            return `${base}.${extension}`;
+        }
+        
         if (exportType === 'album' || exportType === 'selection') {
             if (format === 'ZIP') {
                 return `${base}.${extension}`;
@@ -536,8 +603,15 @@ class ExportSystem {
     }
     
     getSelectedPhotosCount() {
-        // Placeholder for selection functionality
-        return Math.min(3, this.app.photos.length);
+        return this.app.selection ? this.app.selection.count : 0;
+    }
+    
+    handleSelectionChange() {
+        // Keep the size and file-count preview in step while the dialog is open
+        const modal = document.getElementById('export-modal');
+        if (modal && modal.getAttribute('aria-hidden') === 'false') {
+            this.updatePreview();
+        }
     }
     
     // === EXPORT PROCESSING ===
@@ -573,6 +647,13 @@ class ExportSystem {
             this.app.showProcessing('Preparing for sharing...');
             
             const exportConfig = this.getExportConfiguration();
+            
+            // Several selected images are shared together as one ZIP
+            if (exportConfig.type === 'selection' && this.getSelectedPhotosCount() > 1 &&
+                ['JPEG', 'PNG', 'WEBP'].includes(exportConfig.format)) {
+                exportConfig.format = 'ZIP';
+            }
+            
             const exportData = await this.processExport(exportConfig);
             
             await this.openShareModal(exportData, exportConfig);
@@ -595,13 +676,33 @@ class ExportSystem {
             includeOriginal: document.getElementById('include-original').checked,
             includeStyled: document.getElementById('include-styled').checked,
             includeMetadata: document.getElementById('include-metadata').checked,
-            watermark: document.getElementById('watermark').checked
+            watermark: document.getElementById('watermark').checked,
+            pdf: {
+                pageSize: document.getElementById('pdf-page-size').value,
+                margin: this.pdfMargins[document.getElementById('pdf-margin').value] ?? this.pdfMargins.normal,
+                title: document.getElementById('pdf-title').value.trim() || 'Neural Style Memory Book',
+                titlePage: document.getElementById('pdf-title-page').checked,
+                captions: document.getElementById('pdf-captions').checked
+            }
         };
     }
     
     async processExport(config) {
         const { type, format } = config;
         
+        // Album bundles always contain the whole book
+        if (format === 'NSMB') {
+            return await this.createAlbumArchive(config);
+        }
+        
+        if (format === 'ZIP') {
+            return await this.createZipFile(this.getPhotosForExport(type), config);
+        }
+        
+        if (format === 'PDF') {
+            return await this.createPDFAlbum(this.getPhotosForExport(type), config);
+        }
+        
         switch (type) {
             case 'current':
                 return await this.exportCurrentImage(config);
@@ -621,38 +722,78 @@ class ExportSystem {
         
         const currentPage = this.app.pages[this.app.currentPage];
         const photo = currentPage.userData.photo;
+        if (!photo) {
+            throw new Error('The current page is a chapter divider. Turn to a photo to export it.');
+        }
         
-        return await this.processPhoto(photo, config);
+        return await this.processPhoto(photo, config, { variant: this.getPrimaryVariant(config) });
     }
     
     async exportFullAlbum(config) {
-        if (this.app.photos.length === 0) {
+        const photos = this.getPhotosForExport('album');
+        if (photos.length === 0) {
             throw new Error('No photos to export');
         }
         
+        // One file per page, as the export dialog's file count promises
+        return await this.exportImages(photos, config);
+    }
+    
+    async exportSelectedImages(config) {
+        const photos = this.getPhotosForExport('selection');
+        if (photos.length === 0) {
+            throw new Error('No images selected. Select pages in the upload preview or page strip first.');
+        }
+        
+        return await this.exportImages(photos, config);
+    }
+    
+    async exportImages(photos, config) {
         const processedPhotos = [];
+        const variant = this.getPrimaryVariant(config);
         
-        for (let i = 0; i < this.app.photos.length; i++) {
-            this.app.updateProcessingText(`Processing image ${i + 1} of ${this.app.photos.length}...`);
-            const photoData = await this.processPhoto(this.app.photos[i], config);
-            processedPhotos.push(photoData);
+        for (let i = 0; i < photos.length; i++) {
+            this.app.updateProcessingText(`Processing image ${i + 1} of ${photos.length}...`);
+            processedPhotos.push(await this.processPhoto(photos[i], config, { index: i, variant }));
         }
         
-        if (config.format === 'ZIP') {
-            return await this.createZipFile(processedPhotos, config);
-        } else if (config.format === 'PDF') {
-            return await this.createPDFAlbum(processedPhotos, config);
+        // A single image behaves like a current-image export
+        return processedPhotos.length === 1 ? processedPhotos[0] : processedPhotos;
+    }
+    
+    getPhotosForExport(type) {
+        switch (type) {
+            case 'album':
+                return this.app.photos;
+            case 'selection':
+                return this.app.selection ? this.app.selection.getSelectedPhotos() : [];
+            case 'current':
+            default:
+                return this.app.pages.length > 0 && this.app.pages[this.app.currentPage].userData.photo
+                    ? [this.app.pages[this.app.currentPage].userData.photo]
+                    : [];
         }
-        
-        return processedPhotos[0]; // Return first image for single format exports
     }
     
-    async exportSelectedImages(config) {
-        // Placeholder for selection functionality
-        return await this.exportCurrentImage(config);
+    getExportVariants(config) {
+        const variants = [];
+        if (config.includeOriginal) variants.push('original');
+        if (config.includeStyled) variants.push('styled');
+        return variants;
+    }
+    
+    getPrimaryVariant(config) {
+        // Single-image formats carry one version; styled wins unless only originals were asked for
+        return config.includeStyled || !config.includeOriginal ? 'styled' : 'original';
+    }
+    
+    getImageFormat(format) {
+        // Container formats embed their photos as JPEG
+        return format === 'ZIP' || format === 'PDF' ? 'JPEG' : format;
     }
     
-    async processPhoto(photo, config) {
+    async processPhoto(photo, config, options = {}) {
+        const { variant = 'styled', index } = options;
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         
@@ -663,8 +804,10 @@ class ExportSystem {
         canvas.width = width;
         canvas.height = height;
         
-        // Get the styled image
-        const styledImage = await this.app.applyStyleTransfer(photo, this.app.currentStyle);
+        // Get the page's own style (or the untouched image)
+        const styledImage = variant === 'original'
+            ? await this.app.applyStyleTransfer(photo, 'original')
+            : await this.app.renderPhotoStyle(photo);
         const img = new Image();
         
         return new Promise((resolve) => {
@@ -678,12 +821,12 @@ class ExportSystem {
                 }
                 
                 // Convert to desired format
-                const formatConfig = this.exportFormats[config.format];
+                const formatConfig = this.exportFormats[this.getImageFormat(config.format)];
                 const dataURL = canvas.toDataURL(formatConfig.mimeType, config.quality);
                 
                 resolve({
                     dataURL,
-                    filename: this.generatePhotoFilename(photo, config),
+                    filename: this.generatePhotoFilename(photo, config, { index, variant }),
                     mimeType: formatConfig.mimeType,
                     canvas,
                     metadata: config.includeMetadata ? this.extractMetadata(photo) : null
@@ -734,20 +877,39 @@ class ExportSystem {
         ctx.restore();
     }
     
-    generatePhotoFilename(photo, config) {
+    generatePhotoFilename(photo, config, options = {}) {
+        const { index, variant = 'styled' } = options;
         const base = config.filename || 'neural-style-image';
-        const extension = this.exportFormats[config.format].extension;
-        const style = this.app.currentStyle !== 'original' ? `_${this.app.currentStyle}` : '';
+        const extension = this.exportFormats[this.getImageFormat(config.format)].extension;
+        const counter = index !== undefined ? `-${String(index + 1).padStart(3, '0')}` : '';
+        const styleName = this.app.getStyleVersionKey(photo.style);
+        const style = variant === 'styled' && styleName !== 'original' ? `_${styleName}` : '';
         
-        return `${base}${style}.${extension}`;
+        return `${base}${counter}${style}.${extension}`;
     }
     
     extractMetadata(photo) {
         return {
             filename: photo.filename,
             originalSize: { width: photo.width, height: photo.height },
-            style: this.app.currentStyle,
+            style: photo.style.name,
+            styleParameters: photo.style.parameters || {},
+            styleIntensity: photo.style.intensity ?? this.app.settings.styleIntensity,
+            blend: photo.style.blend || null,
+            preserveFaces: photo.style.preserveFaces || null,
+            regions: photo.regions.map(region => ({ name: region.name, source: region.source, style: region.style.name })),
             faces: photo.faces.length,
+            memories: photo.faces
+                .filter(face => face.memory)
+                .map(face => ({
+                    name: this.app.faceClusters?.getPersonName(face.personId) || face.memory.name,
+                    note: face.memory.note,
+                    date: face.memory.date || null
+                })),
+            capturedAt: photo.exif?.capturedAt ? new Date(photo.exif.capturedAt).toISOString() : null,
+            camera: photo.exif?.camera || null,
+            exposure: photo.exif?.exposure || null,
+            gps: photo.exif?.gps || null,
             exportTime: new Date().toISOString(),
             app: 'Neural Style Memory Book'
         };
@@ -768,7 +930,7 @@ class ExportSystem {
     }
     
     async downloadSingleFile(data) {
-        const blob = this.dataURLToBlob(data.dataURL);
+        const blob = this.getExportBlob(data);
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -783,6 +945,10 @@ class ExportSystem {
         URL.revokeObjectURL(url);
     }
     
+    getExportBlob(data) {
+        return data.blob || this.dataURLToBlob(data.dataURL);
+    }
+    
     dataURLToBlob(dataURL) {
         const arr = dataURL.split(',');
         const mime = arr[0].match(/:(.*?);/)[1];
@@ -800,69 +966,177 @@ class ExportSystem {
     // === ZIP FILE CREATION ===
     
     async createZipFile(photos, config) {
-        // Simplified ZIP creation (in production, use JSZip library)
-        const zip = {
-            files: photos,
-            filename: `${config.filename}.zip`,
-            mimeType: 'application/zip'
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('ZIP export is not available');
+        }
+        
+        if (photos.length === 0) {
+            throw new Error('No photos to export');
+        }
+        
+        let variants = this.getExportVariants(config);
+        if (variants.length === 0) {
+            throw new Error('Select original or styled images to include in the archive');
+        }
+        
+        // Unstyled books would otherwise store every photo twice
+        if (photos.every(photo => photo.style.name === 'original') && variants.length > 1) {
+            variants = ['original'];
+        }
+        
+        const zip = new ZipWriter({ compression: 'auto' });
+        const useFolders = variants.length > 1;
+        const metadata = [];
+        
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            
+            for (const variant of variants) {
+                this.app.updateProcessingText(`Adding ${variant} image ${i + 1} of ${photos.length} to archive...`);
+                
+                const photoData = await this.processPhoto(photo, config, { index: i, variant });
+                const path = useFolders ? `${variant}/${photoData.filename}` : photoData.filename;
+                await zip.addFile(path, this.dataURLToBlob(photoData.dataURL));
+            }
+            
+            if (config.includeMetadata) {
+                metadata.push(this.extractMetadata(photo));
+            }
+        }
+        
+        if (config.includeMetadata) {
+            await zip.addFile('metadata.json', JSON.stringify({
+                app: 'Neural Style Memory Book',
+                exportTime: new Date().toISOString(),
+                photos: metadata
+            }, null, 2));
+        }
+        
+        this.app.updateProcessingText('Finalizing archive...');
+        const blob = await zip.finalize(this.exportFormats.ZIP.mimeType);
+        
+        return {
+            blob,
+            filename: `${config.filename}.${this.exportFormats.ZIP.extension}`,
+            mimeType: this.exportFormats.ZIP.mimeType
         };
+    }
+    
+    // === ALBUM BUNDLE CREATION ===
+    
+    async createAlbumArchive(config) {
+        if (!this.app.albumArchive) {
+            throw new Error('Album bundles are not available');
+        }
+        
+        this.app.updateProcessingText('Bundling album...');
+        const blob = await this.app.albumArchive.createArchive({ title: config.filename });
         
-        // For demo purposes, return the first photo
-        // In production, this would create an actual ZIP file
         return {
-            ...photos[0],
-            filename: zip.filename,
-            mimeType: zip.mimeType
+            blob,
+            filename: `${config.filename}.${this.exportFormats.NSMB.extension}`,
+            mimeType: this.exportFormats.NSMB.mimeType
         };
     }
     
     // === PDF CREATION ===
     
     async createPDFAlbum(photos, config) {
-        // Simplified PDF creation (in production, use jsPDF library)
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+        if (typeof PdfWriter === 'undefined') {
+            throw new Error('PDF export is not available');
+        }
         
-        // Standard PDF page size (A4)
-        canvas.width = 794; // A4 width at 96 DPI
-        canvas.height = 1123; // A4 height at 96 DPI
+        if (photos.length === 0) {
+            throw new Error('No photos to export');
+        }
         
-        // Create a simple album layout
-        ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        const layout = config.pdf;
+        const pdf = new PdfWriter({ pageSize: layout.pageSize, title: layout.title });
+        const { pageWidth, pageHeight } = pdf;
+        const margin = layout.margin;
+        const variant = this.getPrimaryVariant(config);
+        let previewCanvas = null;
         
-        // Add title
-        ctx.fillStyle = 'black';
-        ctx.font = 'bold 24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Neural Style Memory Book', canvas.width / 2, 50);
+        if (layout.titlePage) {
+            this.addPDFTitlePage(pdf, layout.title, photos.length);
+        }
         
-        // Add first photo as preview
-        if (photos.length > 0) {
-            const img = new Image();
-            img.onload = () => {
-                const maxWidth = canvas.width * 0.8;
-                const maxHeight = canvas.height * 0.6;
-                const scale = Math.min(maxWidth / img.width, maxHeight / img.height);
-                
-                const scaledWidth = img.width * scale;
-                const scaledHeight = img.height * scale;
-                const x = (canvas.width - scaledWidth) / 2;
-                const y = 100;
-                
-                ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
-            };
-            img.src = photos[0].dataURL;
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            this.app.updateProcessingText(`Adding page ${i + 1} of ${photos.length} to PDF...`);
+            
+            const photoData = await this.processPhoto(photo, { ...config, format: 'PDF' }, { index: i, variant });
+            const jpegBytes = new Uint8Array(await this.dataURLToBlob(photoData.dataURL).arrayBuffer());
+            const imageName = pdf.addJpeg(jpegBytes, photoData.canvas.width, photoData.canvas.height);
+            previewCanvas = previewCanvas || photoData.canvas;
+            
+            const page = pdf.addPage();
+            
+            // Reserve room for the caption beneath the photo
+            const captionSize = 11;
+            const captionLineHeight = captionSize * 1.35;
+            const captionWidth = pageWidth - Math.max(margin, 18) * 2;
+            const captionLines = layout.captions
+                ? pdf.wrapText(this.getPhotoCaption(photo), captionWidth, captionSize).slice(0, 3)
+                : [];
+            const captionPadding = Math.max(margin, 12);
+            const captionHeight = captionLines.length
+                ? captionLines.length * captionLineHeight + captionPadding
+                : 0;
+            
+            // Fit the photo inside the remaining box, preserving aspect ratio
+            const boxWidth = pageWidth - margin * 2;
+            const boxHeight = pageHeight - margin * 2 - captionHeight;
+            const scale = Math.min(boxWidth / photoData.canvas.width, boxHeight / photoData.canvas.height);
+            const drawWidth = photoData.canvas.width * scale;
+            const drawHeight = photoData.canvas.height * scale;
+            const x = (pageWidth - drawWidth) / 2;
+            const y = margin + captionHeight + (boxHeight - drawHeight) / 2;
+            
+            pdf.drawImage(page, imageName, x, y, drawWidth, drawHeight);
+            
+            captionLines.forEach((line, lineIndex) => {
+                const baseline = y - captionPadding * 0.5 - captionSize - lineIndex * captionLineHeight;
+                pdf.drawText(page, line, pageWidth / 2, baseline, {
+                    size: captionSize,
+                    color: [0.25, 0.25, 0.3],
+                    align: 'center'
+                });
+            });
         }
         
+        this.app.updateProcessingText('Writing PDF...');
+        
         return {
-            dataURL: canvas.toDataURL('application/pdf'),
-            filename: `${config.filename}-album.pdf`,
-            mimeType: 'application/pdf',
-            canvas
+            blob: pdf.toBlob(),
+            filename: `${config.filename}-album.${this.exportFormats.PDF.extension}`,
+            mimeType: this.exportFormats.PDF.mimeType,
+            canvas: previewCanvas
         };
     }
     
+    addPDFTitlePage(pdf, title, photoCount) {
+        const page = pdf.addPage();
+        const { pageWidth, pageHeight } = pdf;
+        const titleSize = Math.min(32, pageWidth / 16);
+        const titleLines = pdf.wrapText(title, pageWidth * 0.8, titleSize, true);
+        const subtitle = `${photoCount} ${photoCount === 1 ? 'memory' : 'memories'} · ${new Date().toLocaleDateString()}`;
+        
+        let y = pageHeight * 0.6;
+        titleLines.forEach(line => {
+            pdf.drawText(page, line, pageWidth / 2, y, { size: titleSize, bold: true, color: [0.16, 0.16, 0.37], align: 'center' });
+            y -= titleSize * 1.25;
+        });
+        
+        pdf.drawRect(page, pageWidth * 0.4, y, pageWidth * 0.2, 1.5, [0.39, 0.4, 0.95]);
+        pdf.drawText(page, subtitle, pageWidth / 2, y - 28, { size: 12, color: [0.4, 0.4, 0.45], align: 'center' });
+        pdf.drawText(page, 'Created with Neural Style Memory Book', pageWidth / 2, 36, { size: 9, color: [0.55, 0.55, 0.6], align: 'center' });
+    }
+    
+    getPhotoCaption(photo) {
+        return photo.caption || photo.filename.replace(/\.[^.]+$/, '');
+    }
+    
     // === SHARE FUNCTIONALITY ===
     
     async openShareModal(exportData, config) {
@@ -892,7 +1166,7 @@ class ExportSystem {
     async generateShareLink(exportData, config) {
         // In production, this would upload to a sharing service
         // For demo, create a blob URL
-        const blob = this.dataURLToBlob(exportData.dataURL);
+        const blob = this.getExportBlob(exportData);
         return URL.createObjectURL(blob);
     }
     
@@ -922,7 +1196,7 @@ class ExportSystem {
     
     async copyImageToClipboard(exportData) {
         try {
-            const blob = this.dataURLToBlob(exportData.dataURL);
+            const blob = this.getExportBlob(exportData);
             await navigator.clipboard.write([
                 new ClipboardItem({ [blob.type]: blob })
             ]);
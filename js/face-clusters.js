@@ -0,0 +1,518 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                  Face Clustering and People Tagging                  ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/face-clusters.js                                            ║
+║ Purpose: Recognize the same person across the album                  ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Eye-aligned face crops from BlazeFace boxes and landmarks          ║
+║ • Descriptor: landmark geometry, skin/hair color, gradient grid      ║
+║ • Average-linkage grouping; faces in one photo never merge           ║
+║ • Person IDs and names survive regrouping and are saved              ║
+║ • Names on face hotspots and a "pages with this person" filter       ║
+║                                                                      ║
+║ Integration: Requires main app; reads photo.faces, sets personId     ║
+║ Browser Support: ES6+, Canvas API                                    ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Face Clusters */
+/* Groups detected faces into people the user can name and filter by */
+
+class FaceClusters {
+    constructor(app) {
+        this.app = app;
+
+        // person ID → { id, name }; faces point at a person through face.personId
+        this.people = new Map();
+        this.filterPersonId = null;
+
+        // Descriptors are computed from a small eye-aligned crop
+        this.cropSize = 32;
+        this.gridSize = 4;
+        this.orientations = 8;
+
+        // Average distance (0..1) under which two groups are taken to be one person
+        this.threshold = 0.42;
+        this.weights = { geometry: 0.25, color: 0.25, texture: 0.5 };
+
+        // Name tags over the current page's hotspots: [{ hotspot, element }]
+        this.labels = [];
+        this.labelPosition = null;
+
+        this.setupPeopleControls();
+    }
+
+    // === DESCRIPTORS ===
+
+    describeFace(photo, face) {
+        const crop = this.cropFace(photo, face, this.cropSize);
+        const pixels = crop.getContext('2d').getImageData(0, 0, this.cropSize, this.cropSize).data;
+
+        // Rounded: descriptors are saved with the faces
+        const round = values => values && values.map(value => Math.round(value * 1000) / 1000);
+        return {
+            geometry: round(this.describeGeometry(face)),
+            color: round(this.describeColor(pixels, this.cropSize)),
+            texture: round(this.describeTexture(pixels, this.cropSize))
+        };
+    }
+
+    cropFace(photo, face, size) {
+        // Rotated so the eyes are level; a tilted head should still match itself
+        const [x1, y1, x2, y2] = face.box;
+        const landmarks = face.landmarks || [];
+        const span = Math.max(x2 - x1, y2 - y1) * 1.1;
+
+        let angle = 0;
+        if (landmarks.length >= 2) {
+            const [rightEye, leftEye] = landmarks;
+            angle = Math.atan2(leftEye[1] - rightEye[1], leftEye[0] - rightEye[0]);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.translate(size / 2, size / 2);
+        ctx.rotate(-angle);
+        ctx.scale(size / span, size / span);
+        ctx.translate(-(x1 + x2) / 2, -(y1 + y2) / 2);
+        ctx.drawImage(photo.canvas, 0, 0);
+        return canvas;
+    }
+
+    describeGeometry(face) {
+        // Nose, mouth and ears in a frame set by the eyes: origin between them, eye distance = 1
+        const landmarks = face.landmarks || [];
+        if (landmarks.length < 6) return null;
+
+        const [rightEye, leftEye, ...rest] = landmarks;
+        const originX = (rightEye[0] + leftEye[0]) / 2;
+        const originY = (rightEye[1] + leftEye[1]) / 2;
+        const distance = Math.hypot(leftEye[0] - rightEye[0], leftEye[1] - rightEye[1]) || 1;
+        const cos = (leftEye[0] - rightEye[0]) / distance;
+        const sin = (leftEye[1] - rightEye[1]) / distance;
+
+        return rest.slice(0, 4).flatMap(([x, y]) => {
+            const dx = x - originX;
+            const dy = y - originY;
+            return [(dx * cos + dy * sin) / distance, (dy * cos - dx * sin) / distance];
+        });
+    }
+
+    describeColor(pixels, size) {
+        // Mean chroma of the cheeks and of the hairline; brightness is left out, it follows the light
+        const region = (top, bottom, left, right) => {
+            let cb = 0;
+            let cr = 0;
+            let count = 0;
+            for (let y = Math.floor(top * size); y < Math.floor(bottom * size); y++) {
+                for (let x = Math.floor(left * size); x < Math.floor(right * size); x++) {
+                    const i = (y * size + x) * 4;
+                    const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+                    cb += (pixels[i + 2] - luma) / 1.772;
+                    cr += (pixels[i] - luma) / 1.402;
+                    count++;
+                }
+            }
+            return [cb / count / 128, cr / count / 128];
+        };
+
+        return [...region(0.45, 0.75, 0.25, 0.75), ...region(0, 0.15, 0.2, 0.8)];
+    }
+
+    describeTexture(pixels, size) {
+        // Histogram of gradient orientations per grid cell (a small HOG)
+        const cells = this.gridSize;
+        const bins = this.orientations;
+        const histogram = new Float32Array(cells * cells * bins);
+        const gray = new Float32Array(size * size);
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const gx = gray[y * size + x + 1] - gray[y * size + x - 1];
+                const gy = gray[(y + 1) * size + x] - gray[(y - 1) * size + x];
+                const magnitude = Math.hypot(gx, gy);
+                if (magnitude === 0) continue;
+
+                // Unsigned orientation: light-to-dark and dark-to-light edges count the same
+                const orientation = (Math.atan2(gy, gx) + Math.PI) % Math.PI;
+                const bin = Math.min(bins - 1, Math.floor((orientation / Math.PI) * bins));
+                const cell = Math.floor((y * cells) / size) * cells + Math.floor((x * cells) / size);
+                histogram[cell * bins + bin] += magnitude;
+            }
+        }
+
+        // L2 normalize, clip strong edges, normalize again
+        const normalize = values => {
+            const norm = Math.hypot(...values) || 1;
+            return values.map(value => value / norm);
+        };
+        return normalize(normalize(Array.from(histogram)).map(value => Math.min(value, 0.2)));
+    }
+
+    distance(a, b) {
+        // Each part scaled to 0..1 and weighted; geometry only counts when both faces have landmarks
+        const euclidean = (u, v) => Math.sqrt(u.reduce((sum, value, i) => sum + (value - v[i]) ** 2, 0));
+
+        let total = 0;
+        let weight = 0;
+        if (a.geometry && b.geometry) {
+            total += this.weights.geometry * Math.min(1, euclidean(a.geometry, b.geometry) / 0.8);
+            weight += this.weights.geometry;
+        }
+        total += this.weights.color * Math.min(1, euclidean(a.color, b.color) / 0.3);
+        total += this.weights.texture * Math.min(1, euclidean(a.texture, b.texture) / 1.2);
+        weight += this.weights.color + this.weights.texture;
+
+        return total / weight;
+    }
+
+    // === CLUSTERING ===
+
+    cluster() {
+        const entries = [];
+        this.app.photos.forEach(photo => {
+            photo.faces.forEach(face => {
+                if (!face.descriptor) {
+                    face.descriptor = this.describeFace(photo, face);
+                }
+                entries.push({ photo, face });
+            });
+        });
+
+        this.assignPeople(entries, this.groupFaces(entries));
+        this.refresh();
+        this.app.persistAlbum();
+    }
+
+    groupFaces(entries) {
+        // Agglomerative, average linkage (Lance–Williams update), stopping at the threshold
+        const n = entries.length;
+        const distances = new Float32Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                // Two faces in one photo are two people; Infinity keeps their groups apart for good
+                const d = entries[i].photo === entries[j].photo
+                    ? Infinity
+                    : this.distance(entries[i].face.descriptor, entries[j].face.descriptor);
+                distances[i * n + j] = d;
+                distances[j * n + i] = d;
+            }
+        }
+
+        const groups = entries.map((_, i) => [i]);
+        const active = new Array(n).fill(true);
+
+        while (true) {
+            let best = Infinity;
+            let a = -1;
+            let b = -1;
+            for (let i = 0; i < n; i++) {
+                if (!active[i]) continue;
+                for (let j = i + 1; j < n; j++) {
+                    if (active[j] && distances[i * n + j] < best) {
+                        best = distances[i * n + j];
+                        a = i;
+                        b = j;
+                    }
+                }
+            }
+            if (best > this.threshold) break;
+
+            const sizeA = groups[a].length;
+            const sizeB = groups[b].length;
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || k === a || k === b) continue;
+                const d = (distances[a * n + k] * sizeA + distances[b * n + k] * sizeB) / (sizeA + sizeB);
+                distances[a * n + k] = d;
+                distances[k * n + a] = d;
+            }
+
+            groups[a] = groups[a].concat(groups[b]);
+            active[b] = false;
+        }
+
+        return groups.filter((_, i) => active[i]);
+    }
+
+    assignPeople(entries, groups) {
+        // Each group keeps the person ID most of its faces already had, so names survive regrouping.
+        // Bigger groups choose first; named people win ties over unnamed ones.
+        const used = new Set();
+
+        groups
+            .sort((a, b) => b.length - a.length)
+            .forEach(group => {
+                const votes = new Map();
+                group.forEach(index => {
+                    const id = entries[index].face.personId;
+                    if (id && !used.has(id)) {
+                        votes.set(id, (votes.get(id) || 0) + 1);
+                    }
+                });
+
+                const [personId] = Array.from(votes.entries()).sort((a, b) =>
+                    b[1] - a[1] || Number(Boolean(this.people.get(b[0])?.name)) - Number(Boolean(this.people.get(a[0])?.name))
+                )[0] || [this.createPersonId()];
+
+                used.add(personId);
+                if (!this.people.has(personId)) {
+                    this.people.set(personId, { id: personId, name: '' });
+                }
+                group.forEach(index => {
+                    entries[index].face.personId = personId;
+                });
+            });
+
+        // Named people are remembered even without faces, in case their photos come back
+        this.people.forEach((person, id) => {
+            if (!used.has(id) && !person.name) this.people.delete(id);
+        });
+    }
+
+    createPersonId() {
+        return `person-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // === PEOPLE ===
+
+    getPeople() {
+        // People with faces in the book, most photographed first
+        const byId = new Map();
+        this.app.photos.forEach(photo => {
+            photo.faces.forEach(face => {
+                if (!face.personId || !this.people.has(face.personId)) return;
+                if (!byId.has(face.personId)) {
+                    byId.set(face.personId, { ...this.people.get(face.personId), faces: [], photos: new Set() });
+                }
+                const person = byId.get(face.personId);
+                person.faces.push({ photo, face });
+                person.photos.add(photo);
+            });
+        });
+
+        return Array.from(byId.values())
+            .sort((a, b) => b.faces.length - a.faces.length)
+            .map((person, index) => ({ ...person, label: person.name || `Person ${index + 1}` }));
+    }
+
+    getPersonName(personId) {
+        return this.people.get(personId)?.name || '';
+    }
+
+    getPhotosWithPerson(personId) {
+        return this.app.photos.filter(photo => photo.faces.some(face => face.personId === personId));
+    }
+
+    renamePerson(personId, name) {
+        const person = this.people.get(personId);
+        if (!person || person.name === name) return;
+
+        const before = this.serialize();
+        person.name = name;
+        this.app.editHistory?.record({
+            type: 'people',
+            label: name ? `Name person "${name}"` : 'Clear person name',
+            before,
+            after: this.serialize()
+        });
+
+        this.refresh();
+        this.app.persistAlbum();
+    }
+
+    // === FILTER ===
+
+    setFilter(personId) {
+        this.filterPersonId = personId || null;
+        this.applyFilter();
+
+        // Jump to the first page with the person unless the current one has them
+        const photos = this.filterPersonId ? this.getPhotosWithPerson(this.filterPersonId) : [];
+        const current = this.app.pages[this.app.currentPage]?.userData.photo;
+        if (photos.length > 0 && !photos.includes(current)) {
+            this.app.goToPage(this.app.pages.indexOf(this.app.getPageForPhoto(photos[0])));
+        }
+    }
+
+    applyFilter() {
+        const select = document.getElementById('person-filter');
+        if (select) select.value = this.filterPersonId || '';
+
+        const photoIds = this.filterPersonId
+            ? new Set(this.getPhotosWithPerson(this.filterPersonId).map(photo => String(photo.id)))
+            : null;
+
+        // Chapter dividers have no people; they hide while filtering
+        document.querySelectorAll('#page-strip-list .page-thumb').forEach(thumb => {
+            thumb.hidden = photoIds !== null && !photoIds.has(thumb.dataset.photoId);
+        });
+    }
+
+    // === UI ===
+
+    setupPeopleControls() {
+        const select = document.getElementById('person-filter');
+        const button = document.getElementById('people-btn');
+        if (!select || !button) return;
+
+        select.addEventListener('change', (e) => this.setFilter(e.target.value));
+        button.addEventListener('click', () => this.showPeopleDialog());
+    }
+
+    refresh() {
+        // Called whenever the page strip is rebuilt
+        const people = this.getPeople();
+
+        if (this.filterPersonId && !people.some(person => person.id === this.filterPersonId)) {
+            this.filterPersonId = null;
+        }
+
+        const select = document.getElementById('person-filter');
+        if (select) {
+            select.innerHTML = '<option value="">Everyone</option>';
+            people.forEach(person => {
+                const option = document.createElement('option');
+                option.value = person.id;
+                option.textContent = `${person.label} (${person.photos.size})`;
+                select.appendChild(option);
+            });
+            select.hidden = people.length === 0;
+        }
+
+        const button = document.getElementById('people-btn');
+        if (button) button.hidden = people.length === 0;
+
+        this.applyFilter();
+        this.updateLabels();
+    }
+
+    showPeopleDialog() {
+        const people = this.getPeople();
+
+        const items = people.map(person => {
+            const { photo, face } = person.faces[0];
+            const crop = this.cropFace(photo, face, 96).toDataURL('image/jpeg', 0.85);
+            return `
+                <li class="person-item">
+                    <img src="${crop}" alt="" class="person-crop">
+                    <div class="person-info">
+                        <input type="text" class="person-name">
+                        <span class="person-count">${person.photos.size} ${person.photos.size === 1 ? 'page' : 'pages'}</span>
+                    </div>
+                    <div class="person-actions">
+                        <button class="strip-btn" data-person-action="show">Show Pages</button>
+                        <button class="strip-btn" data-person-action="select">Select Pages</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        this.app.showModal('People', `
+            <p class="people-hint">Faces that look alike are grouped; name a group to tag them on every page.</p>
+            <ul class="people-list">${items}</ul>
+        `);
+
+        // Names and saved IDs are user data; set through the DOM, never as HTML
+        const list = document.querySelector('#modal-body .people-list');
+        list.querySelectorAll('.person-item').forEach((item, index) => {
+            const person = people[index];
+            const input = item.querySelector('.person-name');
+            item.dataset.personId = person.id;
+            input.value = person.name;
+            input.placeholder = `Person ${index + 1}`;
+            input.setAttribute('aria-label', `Name for ${person.label}`);
+        });
+
+        list.addEventListener('change', (e) => {
+            if (!e.target.matches('.person-name')) return;
+            this.renamePerson(e.target.closest('.person-item').dataset.personId, e.target.value.trim());
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-person-action]');
+            if (!button) return;
+
+            const personId = button.closest('.person-item').dataset.personId;
+            if (button.dataset.personAction === 'show') {
+                this.setFilter(personId);
+            } else {
+                this.app.selection?.selectPhotos(this.getPhotosWithPerson(personId));
+            }
+            this.app.closeModal();
+        });
+    }
+
+    // === HOTSPOT LABELS ===
+
+    updateLabels() {
+        const overlay = document.getElementById('hotspots-overlay');
+        if (!overlay) return;
+
+        this.labels.forEach(({ element }) => element.remove());
+        this.labels = [];
+
+        this.app.getSpreadPages()
+            .flatMap(page => page.children)
+            .filter(child => child.userData.face && this.getPersonName(child.userData.face.personId))
+            .forEach(hotspot => {
+                const element = document.createElement('span');
+                element.className = 'hotspot-label';
+                element.textContent = this.getPersonName(hotspot.userData.face.personId);
+                overlay.appendChild(element);
+                this.labels.push({ hotspot, element });
+            });
+
+        this.positionLabels();
+    }
+
+    positionLabels() {
+        // Every frame: the book moves, so the tags follow their hotspots on screen
+        if (this.labels.length === 0 || !this.app.camera || !this.app.renderer) return;
+
+        const canvas = this.app.renderer.domElement;
+        this.labelPosition = this.labelPosition || new THREE.Vector3();
+        const position = this.labelPosition;
+
+        this.labels.forEach(({ hotspot, element }) => {
+            hotspot.getWorldPosition(position).project(this.app.camera);
+            const onScreen = hotspot.visible && hotspot.parent !== null && position.z < 1 &&
+                Math.abs(position.x) <= 1 && Math.abs(position.y) <= 1;
+
+            element.hidden = !onScreen;
+            if (onScreen) {
+                const x = canvas.offsetLeft + ((position.x + 1) / 2) * canvas.clientWidth;
+                const y = canvas.offsetTop + ((1 - position.y) / 2) * canvas.clientHeight;
+                element.style.transform = `translate(${x}px, ${y}px)`;
+            }
+        });
+    }
+
+    // === PERSISTENCE ===
+
+    serialize() {
+        return Array.from(this.people.values()).map(person => ({ id: person.id, name: person.name }));
+    }
+
+    restore(data) {
+        this.people = new Map((data || []).map(person => [person.id, { id: person.id, name: person.name || '' }]));
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.FaceClusters = FaceClusters;
+}
+
+console.log('👥 Face Clusters loaded');
@@ -0,0 +1,319 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                  Interactive Hotspots and Memories                   ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/memory-hotspots.js                                          ║
+║ Purpose: Pick hotspots and pages in the 3D book and annotate faces   ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Raycast hover and click on face hotspots and spread pages          ║
+║ • Memory modal per face: name, note, date and linked pages           ║
+║ • Names go to the face's person when faces are grouped               ║
+║ • Memories saved on the face, with the photo and in album bundles    ║
+║                                                                      ║
+║ Integration: Requires main app instance, Three.js camera/renderer    ║
+║ Browser Support: ES6+, WebGL, Pointer Events                         ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Memory Hotspots */
+/* Clicking a face in the book opens its memory for editing */
+
+class MemoryHotspots {
+    constructor(app) {
+        this.app = app;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        // A press that travels further than this (px) is a drag, not a click
+        this.clickTolerance = 6;
+        this.press = null;
+
+        // { object, color, opacity } of the hotspot under the mouse, restored on leave
+        this.hovered = null;
+        this.hoverColor = 0xffffff;
+
+        this.setupPointerListeners();
+    }
+
+    // === PICKING ===
+
+    setupPointerListeners() {
+        const canvas = this.app.renderer?.domElement;
+        if (!canvas) return;
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.setHovered(this.pick(e));
+            }
+        });
+
+        canvas.addEventListener('pointerleave', () => this.setHovered(null));
+
+        canvas.addEventListener('pointerdown', (e) => {
+            this.press = { id: e.pointerId, x: e.clientX, y: e.clientY };
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            const press = this.press;
+            this.press = null;
+            if (!press || press.id !== e.pointerId || e.button !== 0) return;
+            if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > this.clickTolerance) return;
+
+            this.activate(this.pick(e));
+        });
+    }
+
+    getPickTargets() {
+        // Only the open spread; one-sided page materials keep the hidden side of each leaf out
+        return this.app.getSpreadPages();
+    }
+
+    pick(event) {
+        if (!this.app.camera || this.app.pages.length === 0) return null;
+
+        const rect = this.app.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.app.camera);
+
+        // Three.js does not skip hidden objects itself
+        const hit = this.raycaster
+            .intersectObjects(this.getPickTargets(), true)
+            .find(intersection => this.isShown(intersection.object));
+        if (!hit) return null;
+
+        const object = hit.object;
+        if (object.userData.face) {
+            return { type: 'hotspot', object, photo: object.userData.photo, face: object.userData.face };
+        }
+        if (object.userData.photo) {
+            return { type: 'page', object, photo: object.userData.photo };
+        }
+        return null;
+    }
+
+    isShown(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    setHovered(target) {
+        const object = target?.object || null;
+        if (this.hovered?.object === object) return;
+
+        if (this.hovered) {
+            const { object: previous, color, opacity } = this.hovered;
+            previous.material.color.setHex(color);
+            previous.material.opacity = opacity;
+            this.hovered = null;
+        }
+
+        if (target?.type === 'hotspot') {
+            this.hovered = { object, color: object.material.color.getHex(), opacity: object.material.opacity };
+            object.material.color.setHex(this.hoverColor);
+            object.material.opacity = 1;
+        }
+
+        this.app.renderer.domElement.style.cursor = target ? 'pointer' : '';
+    }
+
+    activate(target) {
+        if (!target) return;
+
+        if (target.type === 'hotspot') {
+            this.openMemory(target.photo, target.face);
+        } else if (target.object !== this.app.pages[this.app.currentPage]) {
+            // The other page of the spread becomes the one being edited
+            this.app.goToPage(this.app.pages.indexOf(target.object));
+        } else {
+            this.app.showPhotoDetails(target.photo);
+        }
+    }
+
+    // === MEMORY MODAL ===
+
+    openMemory(photo, face) {
+        const app = this.app;
+        const memory = face.memory || {};
+        const person = face.personId && app.faceClusters?.people.get(face.personId);
+        const faceNumber = photo.faces.indexOf(face) + 1;
+        const others = app.photos.filter(other => other !== photo && app.getPageForPhoto(other));
+
+        const linkItems = others.map(() => `
+            <li class="memory-link">
+                <label class="memory-link-option">
+                    <input type="checkbox">
+                    <span class="memory-link-name"></span>
+                </label>
+                <button type="button" class="strip-btn" data-memory-action="open">Open</button>
+            </li>
+        `).join('');
+
+        app.showModal(person?.name || memory.name || `Face ${faceNumber}`, `
+            <img src="${this.cropFace(photo, face)}" alt="" class="memory-face">
+            <form class="memory-form">
+                <label class="memory-field">
+                    <span>Name</span>
+                    <input type="text" name="name" class="memory-input" autocomplete="off">
+                </label>
+                <label class="memory-field">
+                    <span>Note</span>
+                    <textarea name="note" rows="3" class="memory-input"></textarea>
+                </label>
+                <label class="memory-field">
+                    <span>Date</span>
+                    <input type="date" name="date" class="memory-input">
+                </label>
+                <fieldset class="memory-links">
+                    <legend>Linked pages</legend>
+                    ${others.length > 0 ? `<ul class="memory-link-list">${linkItems}</ul>` : '<p class="memory-empty">No other pages yet.</p>'}
+                </fieldset>
+                <div class="memory-actions">
+                    ${app.controls ? '<button type="button" class="strip-btn" data-memory-action="focus">Focus</button>' : ''}
+                    <button type="submit" class="strip-btn">Save Memory</button>
+                </div>
+            </form>
+        `);
+
+        // Names, notes and captions are user data; set through the DOM, never as HTML
+        const form = document.querySelector('#modal-body .memory-form');
+        form.elements.name.value = person ? person.name : (memory.name || '');
+        form.elements.name.placeholder = `Face ${faceNumber}`;
+        form.elements.note.value = memory.note || '';
+        form.elements.date.value = memory.date || this.getDefaultDate(photo, memory);
+
+        const links = new Set(memory.links || []);
+        const linkInputs = form.querySelectorAll('.memory-link input');
+        form.querySelectorAll('.memory-link').forEach((item, index) => {
+            const other = others[index];
+            const pageNumber = app.pages.indexOf(app.getPageForPhoto(other)) + 1;
+            item.dataset.photoId = other.id;
+            linkInputs[index].checked = links.has(other.id);
+            item.querySelector('.memory-link-name').textContent = `Page ${pageNumber}: ${other.caption || other.filename}`;
+        });
+
+        form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-memory-action="focus"]')) {
+                this.focusFace(photo, face);
+                return;
+            }
+
+            const button = e.target.closest('[data-memory-action="open"]');
+            if (!button) return;
+
+            const target = app.photos.find(other => String(other.id) === button.closest('.memory-link').dataset.photoId);
+            app.closeModal();
+            if (target) {
+                app.goToPage(app.pages.indexOf(app.getPageForPhoto(target)));
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMemory(photo, face, {
+                name: form.elements.name.value.trim(),
+                note: form.elements.note.value.trim(),
+                date: form.elements.date.value,
+                links: others
+                    .filter((other, index) => linkInputs[index].checked)
+                    .map(other => other.id)
+            });
+            app.closeModal();
+        });
+
+        form.elements.name.focus();
+    }
+
+    focusFace(photo, face) {
+        const app = this.app;
+        const page = app.getPageForPhoto(photo);
+        app.closeModal();
+        if (!page) return;
+
+        // A face on another spread is only in place once the leaves and camera rig settle
+        const turning = app.getSpreadForPage(app.pages.indexOf(page)) !== app.getSpreadForPage(app.currentPage);
+        app.goToPage(app.pages.indexOf(page));
+
+        gsap.delayedCall(turning ? app.getMotionDuration() : 0, () => {
+            const hotspot = page.children.find(child => child.userData.face === face);
+            if (hotspot) {
+                app.controls.focusHotspot(hotspot);
+            }
+        });
+    }
+
+    getDefaultDate(photo, memory) {
+        // A new memory starts on the day the photo was taken
+        if (Object.keys(memory).length > 0 || !photo.exif?.capturedAt) return '';
+        const date = new Date(photo.exif.capturedAt);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    saveMemory(photo, face, { name, note, date, links }) {
+        const memory = { name: '', note, date, links };
+
+        // Grouped faces share one name per person, so every page shows it
+        if (face.personId && this.app.faceClusters?.people.has(face.personId)) {
+            this.app.faceClusters.renamePerson(face.personId, name);
+        } else {
+            memory.name = name;
+        }
+
+        if (memory.name || note || date || links.length > 0) {
+            face.memory = memory;
+        } else {
+            delete face.memory;
+        }
+
+        this.app.persistAlbum();
+        this.app.showNotification(`Memory saved for ${name || photo.caption || photo.filename}`, 'success');
+    }
+
+    cropFace(photo, face) {
+        // The face box with some margin, so hair and chin show
+        const [x1, y1, x2, y2] = face.box;
+        const size = Math.max(x2 - x1, y2 - y1) * 1.6;
+        const centerX = (x1 + x2) / 2;
+        const centerY = (y1 + y2) / 2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        canvas.getContext('2d').drawImage(
+            photo.canvas,
+            centerX - size / 2, centerY - size / 2, size, size,
+            0, 0, canvas.width, canvas.height
+        );
+        return canvas.toDataURL('image/jpeg', 0.85);
+    }
+
+    // === LINKS ===
+
+    remapLinks(photos, mapId) {
+        // Album bundles number their photos; links are turned back into app IDs after opening
+        photos.forEach(photo => {
+            photo.faces.forEach(face => {
+                if (!face.memory?.links) return;
+                face.memory.links = face.memory.links.map(mapId).filter(id => id !== undefined);
+            });
+        });
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.MemoryHotspots = MemoryHotspots;
+}
+
+console.log('📍 Memory Hotspots loaded');
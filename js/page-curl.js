@@ -0,0 +1,162 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                        Page Curl Deformation                         ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/page-curl.js                                                ║
+║ Purpose: Turn pages around the spine with a curling, bending sheet   ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Subdivided page meshes deformed on the CPU                         ║
+║ • Turn progress 0..1 pivoting at the spine, animated by GSAP         ║
+║ • Curl strongest mid-turn, lifting the bottom corner first           ║
+║ • Normals recomputed so lighting follows the curve                   ║
+║ • Hotspots and other page children ride along with the sheet         ║
+║ • Leaves move between the right and left stacks as they turn         ║
+║                                                                      ║
+║ Integration: Requires main app instance, Three.js and GSAP           ║
+║ Browser Support: ES6+, WebGL                                         ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Page Curl */
+/* Bends each page sheet as it turns over the spine */
+
+class PageCurl {
+    constructor(app) {
+        this.app = app;
+
+        // Page size in world units; the spine runs along the left edge
+        this.width = 3.8;
+        this.height = 5.3;
+        this.spineX = -this.width / 2;
+        this.segments = { x: 24, y: 8 };
+
+        // Extra bend (radians) at the free edge mid-turn, and how much more the
+        // bottom corner lifts than the top
+        this.curl = 0.8;
+        this.cornerLift = 0.25;
+    }
+
+    // === GEOMETRY ===
+
+    createGeometry() {
+        return new THREE.PlaneGeometry(this.width, this.height, this.segments.x, this.segments.y);
+    }
+
+    getState(page) {
+        // Turn progress: 0 lies flat on the right, 1 lies turned over on the left
+        if (!page.userData.curl) {
+            page.userData.curl = { progress: 0 };
+        }
+        return page.userData.curl;
+    }
+
+    // === DEFORMATION ===
+
+    deform(x, y, progress) {
+        // The sheet bends with constant curvature, so each point is found in closed form:
+        // the angle grows linearly from the spine, and position integrates cos/sin of it
+        const distance = x - this.spineX;
+        const theta = progress * Math.PI;
+        const bendAlong = this.curl * (1 - (2 * this.cornerLift * y) / this.height);
+        const curvature = (bendAlong * Math.sin(theta)) / this.width;
+        const angle = theta + curvature * distance;
+
+        if (Math.abs(curvature) < 1e-6) {
+            return {
+                x: this.spineX + distance * Math.cos(theta),
+                z: distance * Math.sin(theta),
+                angle
+            };
+        }
+
+        return {
+            x: this.spineX + (Math.sin(angle) - Math.sin(theta)) / curvature,
+            z: (Math.cos(theta) - Math.cos(angle)) / curvature,
+            angle
+        };
+    }
+
+    apply(page) {
+        const geometry = page.geometry;
+        const position = geometry.attributes.position;
+        const progress = this.getState(page).progress;
+
+        // Every frame starts from the flat sheet
+        if (!geometry.userData.flat) {
+            geometry.userData.flat = Float32Array.from(position.array);
+        }
+        const flat = geometry.userData.flat;
+
+        for (let i = 0; i < position.count; i++) {
+            const y = flat[i * 3 + 1];
+            const point = this.deform(flat[i * 3], y, progress);
+            position.setXYZ(i, point.x, y, point.z);
+        }
+
+        position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        // Raycasting tests the bounding sphere first
+        geometry.computeBoundingSphere();
+
+        // The leaf moves from its place in the right stack to its place in the left one
+        const stack = page.userData.stack;
+        if (stack) {
+            page.position.z = stack.right + (stack.left - stack.right) * progress;
+        }
+
+        this.placeChildren(page, progress);
+    }
+
+    placeChildren(page, progress) {
+        // Children placed on the flat page keep that spot, lifted along the curved surface
+        page.children.forEach(child => {
+            if (!child.userData.anchor) {
+                child.userData.anchor = child.position.clone();
+            }
+
+            const anchor = child.userData.anchor;
+            const point = this.deform(anchor.x, anchor.y, progress);
+            child.position.set(
+                point.x - Math.sin(point.angle) * anchor.z,
+                anchor.y,
+                point.z + Math.cos(point.angle) * anchor.z
+            );
+            child.rotation.y = -point.angle;
+        });
+    }
+
+    // === ANIMATION ===
+
+    setProgress(page, progress) {
+        const state = this.getState(page);
+        gsap.killTweensOf(state);
+        state.progress = progress;
+        this.apply(page);
+    }
+
+    turn(page, progress, duration, delay = 0) {
+        const state = this.getState(page);
+        gsap.killTweensOf(state);
+        if (state.progress === progress) return;
+
+        gsap.to(state, {
+            progress,
+            duration,
+            delay,
+            ease: 'power2.inOut',
+            onUpdate: () => this.apply(page)
+        });
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.PageCurl = PageCurl;
+}
+
+console.log('📖 Page Curl loaded');
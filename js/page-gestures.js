@@ -0,0 +1,279 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Touch and Pointer Gestures                      ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/page-gestures.js                                            ║
+║ Purpose: Turn pages and move the camera directly on the 3D canvas    ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Grab a page near its free edge and drag; the leaf follows along    ║
+║ • Release completes or snaps back by distance and flick velocity     ║
+║ • One-finger swipe anywhere turns a spread                           ║
+║ • Two-finger pinch zooms and drag orbits; trackpad pinch zooms       ║
+║ • Reduced motion makes snaps and turns immediate                     ║
+║                                                                      ║
+║ Integration: Requires main app instance with spreads and a camera    ║
+║ Browser Support: ES6+, Pointer Events, WebGL                         ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Page Gestures */
+/* Dragging, swiping and pinching on the book canvas */
+
+class PageGestures {
+    constructor(app) {
+        this.app = app;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.point = new THREE.Vector3();
+        // The page surface, for following a drag once the leaf lifts off it
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -app.pageBaseZ);
+
+        // Page geometry in book coordinates
+        this.spineX = -1.9;
+        this.pageWidth = 3.8;
+
+        // Pointers currently down: pointer ID → { x, y }
+        this.pointers = new Map();
+        // { pointerId, leaf, from, reach, progress, samples: [{ progress, time }] }
+        this.drag = null;
+        // { distance, x, y } of the two fingers
+        this.pinch = null;
+        // { pointerId, x, y, time } of a one-finger swipe
+        this.swipe = null;
+
+        // Outer share of a page that can be grabbed, along the free edge and its corners
+        this.edgeZone = 0.4;
+        // Swipes: minimum travel (px) or speed (px/ms); flicks: turn progress per second
+        this.swipeDistance = 60;
+        this.swipeSpeed = 0.5;
+        this.flickSpeed = 1.5;
+        // Two-finger orbit, radians per pixel
+        this.orbitSpeed = 0.005;
+
+        this.setupListeners();
+    }
+
+    // === EVENTS ===
+
+    setupListeners() {
+        const canvas = this.app.renderer?.domElement;
+        if (!canvas) return;
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e, false));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+
+        // Trackpad pinches arrive as wheel events with the Ctrl key set
+        canvas.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            this.app.zoomCamera(Math.exp(-e.deltaY * 0.01));
+        }, { passive: false });
+    }
+
+    handlePointerDown(event) {
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (this.pointers.size === 2) {
+            // A second finger turns any drag into a camera gesture
+            this.endDrag(true);
+            this.swipe = null;
+            this.startPinch();
+            return;
+        }
+        if (this.pointers.size > 2 || !event.isPrimary || event.button !== 0) return;
+
+        const grab = this.findGrab(event);
+        if (grab) {
+            this.startDrag(grab, event);
+            event.target.setPointerCapture(event.pointerId);
+        } else if (event.pointerType !== 'mouse') {
+            this.swipe = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, time: performance.now() };
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (this.pinch) {
+            this.updatePinch();
+        } else if (this.drag?.pointerId === event.pointerId) {
+            this.updateDrag(event);
+        }
+    }
+
+    handlePointerUp(event, cancelled) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+
+        if (this.pinch) {
+            if (this.pointers.size < 2) this.pinch = null;
+            return;
+        }
+
+        if (this.drag?.pointerId === event.pointerId) {
+            this.endDrag(cancelled);
+        } else if (this.swipe?.pointerId === event.pointerId) {
+            if (!cancelled) this.endSwipe(event);
+            this.swipe = null;
+        }
+    }
+
+    // === PAGE DRAG ===
+
+    projectToBook(event, onPlane) {
+        const rect = this.app.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.app.camera);
+
+        if (onPlane) {
+            // The parallax setting moves the whole book toward the camera
+            this.plane.constant = -(this.app.book.position.z + this.app.pageBaseZ);
+            const point = this.raycaster.ray.intersectPlane(this.plane, this.point);
+            return point ? this.app.book.worldToLocal(point) : null;
+        }
+
+        // Pages only, not their hotspots, which stay clickable
+        const hit = this.raycaster.intersectObjects(this.app.getSpreadPages(), false)[0];
+        return hit ? { page: hit.object, point: this.app.book.worldToLocal(hit.point.clone()) } : null;
+    }
+
+    findGrab(event) {
+        if (!this.app.camera || this.app.pages.length === 0) return null;
+
+        const hit = this.projectToBook(event, false);
+        if (!hit) return null;
+
+        const spread = this.app.getSpreadForPage(this.app.currentPage);
+        const reach = hit.point.x - this.spineX;
+        const inner = this.pageWidth * (1 - this.edgeZone);
+
+        // Right page: its leaf turns forward; left page: the leaf before it turns back
+        if (reach > inner && hit.page === this.app.pages[2 * spread] && spread < this.app.getSpreadCount() - 1) {
+            return { leaf: spread, from: 0, reach };
+        }
+        if (reach < -inner && hit.page === this.app.pages[2 * spread - 1]) {
+            return { leaf: spread - 1, from: 1, reach: -reach };
+        }
+        return null;
+    }
+
+    startDrag(grab, event) {
+        this.drag = {
+            ...grab,
+            pointerId: event.pointerId,
+            progress: grab.from,
+            samples: [{ progress: grab.from, time: performance.now() }]
+        };
+    }
+
+    updateDrag(event) {
+        const point = this.projectToBook(event, true);
+        if (!point) return;
+
+        // The grabbed spot follows the finger: it sits at reach·cos(πp) from the spine
+        const drag = this.drag;
+        const ratio = Math.max(-1, Math.min(1, (point.x - this.spineX) / drag.reach));
+        drag.progress = Math.acos(ratio) / Math.PI;
+
+        this.app.getLeafPages(drag.leaf).forEach(page => this.app.setPageTurn(page, drag.progress));
+
+        // Only the last moments decide the flick
+        const now = performance.now();
+        drag.samples.push({ progress: drag.progress, time: now });
+        drag.samples = drag.samples.filter(sample => now - sample.time < 100);
+    }
+
+    getDragVelocity(samples) {
+        // Turn progress per second over the recent samples
+        if (samples.length < 2) return 0;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const seconds = (last.time - first.time) / 1000;
+        return seconds > 0 ? (last.progress - first.progress) / seconds : 0;
+    }
+
+    endDrag(cancelled) {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        // Positive when moving toward the other side of the spine
+        const direction = drag.from === 0 ? 1 : -1;
+        const velocity = this.getDragVelocity(drag.samples) * direction;
+        const travelled = Math.abs(drag.progress - drag.from);
+        const complete = !cancelled &&
+            (velocity > this.flickSpeed || (travelled > 0.5 && velocity > -this.flickSpeed));
+
+        if (complete) {
+            this.app.goToSpread(drag.from === 0 ? drag.leaf + 1 : drag.leaf);
+            return;
+        }
+
+        const duration = this.app.getMotionDuration() * travelled;
+        this.app.getLeafPages(drag.leaf).forEach(page => this.app.turnPage(page, drag.from, duration));
+    }
+
+    // === SWIPE ===
+
+    endSwipe(event) {
+        const dx = event.clientX - this.swipe.x;
+        const dy = event.clientY - this.swipe.y;
+        const elapsed = Math.max(1, performance.now() - this.swipe.time);
+
+        // Mostly sideways, and either far enough or fast enough
+        if (Math.abs(dx) < 2 * Math.abs(dy)) return;
+        if (Math.abs(dx) < this.swipeDistance && Math.abs(dx) / elapsed < this.swipeSpeed) return;
+
+        if (dx < 0) {
+            this.app.nextPage();
+        } else {
+            this.app.previousPage();
+        }
+    }
+
+    // === PINCH AND ORBIT ===
+
+    getPinchState() {
+        const [a, b] = Array.from(this.pointers.values());
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    startPinch() {
+        this.pinch = this.getPinchState();
+    }
+
+    updatePinch() {
+        const previous = this.pinch;
+        const current = this.getPinchState();
+
+        if (previous.distance > 0) {
+            this.app.zoomCamera(current.distance / previous.distance);
+        }
+        this.app.orbitCamera(-(current.x - previous.x) * this.orbitSpeed, (current.y - previous.y) * this.orbitSpeed);
+
+        this.pinch = current;
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.PageGestures = PageGestures;
+}
+
+console.log('👆 Page Gestures loaded');
@@ -0,0 +1,271 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Multi-page PDF Document Writer                  ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/pdf-writer.js                                               ║
+║ Purpose: Generate real PDF albums without third-party libraries      ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • PDF 1.4 output readable by any standard viewer                     ║
+║ • JPEG images embedded directly as DCTDecode streams                 ║
+║ • Page sizes: A4, US Letter, 8×8 in square photobook                 ║
+║ • Standard Helvetica fonts with metrics for centering and wrapping   ║
+║ • Filled rectangles for backgrounds and rules                        ║
+║                                                                      ║
+║ Coordinates:                                                         ║
+║ • Points (1/72 in), origin at the bottom-left corner of the page     ║
+║                                                                      ║
+║ Browser Support: Blob API, TextEncoder                               ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - PDF Writer */
+/* Minimal PDF generator for photo albums with embedded JPEG pages */
+
+class PdfWriter {
+    constructor(options = {}) {
+        this.pageSizes = {
+            a4: { width: 595.28, height: 841.89 },
+            letter: { width: 612, height: 792 },
+            square: { width: 576, height: 576 }
+        };
+
+        const size = this.pageSizes[options.pageSize] || this.pageSizes.a4;
+        this.pageWidth = size.width;
+        this.pageHeight = size.height;
+        this.title = options.title || 'Neural Style Memory Book';
+
+        this.pages = [];
+        this.images = [];
+
+        // Helvetica / Helvetica-Bold advance widths for ASCII 32-126 (1/1000 em)
+        this.fontWidths = {
+            regular: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            bold: [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        };
+    }
+
+    // === PAGES ===
+
+    addPage() {
+        const page = { commands: [], imageNames: new Set() };
+        this.pages.push(page);
+        return page;
+    }
+
+    // === IMAGES ===
+
+    addJpeg(bytes, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, bytes, width, height });
+        return name;
+    }
+
+    drawImage(page, imageName, x, y, width, height) {
+        page.imageNames.add(imageName);
+        page.commands.push(`q ${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ${this.num(y)} cm /${imageName} Do Q`);
+    }
+
+    // === SHAPES ===
+
+    drawRect(page, x, y, width, height, color = [1, 1, 1]) {
+        page.commands.push(`${this.color(color)} rg ${this.num(x)} ${this.num(y)} ${this.num(width)} ${this.num(height)} re f`);
+    }
+
+    // === TEXT ===
+
+    drawText(page, text, x, y, options = {}) {
+        const { size = 12, bold = false, color = [0, 0, 0], align = 'left' } = options;
+        const width = this.measureText(text, size, bold);
+
+        let left = x;
+        if (align === 'center') left = x - width / 2;
+        if (align === 'right') left = x - width;
+
+        const font = bold ? 'F2' : 'F1';
+        page.commands.push(
+            `BT /${font} ${this.num(size)} Tf ${this.color(color)} rg ${this.num(left)} ${this.num(y)} Td (${this.escapeText(text)}) Tj ET`
+        );
+    }
+
+    measureText(text, size, bold = false) {
+        const widths = bold ? this.fontWidths.bold : this.fontWidths.regular;
+        let total = 0;
+
+        for (const char of this.toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+
+        return total * size / 1000;
+    }
+
+    wrapText(text, maxWidth, size, bold = false) {
+        const words = String(text).split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = '';
+
+        words.forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.measureText(candidate, size, bold) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // === SERIALIZATION ===
+
+    toBlob() {
+        if (this.pages.length === 0) {
+            throw new Error('PDF has no pages');
+        }
+
+        const chunks = [];
+        const offsets = [];
+        let position = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? this.latin1(data) : data;
+            chunks.push(bytes);
+            position += bytes.length;
+        };
+
+        const beginObject = (id) => {
+            offsets[id] = position;
+            write(`${id} 0 obj\n`);
+        };
+
+        // Object numbering: catalog, page tree, fonts, info, images, then page/content pairs
+        const catalogId = 1;
+        const pagesId = 2;
+        const fontRegularId = 3;
+        const fontBoldId = 4;
+        const infoId = 5;
+        const firstImageId = 6;
+        const imageIds = new Map(this.images.map((image, index) => [image.name, firstImageId + index]));
+        const firstPageId = firstImageId + this.images.length;
+        const pageIds = this.pages.map((page, index) => firstPageId + index * 2);
+
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // binary marker comment
+
+        beginObject(catalogId);
+        write(`<< /Type /Catalog /Pages ${pagesId} 0 R >>\nendobj\n`);
+
+        beginObject(pagesId);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>\nendobj\n`);
+
+        beginObject(fontRegularId);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+        beginObject(fontBoldId);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+        beginObject(infoId);
+        write(`<< /Title (${this.escapeText(this.title)}) /Producer (Neural Style Memory Book) /CreationDate (${this.pdfDate(new Date())}) >>\nendobj\n`);
+
+        this.images.forEach(image => {
+            beginObject(imageIds.get(image.name));
+            write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`);
+            write(image.bytes);
+            write('\nendstream\nendobj\n');
+        });
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const contentId = pageId + 1;
+            const content = this.latin1(page.commands.join('\n'));
+            const xObjects = Array.from(page.imageNames)
+                .map(name => `/${name} ${imageIds.get(name)} 0 R`)
+                .join(' ');
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent ${pagesId} 0 R ` +
+                `/MediaBox [0 0 ${this.num(this.pageWidth)} ${this.num(this.pageHeight)}] ` +
+                `/Resources << /Font << /F1 ${fontRegularId} 0 R /F2 ${fontBoldId} 0 R >> /XObject << ${xObjects} >> >> ` +
+                `/Contents ${contentId} 0 R >>\nendobj\n`);
+
+            beginObject(contentId);
+            write(`<< /Length ${content.length} >>\nstream\n`);
+            write(content);
+            write('\nendstream\nendobj\n');
+        });
+
+        const objectCount = firstPageId + this.pages.length * 2;
+        const xrefOffset = position;
+
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`);
+        write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    // === HELPERS ===
+
+    num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    color([r, g, b]) {
+        return `${this.num(r)} ${this.num(g)} ${this.num(b)}`;
+    }
+
+    toWinAnsi(text) {
+        // Standard fonts only cover Latin-1 here; anything else becomes '?'
+        return String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    }
+
+    escapeText(text) {
+        return this.toWinAnsi(text).replace(/([\\()])/g, '\\$1');
+    }
+
+    latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    pdfDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
+
+console.log('📄 PDF Writer loaded');
@@ -0,0 +1,391 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                       Photo Metadata (EXIF) Reader                   ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/photo-metadata.js                                           ║
+║ Purpose: Read orientation and capture details from imported photos  ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • EXIF from JPEG (APP1), PNG (eXIf) and WebP (EXIF chunk)            ║
+║ • Orientation, applied only when the browser does not already        ║
+║ • Capture time with timezone offset when recorded                    ║
+║ • Camera make, model and lens                                        ║
+║ • Exposure time, aperture, ISO and focal length                      ║
+║ • GPS latitude, longitude and altitude                               ║
+║                                                                      ║
+║ Integration: Used by NeuralStyleMemoryBook.addPhoto/restorePhoto     ║
+║ Browser Support: Blob.arrayBuffer, DataView                          ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Photo Metadata */
+/* Dependency-free EXIF reader for JPEG, PNG and WebP imports */
+
+class PhotoMetadata {
+    // JPEG headers sit at the front; 512KB covers APP1 plus any thumbnails before it
+    static get JPEG_SCAN_BYTES() {
+        return 512 * 1024;
+    }
+
+    static get TAGS() {
+        return {
+            make: 0x010F,
+            model: 0x0110,
+            orientation: 0x0112,
+            dateTime: 0x0132,
+            exifPointer: 0x8769,
+            gpsPointer: 0x8825,
+            exposureTime: 0x829A,
+            fNumber: 0x829D,
+            iso: 0x8827,
+            dateTimeOriginal: 0x9003,
+            offsetTimeOriginal: 0x9011,
+            focalLength: 0x920A,
+            lensModel: 0xA434
+        };
+    }
+
+    static empty() {
+        return {
+            orientation: 1,
+            capturedAt: null,
+            camera: null,
+            exposure: null,
+            gps: null
+        };
+    }
+
+    // === READING ===
+
+    static async read(blob) {
+        try {
+            const head = new DataView(await blob.slice(0, 16).arrayBuffer());
+            const format = PhotoMetadata.detectFormat(head);
+            if (!format) return PhotoMetadata.empty();
+
+            const bytes = format === 'jpeg'
+                ? await blob.slice(0, PhotoMetadata.JPEG_SCAN_BYTES).arrayBuffer()
+                : await blob.arrayBuffer();
+
+            const tiff = PhotoMetadata.findTiff(new DataView(bytes), format);
+            return tiff ? PhotoMetadata.parseTiff(tiff) : PhotoMetadata.empty();
+        } catch (error) {
+            // Broken metadata never blocks an import
+            console.warn('⚠️ Could not read photo metadata:', error);
+            return PhotoMetadata.empty();
+        }
+    }
+
+    static detectFormat(view) {
+        if (view.byteLength >= 2 && view.getUint16(0) === 0xFFD8) return 'jpeg';
+        if (view.byteLength >= 8 && view.getUint32(0) === 0x89504E47 && view.getUint32(4) === 0x0D0A1A0A) return 'png';
+        if (view.byteLength >= 12 && PhotoMetadata.readAscii(view, 0, 4) === 'RIFF' && PhotoMetadata.readAscii(view, 8, 4) === 'WEBP') return 'webp';
+        return null;
+    }
+
+    static findTiff(view, format) {
+        switch (format) {
+            case 'jpeg': return PhotoMetadata.findJpegTiff(view);
+            case 'png': return PhotoMetadata.findPngTiff(view);
+            case 'webp': return PhotoMetadata.findWebpTiff(view);
+            default: return null;
+        }
+    }
+
+    static findJpegTiff(view) {
+        let offset = 2;
+
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) return null;
+
+            const marker = view.getUint8(offset + 1);
+            // Start of scan: no metadata segments after this
+            if (marker === 0xDA) return null;
+
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xE1 && PhotoMetadata.readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+                return PhotoMetadata.slice(view, offset + 10, length - 8);
+            }
+
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    static findPngTiff(view) {
+        let offset = 8;
+
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = PhotoMetadata.readAscii(view, offset + 4, 4);
+
+            if (type === 'eXIf') return PhotoMetadata.slice(view, offset + 8, length);
+            if (type === 'IEND') return null;
+
+            // length + type + data + CRC
+            offset += 12 + length;
+        }
+        return null;
+    }
+
+    static findWebpTiff(view) {
+        let offset = 12;
+
+        while (offset + 8 <= view.byteLength) {
+            const type = PhotoMetadata.readAscii(view, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+
+            if (type === 'EXIF') {
+                // Some encoders keep the JPEG-style "Exif\0\0" prefix
+                const skip = PhotoMetadata.readAscii(view, offset + 8, 6) === 'Exif\0\0' ? 6 : 0;
+                return PhotoMetadata.slice(view, offset + 8 + skip, length - skip);
+            }
+
+            // Chunks are padded to an even size
+            offset += 8 + length + (length % 2);
+        }
+        return null;
+    }
+
+    // === TIFF / EXIF ===
+
+    static parseTiff(view) {
+        const byteOrder = PhotoMetadata.readAscii(view, 0, 2);
+        if (byteOrder !== 'II' && byteOrder !== 'MM') return PhotoMetadata.empty();
+
+        const little = byteOrder === 'II';
+        if (view.getUint16(2, little) !== 42) return PhotoMetadata.empty();
+
+        const { TAGS } = PhotoMetadata;
+        const ifd0 = PhotoMetadata.readIfd(view, view.getUint32(4, little), little);
+        const exif = ifd0[TAGS.exifPointer] ? PhotoMetadata.readIfd(view, ifd0[TAGS.exifPointer], little) : {};
+        const gps = ifd0[TAGS.gpsPointer] ? PhotoMetadata.readIfd(view, ifd0[TAGS.gpsPointer], little) : {};
+
+        const orientation = ifd0[TAGS.orientation];
+        const make = PhotoMetadata.cleanText(ifd0[TAGS.make]);
+        const model = PhotoMetadata.cleanText(ifd0[TAGS.model]);
+        const lens = PhotoMetadata.cleanText(exif[TAGS.lensModel]);
+
+        const exposure = {
+            exposureTime: exif[TAGS.exposureTime] ?? null,
+            fNumber: exif[TAGS.fNumber] ?? null,
+            iso: Array.isArray(exif[TAGS.iso]) ? exif[TAGS.iso][0] : exif[TAGS.iso] ?? null,
+            focalLength: exif[TAGS.focalLength] ?? null
+        };
+
+        return {
+            orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+            capturedAt: PhotoMetadata.parseDate(
+                exif[TAGS.dateTimeOriginal] || ifd0[TAGS.dateTime],
+                exif[TAGS.offsetTimeOriginal]
+            ),
+            camera: make || model || lens ? { make, model, lens } : null,
+            exposure: Object.values(exposure).some(value => value !== null) ? exposure : null,
+            gps: PhotoMetadata.parseGps(gps)
+        };
+    }
+
+    static readIfd(view, offset, little) {
+        const values = {};
+        if (offset + 2 > view.byteLength) return values;
+
+        const count = view.getUint16(offset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, little);
+            try {
+                values[tag] = PhotoMetadata.readValue(view, entry, little);
+            } catch (error) {
+                // Skip entries pointing outside the buffer
+            }
+        }
+        return values;
+    }
+
+    static readValue(view, entry, little) {
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        const size = sizes[type];
+        if (!size) return null;
+
+        // Values of 4 bytes or less live in the entry itself
+        const offset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+        if (type === 2) {
+            // ASCII values are NUL-terminated
+            return PhotoMetadata.readAscii(view, offset, count).replace(/\0+$/, '');
+        }
+
+        const read = (i) => {
+            const at = offset + i * size;
+            switch (type) {
+                case 1:
+                case 7: return view.getUint8(at);
+                case 3: return view.getUint16(at, little);
+                case 4: return view.getUint32(at, little);
+                case 9: return view.getInt32(at, little);
+                case 5: return PhotoMetadata.rational(view.getUint32(at, little), view.getUint32(at + 4, little));
+                case 10: return PhotoMetadata.rational(view.getInt32(at, little), view.getInt32(at + 4, little));
+                default: return null;
+            }
+        };
+
+        if (count === 1) return read(0);
+        return Array.from({ length: count }, (_, i) => read(i));
+    }
+
+    static rational(numerator, denominator) {
+        return denominator === 0 ? null : numerator / denominator;
+    }
+
+    static parseDate(text, offsetText) {
+        // EXIF dates look like "2023:07:14 18:32:05"; zeros mean unknown
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+        if (!match || match[1] === '0000') return null;
+
+        const [, year, month, day, hours, minutes, seconds] = match;
+        const offset = /^[+-]\d{2}:\d{2}$/.test(offsetText || '') ? offsetText : '';
+        const iso = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offset}`;
+
+        // Without an offset the time is the camera's local time, which Date reads as ours
+        const timestamp = Date.parse(iso);
+        return Number.isNaN(timestamp) ? null : timestamp;
+    }
+
+    static parseGps(gps) {
+        const toDegrees = (parts) => {
+            if (!Array.isArray(parts) || parts.length < 3 || parts.some(part => part === null)) return null;
+            return parts[0] + parts[1] / 60 + parts[2] / 3600;
+        };
+
+        const latitude = toDegrees(gps[2]);
+        const longitude = toDegrees(gps[4]);
+        if (latitude === null || longitude === null) return null;
+
+        const altitude = typeof gps[6] === 'number' ? gps[6] : null;
+
+        return {
+            latitude: gps[1] === 'S' ? -latitude : latitude,
+            longitude: gps[3] === 'W' ? -longitude : longitude,
+            // Altitude ref 1 means below sea level
+            altitude: altitude !== null && gps[5] === 1 ? -altitude : altitude
+        };
+    }
+
+    // === ORIENTATION ===
+
+    static browserAppliesOrientation() {
+        // Decode a 2x1 JPEG tagged "rotate 90°"; browsers that honour EXIF report it as 1x2
+        if (!PhotoMetadata.orientationCheck) {
+            PhotoMetadata.orientationCheck = new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => resolve(img.width === 1 && img.height === 2);
+                img.onerror = () => resolve(false);
+                img.src = PhotoMetadata.ORIENTATION_TEST_JPEG;
+            });
+        }
+        return PhotoMetadata.orientationCheck;
+    }
+
+    static isQuarterTurn(orientation) {
+        return orientation >= 5 && orientation <= 8;
+    }
+
+    static applyOrientation(ctx, orientation, width, height) {
+        // width/height are the output canvas size, after rotation
+        switch (orientation) {
+            case 2: ctx.setTransform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.setTransform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.setTransform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.setTransform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.setTransform(0, 1, -1, 0, width, 0); break;
+            case 7: ctx.setTransform(0, -1, -1, 0, width, height); break;
+            case 8: ctx.setTransform(0, -1, 1, 0, 0, height); break;
+            default: ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+    }
+
+    // === FORMATTING ===
+
+    static describe(metadata) {
+        // Human-readable rows for the memory modal
+        const rows = [];
+        if (!metadata) return rows;
+
+        if (metadata.capturedAt) {
+            rows.push(['Taken', new Date(metadata.capturedAt).toLocaleString()]);
+        }
+        if (metadata.camera) {
+            const { make, model, lens } = metadata.camera;
+            // Many models already start with the make ("Canon EOS R6")
+            const body = model && make && model.startsWith(make) ? model : [make, model].filter(Boolean).join(' ');
+            if (body) rows.push(['Camera', body]);
+            if (lens) rows.push(['Lens', lens]);
+        }
+        if (metadata.exposure) {
+            const { exposureTime, fNumber, iso, focalLength } = metadata.exposure;
+            const parts = [];
+            if (exposureTime) parts.push(exposureTime < 1 ? `1/${Math.round(1 / exposureTime)}s` : `${exposureTime}s`);
+            if (fNumber) parts.push(`f/${fNumber.toFixed(1)}`);
+            if (iso) parts.push(`ISO ${iso}`);
+            if (focalLength) parts.push(`${Math.round(focalLength)}mm`);
+            if (parts.length) rows.push(['Exposure', parts.join(' · ')]);
+        }
+        if (metadata.gps) {
+            const { latitude, longitude, altitude } = metadata.gps;
+            const place = `${Math.abs(latitude).toFixed(5)}°${latitude < 0 ? 'S' : 'N'}, ${Math.abs(longitude).toFixed(5)}°${longitude < 0 ? 'W' : 'E'}`;
+            rows.push(['Location', altitude !== null ? `${place} (${Math.round(altitude)}m)` : place]);
+        }
+        return rows;
+    }
+
+    // === HELPERS ===
+
+    static slice(view, offset, length) {
+        const end = Math.min(view.byteLength, offset + Math.max(0, length));
+        return new DataView(view.buffer, view.byteOffset + offset, Math.max(0, end - offset));
+    }
+
+    static readAscii(view, offset, length) {
+        let text = '';
+        const end = Math.min(view.byteLength, offset + length);
+        for (let i = offset; i < end; i++) {
+            text += String.fromCharCode(view.getUint8(i));
+        }
+        return text;
+    }
+
+    static cleanText(value) {
+        if (typeof value !== 'string') return null;
+        const text = value.replace(/\0+$/, '').trim();
+        return text || null;
+    }
+}
+
+PhotoMetadata.orientationCheck = null;
+
+// 2x1 white JPEG with EXIF orientation 6
+PhotoMetadata.ORIENTATION_TEST_JPEG = 'data:image/jpeg;base64,' +
+    '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/4AAQSkZJRgABAQAAAQABAAD/2wCEAFA3PEY8MlBGQUZaVVBfeMiC' +
+    'eG5uePWvuZHI//////////////////////////////////////////////////8BVVpaeGl464KC6///////////////////////////' +
+    '///////////////////////////////////////////////AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQID' +
+    'BAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2' +
+    'Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfI' +
+    'ycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncA' +
+    'AQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZn' +
+    'aGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T1' +
+    '9vf4+fr/2gAMAwEAAhEDEQA/ALtAH//Z';
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.PhotoMetadata = PhotoMetadata;
+}
+
+console.log('📷 Photo Metadata loaded');
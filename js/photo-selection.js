@@ -0,0 +1,151 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Photo Selection Model                           ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/photo-selection.js                                          ║
+║ Purpose: Shared multi-select state over the album's photos           ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Single, toggle (Ctrl/Cmd) and range (Shift) selection              ║
+║ • Select all / clear                                                 ║
+║ • Selection kept in book order regardless of click order             ║
+║ • Automatic pruning when photos leave the album                      ║
+║ • Change listeners for UI, export and batch consumers                ║
+║                                                                      ║
+║ Integration: Requires main app instance for photo order              ║
+║ Browser Support: ES6+                                                ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Photo Selection */
+/* Multi-select model shared by upload preview, page strip, export and batch tools */
+
+class PhotoSelection {
+    constructor(app) {
+        this.app = app;
+        this.selectedIds = new Set();
+        this.anchorId = null;
+        this.listeners = [];
+    }
+
+    // === QUERIES ===
+
+    get count() {
+        return this.selectedIds.size;
+    }
+
+    isSelected(photo) {
+        return this.selectedIds.has(photo.id);
+    }
+
+    getSelectedPhotos() {
+        // Book order, not click order
+        return this.app.photos.filter(photo => this.selectedIds.has(photo.id));
+    }
+
+    // === MUTATIONS ===
+
+    handleClick(photo, event = {}) {
+        if (event.shiftKey && this.anchorId !== null) {
+            this.selectRange(this.anchorId, photo.id, event.ctrlKey || event.metaKey);
+        } else if (event.ctrlKey || event.metaKey) {
+            this.toggle(photo);
+        } else {
+            this.selectOnly(photo);
+        }
+    }
+
+    selectOnly(photo) {
+        this.selectedIds = new Set([photo.id]);
+        this.anchorId = photo.id;
+        this.notify();
+    }
+
+    toggle(photo) {
+        if (this.selectedIds.has(photo.id)) {
+            this.selectedIds.delete(photo.id);
+        } else {
+            this.selectedIds.add(photo.id);
+        }
+        this.anchorId = photo.id;
+        this.notify();
+    }
+
+    selectRange(fromId, toId, additive = false) {
+        const ids = this.app.photos.map(photo => photo.id);
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+        if (from === -1 || to === -1) return;
+
+        const [start, end] = from < to ? [from, to] : [to, from];
+        if (!additive) {
+            this.selectedIds.clear();
+        }
+        ids.slice(start, end + 1).forEach(id => this.selectedIds.add(id));
+
+        // The anchor stays put so successive shift-clicks pivot around it
+        this.notify();
+    }
+
+    selectPhotos(photos) {
+        this.selectedIds = new Set(photos.map(photo => photo.id));
+        this.anchorId = photos.length > 0 ? photos[0].id : null;
+        this.notify();
+    }
+
+    selectAll() {
+        this.selectedIds = new Set(this.app.photos.map(photo => photo.id));
+        this.notify();
+    }
+
+    clear() {
+        if (this.selectedIds.size === 0) return;
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.notify();
+    }
+
+    prune() {
+        const ids = new Set(this.app.photos.map(photo => photo.id));
+        const before = this.selectedIds.size;
+
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+        if (!ids.has(this.anchorId)) this.anchorId = null;
+
+        if (this.selectedIds.size !== before) {
+            this.notify();
+        }
+    }
+
+    // === EVENTS ===
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('❌ Selection listener failed:', error);
+            }
+        });
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.PhotoSelection = PhotoSelection;
+}
+
+console.log('✅ Photo Selection loaded');
@@ -0,0 +1,778 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                     Region Masks for Styling                         ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/region-masks.js                                             ║
+║ Purpose: Style parts of a photo differently through masks            ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Masks from face boxes and landmarks, with optional body            ║
+║ • Masks from depth map thresholds                                    ║
+║ • Brush painting and erasing on top of any mask                      ║
+║ • Own style, intensity and parameters per region                     ║
+║ • Feathered compositing over the page's style                        ║
+║ • Saved with the photo as plain data, rasterized on demand           ║
+║ • Face-preserving pass that keeps faces recognizable                 ║
+║                                                                      ║
+║ Integration: Requires main app; uses AdvancedStyleSystem configs     ║
+║ Browser Support: ES6+, Canvas API, Pointer Events                    ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Region Masks */
+/* Per-photo regions: mask recipe + style, composited over the page style */
+
+class RegionMasks {
+    constructor(app) {
+        this.app = app;
+
+        // A region is { id, name, source, options, strokes, feather, style }; only that
+        // recipe is saved, the pixels are rebuilt from the photo's faces and depth map
+        this.defaults = {
+            faces: { padding: 0.35, body: true },
+            depth: { min: 0, max: 0.5 },
+            brush: {}
+        };
+        this.names = { faces: 'People', depth: 'Depth Range', brush: 'Painted Area' };
+
+        // Feather and brush sizes are fractions of the photo's shorter side
+        this.defaultFeather = 0.03;
+        this.featherPasses = 3;
+        this.brushRadius = 0.04;
+
+        // photo → Map(region ID → { key, alpha })
+        this.maskCache = new WeakMap();
+        this.editor = null;
+
+        this.createRegionUI();
+    }
+
+    // === UI ===
+
+    createRegionUI() {
+        const stylePanel = document.getElementById('style-panel');
+        if (!stylePanel) return;
+
+        const regionHTML = `
+            <div class="region-masks-section">
+                <h4 class="control-section-title">Regions</h4>
+                <div id="region-list" class="region-list" aria-live="polite"></div>
+                <div class="region-add-buttons">
+                    <button class="preset-btn" data-region-source="faces">+ People</button>
+                    <button class="preset-btn" data-region-source="depth">+ Depth</button>
+                    <button class="preset-btn" data-region-source="brush">+ Brush</button>
+                </div>
+            </div>
+        `;
+
+        // Regions refine the page style, so they sit right under its controls
+        const anchor = stylePanel.querySelector('.style-history-section');
+        if (anchor) {
+            anchor.insertAdjacentHTML('beforebegin', regionHTML);
+        } else {
+            stylePanel.insertAdjacentHTML('beforeend', regionHTML);
+        }
+
+        document.querySelectorAll('[data-region-source]').forEach(button => {
+            button.addEventListener('click', () => this.addRegion(button.dataset.regionSource));
+        });
+
+        const list = document.getElementById('region-list');
+        list.addEventListener('input', (e) => this.handleRegionInput(e));
+        list.addEventListener('change', (e) => this.handleRegionChange(e));
+        list.addEventListener('click', (e) => this.handleRegionClick(e));
+
+        this.renderRegionList();
+    }
+
+    renderRegionList() {
+        const list = document.getElementById('region-list');
+        if (!list) return;
+
+        const photo = this.getCurrentPhoto();
+        document.querySelectorAll('[data-region-source]').forEach(button => {
+            button.disabled = !photo;
+        });
+
+        list.innerHTML = '';
+        if (!photo) {
+            list.innerHTML = '<p class="region-empty">Open a photo page to add regions</p>';
+            return;
+        }
+        if (photo.regions.length === 0) {
+            list.innerHTML = '<p class="region-empty">The whole page uses the style above</p>';
+            return;
+        }
+
+        photo.regions.forEach(region => list.appendChild(this.createRegionItem(region)));
+    }
+
+    createRegionItem(region) {
+        const item = document.createElement('div');
+        item.className = 'region-item';
+        item.dataset.regionId = region.id;
+
+        const configs = this.getStyleConfigs();
+        const intensity = region.style.intensity ?? this.app.settings.styleIntensity;
+
+        item.innerHTML = `
+            <div class="region-header">
+                <input type="text" class="region-name" aria-label="Region name">
+                <span class="region-source">${this.formatName(region.source)}</span>
+                <button class="region-remove" aria-label="Remove region">✕</button>
+            </div>
+            <select class="region-style secondary-style-select" aria-label="Region style"></select>
+            ${this.createSliderHTML('intensity', 'Intensity', intensity, 0, 100, 1, '%')}
+            <div class="region-parameters">
+                ${Object.entries(configs[region.style.name]?.parameters || {}).map(([name, config]) =>
+                    this.createSliderHTML(`param-${name}`, this.formatName(name),
+                        region.style.parameters?.[name] ?? config.default, config.min, config.max, 0.1)
+                ).join('')}
+            </div>
+            ${this.createSliderHTML('feather', 'Feather', Math.round(region.feather * 1000) / 10, 0, 10, 0.5, '%')}
+            ${region.source === 'depth' ? `
+                ${this.createSliderHTML('depth-min', 'Depth From', Math.round(region.options.min * 100), 0, 100, 1, '%')}
+                ${this.createSliderHTML('depth-max', 'Depth To', Math.round(region.options.max * 100), 0, 100, 1, '%')}
+            ` : ''}
+            ${region.source === 'faces' ? `
+                <label class="region-toggle">
+                    <input type="checkbox" class="region-body" ${region.options.body ? 'checked' : ''}>
+                    Include shoulders and body
+                </label>
+            ` : ''}
+            <button class="preset-btn region-paint">${region.source === 'brush' ? 'Paint Mask' : 'Refine With Brush'}</button>
+        `;
+
+        // Region and custom style names are user text; never parse them as HTML
+        item.querySelector('.region-name').value = region.name;
+        const select = item.querySelector('.region-style');
+        [['original', 'Original'], ...Object.entries(configs).map(([key, config]) => [key, config.name])].forEach(([key, name]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = region.style.name;
+        return item;
+    }
+
+    createSliderHTML(control, label, value, min, max, step, unit = '') {
+        return `
+            <div class="parameter-control">
+                <label class="parameter-label">${label}</label>
+                <input type="range" class="range-input region-slider" data-control="${control}"
+                       min="${min}" max="${max}" step="${step}" value="${value}" data-unit="${unit}">
+                <span class="parameter-value">${value}${unit}</span>
+            </div>
+        `;
+    }
+
+    formatName(name) {
+        return name.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+    }
+
+    getStyleConfigs() {
+        return this.app.advancedStyleSystem?.styleConfigs || {};
+    }
+
+    getCurrentPhoto() {
+        return this.app.pages[this.app.currentPage]?.userData.photo || null;
+    }
+
+    // === UI EVENTS ===
+
+    handleRegionInput(event) {
+        // Live value labels; the edit itself happens on change
+        if (event.target.matches('.region-slider')) {
+            event.target.nextElementSibling.textContent = `${event.target.value}${event.target.dataset.unit}`;
+        }
+    }
+
+    handleRegionChange(event) {
+        const item = event.target.closest('.region-item');
+        const photo = this.getCurrentPhoto();
+        if (!item || !photo) return;
+
+        const region = photo.regions.find(entry => entry.id === item.dataset.regionId);
+        if (!region) return;
+
+        const target = event.target;
+        if (target.matches('.region-name')) {
+            const name = target.value.trim() || this.names[region.source];
+            this.updateRegion(photo, region.id, { name }, 'Rename region');
+        } else if (target.matches('.region-style')) {
+            // A new style starts from its own defaults
+            this.updateRegion(photo, region.id, {
+                style: { ...region.style, name: target.value, parameters: {} }
+            }, 'Change region style');
+        } else if (target.matches('.region-body')) {
+            this.updateRegion(photo, region.id, {
+                options: { ...region.options, body: target.checked }
+            }, target.checked ? 'Include body in region' : 'Exclude body from region');
+        } else if (target.matches('.region-slider')) {
+            this.handleSliderChange(photo, region, target.dataset.control, parseFloat(target.value));
+        }
+    }
+
+    handleSliderChange(photo, region, control, value) {
+        if (control === 'intensity') {
+            this.updateRegion(photo, region.id, { style: { ...region.style, intensity: value } }, 'Adjust region intensity');
+        } else if (control === 'feather') {
+            this.updateRegion(photo, region.id, { feather: value / 100 }, 'Adjust region feather');
+        } else if (control === 'depth-min' || control === 'depth-max') {
+            const key = control === 'depth-min' ? 'min' : 'max';
+            this.updateRegion(photo, region.id, {
+                options: { ...region.options, [key]: value / 100 }
+            }, 'Adjust region depth');
+        } else if (control.startsWith('param-')) {
+            const name = control.slice('param-'.length);
+            this.updateRegion(photo, region.id, {
+                style: { ...region.style, parameters: { ...region.style.parameters, [name]: value } }
+            }, `Adjust region ${this.formatName(name).toLowerCase()}`);
+        }
+    }
+
+    handleRegionClick(event) {
+        const item = event.target.closest('.region-item');
+        const photo = this.getCurrentPhoto();
+        if (!item || !photo) return;
+
+        if (event.target.closest('.region-remove')) {
+            this.removeRegion(photo, item.dataset.regionId);
+        } else if (event.target.closest('.region-paint')) {
+            this.openBrushEditor(photo, item.dataset.regionId);
+        }
+    }
+
+    // === REGIONS ===
+
+    createRegion(source) {
+        return {
+            id: `region-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: this.names[source],
+            source,
+            options: { ...this.defaults[source] },
+            strokes: [],
+            feather: this.defaultFeather,
+            // People usually stay photorealistic while the rest of the page is styled
+            style: { name: 'original', parameters: {}, intensity: this.app.settings.styleIntensity }
+        };
+    }
+
+    async addRegion(source) {
+        const photo = this.getCurrentPhoto();
+        if (!photo) return;
+
+        if (source === 'faces' && photo.faces.length === 0) {
+            this.app.showNotification('No faces were found on this page', 'warning');
+            return;
+        }
+
+        const region = this.createRegion(source);
+        await this.setRegions(photo, [...photo.regions, region], `Add ${region.name.toLowerCase()} region`);
+
+        // A brush region is empty until painted
+        if (source === 'brush') {
+            this.openBrushEditor(photo, region.id);
+        }
+    }
+
+    async removeRegion(photo, regionId) {
+        await this.setRegions(photo, photo.regions.filter(region => region.id !== regionId), 'Remove region');
+    }
+
+    async updateRegion(photo, regionId, changes, label) {
+        const regions = photo.regions.map(region => (region.id === regionId ? { ...region, ...changes } : region));
+        await this.setRegions(photo, regions, label);
+    }
+
+    async setRegions(photo, regions, label) {
+        // Regions are replaced, never mutated, so a render in flight keeps a consistent recipe
+        await this.app.updatePhotoRegions(photo, regions, label);
+        this.renderRegionList();
+    }
+
+    // === MASKS ===
+
+    getMask(photo, region) {
+        // Everything the pixels depend on; faces can be edited and photos resized
+        const key = JSON.stringify([
+            region.source, region.options, region.strokes, region.feather,
+            photo.width, photo.height, region.source === 'faces' ? photo.faces : null
+        ]);
+
+        let masks = this.maskCache.get(photo);
+        if (!masks) {
+            masks = new Map();
+            this.maskCache.set(photo, masks);
+        }
+
+        const cached = masks.get(region.id);
+        if (cached && cached.key === key) {
+            return cached.alpha;
+        }
+
+        const radius = Math.round(region.feather * Math.min(photo.width, photo.height) / this.featherPasses);
+        const alpha = this.feather(this.readAlpha(this.drawMask(photo, region)), photo.width, photo.height, radius);
+        masks.set(region.id, { key, alpha });
+        return alpha;
+    }
+
+    drawMask(photo, region) {
+        // White where the region applies; the alpha channel is the mask
+        const canvas = document.createElement('canvas');
+        canvas.width = photo.width;
+        canvas.height = photo.height;
+        const ctx = canvas.getContext('2d');
+
+        if (region.source === 'faces') {
+            this.drawFaceShapes(ctx, photo, region.options);
+        } else if (region.source === 'depth') {
+            ctx.putImageData(this.createDepthMask(photo, region.options), 0, 0);
+        }
+
+        this.drawStrokes(ctx, region.strokes, photo.width, photo.height);
+        return canvas;
+    }
+
+    readAlpha(canvas) {
+        const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        const alpha = new Uint8ClampedArray(canvas.width * canvas.height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = pixels[i * 4 + 3];
+        }
+        return alpha;
+    }
+
+    drawFaceShapes(ctx, photo, options) {
+        ctx.fillStyle = '#fff';
+
+        photo.faces.forEach(face => {
+            const [x1, y1, x2, y2] = face.box;
+            const faceWidth = x2 - x1;
+            const faceHeight = y2 - y1;
+            const landmarks = face.landmarks || [];
+
+            // BlazeFace landmarks: right eye, left eye, nose, mouth, right ear, left ear
+            let centerX = (x1 + x2) / 2;
+            let headWidth = faceWidth;
+            let angle = 0;
+            if (landmarks.length >= 6) {
+                const [rightEye, leftEye, , , rightEar, leftEar] = landmarks;
+                centerX = (rightEar[0] + leftEar[0]) / 2;
+                headWidth = Math.max(faceWidth, Math.hypot(leftEar[0] - rightEar[0], leftEar[1] - rightEar[1]));
+                angle = Math.atan2(leftEye[1] - rightEye[1], leftEye[0] - rightEye[0]);
+            }
+
+            // The box stops at the brows and chin; stretch it up for hair
+            const radiusX = (headWidth / 2) * (1 + options.padding);
+            const radiusY = (faceHeight / 2) * (1 + options.padding) * 1.25;
+            const centerY = (y1 + y2) / 2 - faceHeight * 0.15;
+
+            ctx.beginPath();
+            ctx.ellipse(centerX, centerY, radiusX, radiusY, angle, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (options.body) {
+                this.drawBodyShape(ctx, centerX, centerY + radiusY * 0.8, headWidth, faceHeight, photo.height);
+            }
+        });
+    }
+
+    drawBodyShape(ctx, centerX, neckY, headWidth, faceHeight, bottom) {
+        // Neck widening into shoulders, then straight down to the bottom edge
+        const neck = headWidth * 0.35;
+        const shoulders = headWidth * 1.4;
+        const shoulderY = neckY + faceHeight * 0.5;
+
+        ctx.beginPath();
+        ctx.moveTo(centerX - neck, neckY);
+        ctx.quadraticCurveTo(centerX - neck, shoulderY - faceHeight * 0.15, centerX - shoulders, shoulderY);
+        ctx.lineTo(centerX - shoulders, bottom);
+        ctx.lineTo(centerX + shoulders, bottom);
+        ctx.lineTo(centerX + shoulders, shoulderY);
+        ctx.quadraticCurveTo(centerX + neck, shoulderY - faceHeight * 0.15, centerX + neck, neckY);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    createDepthMask(photo, options) {
+        const imageData = new ImageData(photo.width, photo.height);
+        const depth = photo.depthMap;
+        if (!depth || depth.length !== photo.width * photo.height) return imageData;
+
+        const min = Math.min(options.min, options.max);
+        const max = Math.max(options.min, options.max);
+        for (let i = 0; i < depth.length; i++) {
+            if (depth[i] >= min && depth[i] <= max) {
+                imageData.data.fill(255, i * 4, i * 4 + 4);
+            }
+        }
+        return imageData;
+    }
+
+    drawStrokes(ctx, strokes, width, height) {
+        const scale = Math.min(width, height);
+
+        strokes.forEach(stroke => this.drawStroke(ctx, stroke, stroke.points, width, height, scale));
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawStroke(ctx, stroke, points, width, height, scale = Math.min(width, height)) {
+        // Stroke points are fractions of the photo size so masks survive resizing
+        ctx.globalCompositeOperation = stroke.erase ? 'destination-out' : 'source-over';
+        ctx.fillStyle = '#fff';
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = stroke.radius * 2 * scale;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0][0] * width, points[0][1] * height, stroke.radius * scale, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(points[0][0] * width, points[0][1] * height);
+        points.slice(1).forEach(([x, y]) => ctx.lineTo(x * width, y * height));
+        ctx.stroke();
+    }
+
+    feather(alpha, width, height, radius) {
+        if (radius < 1) return alpha;
+
+        // Repeated box blurs approach a Gaussian at a fraction of the cost
+        const values = Float32Array.from(alpha);
+        const scratch = new Float32Array(values.length);
+        for (let pass = 0; pass < this.featherPasses; pass++) {
+            this.blurAxis(values, scratch, width, height, radius, true);
+            this.blurAxis(scratch, values, width, height, radius, false);
+        }
+        return Uint8ClampedArray.from(values);
+    }
+
+    blurAxis(source, target, width, height, radius, horizontal) {
+        const length = horizontal ? width : height;
+        const lines = horizontal ? height : width;
+        const step = horizontal ? 1 : width;
+        const size = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const start = horizontal ? line * width : line;
+
+            // Running sum with edge pixels repeated past the border
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += source[start + Math.min(Math.max(k, 0), length - 1) * step];
+            }
+
+            for (let i = 0; i < length; i++) {
+                target[start + i * step] = sum / size;
+                const next = Math.min(i + radius + 1, length - 1);
+                const previous = Math.max(i - radius, 0);
+                sum += source[start + next * step] - source[start + previous * step];
+            }
+        }
+    }
+
+    // === COMPOSITING ===
+
+    async composite(photo, baseImage, layers) {
+        // layers: [{ region, image }] drawn in order over the page style
+        const { width, height } = photo;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(await this.loadImage(baseImage), 0, 0, width, height);
+
+        const layerCanvas = document.createElement('canvas');
+        layerCanvas.width = width;
+        layerCanvas.height = height;
+        const layerCtx = layerCanvas.getContext('2d');
+
+        for (const { region, image } of layers) {
+            const alpha = this.getMask(photo, region);
+
+            layerCtx.clearRect(0, 0, width, height);
+            layerCtx.drawImage(await this.loadImage(image), 0, 0, width, height);
+
+            const pixels = layerCtx.getImageData(0, 0, width, height);
+            for (let i = 0; i < alpha.length; i++) {
+                pixels.data[i * 4 + 3] = (pixels.data[i * 4 + 3] * alpha[i]) / 255;
+            }
+            layerCtx.putImageData(pixels, 0, 0);
+
+            ctx.drawImage(layerCanvas, 0, 0);
+        }
+
+        return canvas.toDataURL();
+    }
+
+    // === FACE PRESERVATION ===
+
+    async preserveFaces(photo, styledImage, strength) {
+        // Faces get the photo's own luminance, which carries features and expression, and part of
+        // its color, so they stay recognizable but still sit in the painting
+        const region = { id: 'preserve-faces', source: 'faces', options: { padding: 0.1, body: false }, strokes: [], feather: 0.04 };
+        const alpha = this.getMask(photo, region);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = photo.width;
+        canvas.height = photo.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(await this.loadImage(styledImage), 0, 0, photo.width, photo.height);
+
+        const styled = ctx.getImageData(0, 0, photo.width, photo.height);
+        const pixels = styled.data;
+        const original = photo.imageData.data;
+
+        for (let i = 0; i < alpha.length; i++) {
+            if (alpha[i] === 0) continue;
+
+            const lumaWeight = (alpha[i] / 255) * strength;
+            const colorWeight = lumaWeight * 0.6;
+            const p = i * 4;
+
+            const [y1, cb1, cr1] = this.toYCbCr(pixels[p], pixels[p + 1], pixels[p + 2]);
+            const [y2, cb2, cr2] = this.toYCbCr(original[p], original[p + 1], original[p + 2]);
+            const y = y1 + (y2 - y1) * lumaWeight;
+            const cb = cb1 + (cb2 - cb1) * colorWeight;
+            const cr = cr1 + (cr2 - cr1) * colorWeight;
+
+            pixels[p] = y + 1.402 * cr;
+            pixels[p + 1] = y - 0.344136 * cb - 0.714136 * cr;
+            pixels[p + 2] = y + 1.772 * cb;
+        }
+
+        ctx.putImageData(styled, 0, 0);
+        return canvas.toDataURL();
+    }
+
+    toYCbCr(r, g, b) {
+        // Chroma centred on zero so it can be mixed directly
+        const y = 0.299 * r + 0.587 * g + 0.114 * b;
+        return [y, (b - y) / 1.772, (r - y) / 1.402];
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not decode region render'));
+            img.src = src;
+        });
+    }
+
+    // === BRUSH EDITOR ===
+
+    createBrushEditor() {
+        const editorHTML = `
+            <div class="mask-editor" id="mask-editor" role="dialog" aria-modal="true" aria-labelledby="mask-editor-title" tabindex="-1" hidden>
+                <div class="mask-editor-content">
+                    <header class="modal-header">
+                        <h3 id="mask-editor-title" class="modal-title">Paint Region</h3>
+                        <button class="modal-close" id="mask-editor-close" aria-label="Close without saving">✕</button>
+                    </header>
+                    <div class="mask-editor-stage">
+                        <canvas id="mask-editor-canvas" class="mask-editor-canvas" aria-label="Photo with region mask; drag to paint"></canvas>
+                    </div>
+                    <div class="mask-editor-tools">
+                        <div class="preset-buttons">
+                            <button class="preset-btn" id="mask-brush-paint" aria-pressed="true">Paint</button>
+                            <button class="preset-btn" id="mask-brush-erase" aria-pressed="false">Erase</button>
+                        </div>
+                        <div class="parameter-control">
+                            <label for="mask-brush-size" class="parameter-label">Brush Size</label>
+                            <input type="range" id="mask-brush-size" class="range-input" min="1" max="20" step="0.5" value="${this.brushRadius * 100}">
+                            <span class="parameter-value" id="mask-brush-size-value">${this.brushRadius * 100}%</span>
+                        </div>
+                        <div class="mask-editor-actions">
+                            <button class="preset-btn" id="mask-editor-clear">Clear Brush Strokes</button>
+                            <button class="preset-btn" id="mask-editor-cancel">Cancel</button>
+                            <button class="batch-btn" id="mask-editor-done">Done</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', editorHTML);
+
+        const element = document.getElementById('mask-editor');
+        const canvas = document.getElementById('mask-editor-canvas');
+        this.editor = {
+            element,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            maskCanvas: document.createElement('canvas'),
+            tintCanvas: document.createElement('canvas'),
+            photo: null,
+            region: null,
+            strokes: [],
+            stroke: null,
+            erase: false
+        };
+
+        canvas.addEventListener('pointerdown', (e) => this.startStroke(e));
+        canvas.addEventListener('pointermove', (e) => this.continueStroke(e));
+        canvas.addEventListener('pointerup', () => this.endStroke());
+        canvas.addEventListener('pointercancel', () => this.endStroke());
+
+        document.getElementById('mask-brush-paint').addEventListener('click', () => this.setBrushMode(false));
+        document.getElementById('mask-brush-erase').addEventListener('click', () => this.setBrushMode(true));
+        document.getElementById('mask-brush-size').addEventListener('input', (e) => {
+            this.brushRadius = parseFloat(e.target.value) / 100;
+            document.getElementById('mask-brush-size-value').textContent = `${e.target.value}%`;
+        });
+        document.getElementById('mask-editor-clear').addEventListener('click', () => {
+            this.editor.strokes = [];
+            this.redrawEditorMask();
+        });
+        document.getElementById('mask-editor-cancel').addEventListener('click', () => this.closeBrushEditor());
+        document.getElementById('mask-editor-close').addEventListener('click', () => this.closeBrushEditor());
+        document.getElementById('mask-editor-done').addEventListener('click', () => this.saveBrushEditor());
+
+        // Keys stay in the editor: arrows must not turn pages underneath it
+        element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closeBrushEditor();
+        });
+    }
+
+    openBrushEditor(photo, regionId) {
+        const region = photo.regions.find(entry => entry.id === regionId);
+        if (!region) return;
+
+        if (!this.editor) {
+            this.createBrushEditor();
+        }
+
+        const editor = this.editor;
+        editor.photo = photo;
+        editor.region = region;
+        editor.strokes = region.strokes.map(stroke => ({ ...stroke, points: stroke.points.map(point => [...point]) }));
+        editor.stroke = null;
+
+        [editor.canvas, editor.maskCanvas, editor.tintCanvas].forEach(canvas => {
+            canvas.width = photo.width;
+            canvas.height = photo.height;
+        });
+
+        document.getElementById('mask-editor-title').textContent = `Paint Region: ${region.name}`;
+        this.setBrushMode(false);
+        this.redrawEditorMask();
+
+        editor.element.hidden = false;
+        editor.element.focus();
+    }
+
+    closeBrushEditor() {
+        if (!this.editor) return;
+
+        this.editor.element.hidden = true;
+        this.editor.photo = null;
+        this.editor.region = null;
+        this.editor.strokes = [];
+    }
+
+    async saveBrushEditor() {
+        const { photo, region, strokes } = this.editor;
+        this.closeBrushEditor();
+        if (!photo || !region) return;
+
+        if (JSON.stringify(strokes) !== JSON.stringify(region.strokes)) {
+            await this.updateRegion(photo, region.id, { strokes }, 'Paint region mask');
+        }
+    }
+
+    setBrushMode(erase) {
+        this.editor.erase = erase;
+        document.getElementById('mask-brush-paint').setAttribute('aria-pressed', String(!erase));
+        document.getElementById('mask-brush-erase').setAttribute('aria-pressed', String(erase));
+    }
+
+    getStrokePoint(event) {
+        const rect = this.editor.canvas.getBoundingClientRect();
+        const round = value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+        return [round((event.clientX - rect.left) / rect.width), round((event.clientY - rect.top) / rect.height)];
+    }
+
+    startStroke(event) {
+        const editor = this.editor;
+        event.preventDefault();
+        editor.canvas.setPointerCapture(event.pointerId);
+
+        // Alt paints the opposite of the selected mode
+        editor.stroke = {
+            erase: event.altKey ? !editor.erase : editor.erase,
+            radius: this.brushRadius,
+            points: [this.getStrokePoint(event)]
+        };
+        editor.strokes.push(editor.stroke);
+        this.paintSegment(editor.stroke.points);
+    }
+
+    continueStroke(event) {
+        const stroke = this.editor.stroke;
+        if (!stroke) return;
+
+        const point = this.getStrokePoint(event);
+        const last = stroke.points[stroke.points.length - 1];
+        if (point[0] === last[0] && point[1] === last[1]) return;
+
+        stroke.points.push(point);
+        this.paintSegment([last, point]);
+    }
+
+    endStroke() {
+        this.editor.stroke = null;
+    }
+
+    paintSegment(points) {
+        // Only the new segment is drawn; the full mask is rebuilt when the editor opens
+        const { maskCanvas, photo, stroke } = this.editor;
+        const ctx = maskCanvas.getContext('2d');
+        this.drawStroke(ctx, stroke, points, photo.width, photo.height);
+        ctx.globalCompositeOperation = 'source-over';
+        this.drawEditorView();
+    }
+
+    redrawEditorMask() {
+        // The unfeathered mask, so the brush edge shows where it really lands
+        const { maskCanvas, photo, region, strokes } = this.editor;
+        const ctx = maskCanvas.getContext('2d');
+        ctx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+        ctx.drawImage(this.drawMask(photo, { ...region, strokes }), 0, 0);
+        this.drawEditorView();
+    }
+
+    drawEditorView() {
+        const { ctx, maskCanvas, tintCanvas, photo } = this.editor;
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(photo.canvas, 0, 0);
+
+        const tintCtx = tintCanvas.getContext('2d');
+        tintCtx.globalCompositeOperation = 'source-over';
+        tintCtx.fillStyle = 'rgba(255, 64, 129, 0.5)';
+        tintCtx.clearRect(0, 0, tintCanvas.width, tintCanvas.height);
+        tintCtx.fillRect(0, 0, tintCanvas.width, tintCanvas.height);
+        tintCtx.globalCompositeOperation = 'destination-in';
+        tintCtx.drawImage(maskCanvas, 0, 0);
+
+        ctx.drawImage(tintCanvas, 0, 0);
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.RegionMasks = RegionMasks;
+}
+
+console.log('🎭 Region Masks loaded');
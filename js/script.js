@@ -11,9 +11,9 @@
 ║                                                                      ║
 ║ Features:                                                            ║
 ║ • TensorFlow.js integration for AI model processing                  ║
-║ • Three.js 3D book rendering with realistic page physics             ║
+║ • Three.js 3D book rendering with curling page turns at the spine    ║
 ║ • Real-time neural style transfer with 7 artistic styles             ║
-║ • Face detection using BlazeFace model                               ║
+║ • Multi-scale BlazeFace face detection with sensitivity filtering    ║
 ║ • Depth estimation for 2.5D parallax effects                         ║
 ║ • Service worker integration for offline functionality               ║
 ║ • Advanced export system with multiple format support                ║
@@ -56,6 +56,8 @@ class NeuralStyleMemoryBook {
         this.photos = [];
         this.currentPage = 0;
         this.currentStyle = 'original';
+        // AbortController of the page style edit still rendering, if any
+        this.styleEdit = null;
         this.settings = {
             gpuAcceleration: true,
             qualityPreset: 'medium',
@@ -64,7 +66,8 @@ class NeuralStyleMemoryBook {
             animationSpeed: 1.5,
             reducedMotion: false,
             styleIntensity: 70,
-            parallaxDepth: 50
+            parallaxDepth: 50,
+            styleConcurrency: 2
         };
         
         // Three.js components
@@ -75,6 +78,32 @@ class NeuralStyleMemoryBook {
         this.pages = [];
         this.controls = null;
         
+        // Page strip drag and drop: IDs of the pages being dragged
+        this.draggedPhotoIds = null;
+        // Latest deletion, kept for undo: [{ photo, index }]
+        this.deletedPhotos = null;
+        
+        // Face detection: lowest confidence the slider can reach, smallest tile for
+        // multi-scale passes, and the running sensitivity update with its AbortController
+        this.faceDetectionFloor = 0.55;
+        this.minFaceTile = 256;
+        this.faceSensitivityUpdate = null;
+        this.faceSensitivityPass = null;
+        
+        // Spreads: leaf k carries page 2k on its front and page 2k + 1 on its back;
+        // leaves stack this far apart, starting just above the cover board
+        this.leafGap = 0.01;
+        this.pageBaseZ = 0.11;
+        
+        // Camera: the rig follows the open spread; the view adds the reader's orbit and zoom
+        this.cameraRig = { x: 0, distance: 5 };
+        // Where the reader's view is heading, and where it is this frame; damping closes the gap
+        this.cameraGoal = { azimuth: 0, polar: 0, zoom: 1, panX: 0, panY: 0 };
+        this.cameraView = { ...this.cameraGoal };
+        this.cameraLimits = { azimuth: 1.2, polar: 1.25, minZoom: 0.6, maxZoom: 4, pan: 4 };
+        this.cameraDamping = 0.15;
+        this.cameraTarget = null;
+        
         // Performance monitoring
         this.performance = {
             fps: 60,
@@ -86,6 +115,13 @@ class NeuralStyleMemoryBook {
         // Advanced systems
         this.exportSystem = null;
         this.advancedStyleSystem = null;
+        this.albumStore = null;
+        this.albumArchive = null;
+        this.selection = null;
+        this.customStyles = null;
+        this.styleCache = null;
+        this.bookLayout = null;
+        this.editHistory = null;
         this.serviceWorkerManager = null;
         
         // Initialize app
@@ -117,6 +153,16 @@ class NeuralStyleMemoryBook {
             this.setupUI();
             this.startPerformanceMonitoring();
             
+            // Custom styles first, so restored pages can use them; they join the style
+            // system's models, so those have to be loaded before
+            if (this.advancedStyleSystem) {
+                await this.advancedStyleSystem.ready.catch(() => {});
+            }
+            await this.customStyles?.restoreStyles();
+            
+            // Rebuild the saved album, if any
+            await this.restoreAlbum();
+            
             this.updateProgress(100);
             
             this.isInitialized = true;
@@ -206,6 +252,19 @@ class NeuralStyleMemoryBook {
         this.updateLoadingText('Initializing advanced AI systems...');
         
         try {
+            // Initialize style render cache
+            if (typeof StyleCache !== 'undefined') {
+                this.styleCache = new StyleCache({ maxBytes: this.getStyleCacheBudget() });
+                console.log('✅ Style Cache initialized');
+            }
+            
+            // Initialize undo/redo history (before the style system builds its history panel)
+            if (typeof EditHistory !== 'undefined') {
+                this.editHistory = new EditHistory(this);
+                this.setupEditHistory();
+                console.log('✅ Edit History initialized');
+            }
+            
             // Initialize Advanced Style System
             if (typeof AdvancedStyleSystem !== 'undefined') {
                 this.advancedStyleSystem = new AdvancedStyleSystem(this);
@@ -218,6 +277,73 @@ class NeuralStyleMemoryBook {
                 console.log('✅ Export System initialized');
             }
             
+            // Initialize Album Store
+            if (typeof AlbumStore !== 'undefined') {
+                this.albumStore = new AlbumStore(this);
+                console.log('✅ Album Store initialized');
+            }
+            
+            // Initialize Album Archive (.nsmb bundles)
+            if (typeof AlbumArchive !== 'undefined') {
+                this.albumArchive = new AlbumArchive(this);
+                console.log('✅ Album Archive initialized');
+            }
+            
+            // Initialize custom styles (needs the style system for registration)
+            if (typeof CustomStyleManager !== 'undefined' && this.advancedStyleSystem) {
+                this.customStyles = new CustomStyleManager(this);
+                console.log('✅ Custom Styles initialized');
+            }
+            
+            // Initialize region masks (style options come from the style system)
+            if (typeof RegionMasks !== 'undefined') {
+                this.regionMasks = new RegionMasks(this);
+                console.log('✅ Region Masks initialized');
+            }
+            
+            // Initialize page ordering and chapters
+            if (typeof BookLayout !== 'undefined') {
+                this.bookLayout = new BookLayout(this);
+                console.log('✅ Book Layout initialized');
+            }
+            
+            // Initialize photo selection model
+            if (typeof PhotoSelection !== 'undefined') {
+                this.selection = new PhotoSelection(this);
+                this.selection.onChange(() => this.handleSelectionChange());
+                console.log('✅ Photo Selection initialized');
+            }
+            
+            // Initialize face grouping and people tags
+            if (typeof FaceClusters !== 'undefined') {
+                this.faceClusters = new FaceClusters(this);
+                console.log('✅ Face Clusters initialized');
+            }
+            
+            // Initialize clickable hotspots and face memories
+            if (typeof MemoryHotspots !== 'undefined') {
+                this.memoryHotspots = new MemoryHotspots(this);
+                console.log('✅ Memory Hotspots initialized');
+            }
+            
+            // Initialize curling page turns
+            if (typeof PageCurl !== 'undefined') {
+                this.pageCurl = new PageCurl(this);
+                console.log('✅ Page Curl initialized');
+            }
+            
+            // Initialize drag, swipe and pinch on the book canvas
+            if (typeof PageGestures !== 'undefined') {
+                this.pageGestures = new PageGestures(this);
+                console.log('✅ Page Gestures initialized');
+            }
+            
+            // Initialize mouse orbit, zoom and pan, view presets and face focus
+            if (typeof CameraControls !== 'undefined') {
+                this.controls = new CameraControls(this);
+                console.log('✅ Camera Controls initialized');
+            }
+            
             // Initialize performance monitoring enhancements
             this.initializePerformanceEnhancements();
             
@@ -262,14 +388,15 @@ class NeuralStyleMemoryBook {
             // Manual cleanup of unused tensors would go here
         }
         
-        // Clean up style cache
-        if (this.styleCache && this.styleCache.size > 50) {
-            const oldestEntries = Array.from(this.styleCache.entries())
-                .sort(([,a], [,b]) => a.timestamp - b.timestamp)
-                .slice(0, 20);
-            
-            oldestEntries.forEach(([key]) => this.styleCache.delete(key));
-        }
+        // The style cache evicts on insert; this catches a budget lowered since
+        this.styleCache?.evict();
+    }
+    
+    getStyleCacheBudget() {
+        // Roughly 1/32 of device memory, between 64MB and 256MB
+        const deviceMemory = navigator.deviceMemory || 4;
+        const megabytes = Math.min(256, Math.max(64, deviceMemory * 32));
+        return megabytes * 1024 * 1024;
     }
 
     // === MODEL INITIALIZATION ===
@@ -291,7 +418,12 @@ class NeuralStyleMemoryBook {
             
             // Load face detection model
             this.updateLoadingText('Loading face detection model...');
-            this.models.faceDetection = await blazeface.load();
+            // Loose model thresholds: the sensitivity setting does the real filtering
+            this.models.faceDetection = await blazeface.load({
+                maxFaces: 20,
+                scoreThreshold: this.faceDetectionFloor,
+                iouThreshold: 0.6
+            });
             console.log('✅ Face detection model loaded');
             
             this.updateProgress(60);
@@ -317,12 +449,13 @@ class NeuralStyleMemoryBook {
     async initializeStyleModels() {
         // For this demo, we'll create simplified style transfer using image filters
         // In production, you'd load actual pre-trained neural style transfer models
+        // Filters live in style-filters.js so the style worker can share them
         this.models.styleTransfer = {
-            vangogh: this.createVanGoghFilter(),
-            picasso: this.createPicassoFilter(),
-            monet: this.createMonetFilter(),
-            kandinsky: this.createKandinskyFilter(),
-            hokusai: this.createHokusaiFilter()
+            vangogh: StyleFilters.vangogh,
+            picasso: StyleFilters.picasso,
+            monet: StyleFilters.monet,
+            kandinsky: StyleFilters.kandinsky,
+            hokusai: StyleFilters.hokusai
         };
         console.log('✅ Style transfer models initialized');
     }
@@ -425,6 +558,12 @@ class NeuralStyleMemoryBook {
         spine.position.x = -2.15;
         this.book.add(spine);
         
+        // Back board, under the leaves turned left of the spine
+        const backCover = new THREE.Mesh(coverGeometry, coverMaterial);
+        backCover.position.x = -4.3;
+        backCover.receiveShadow = true;
+        this.book.add(backCover);
+        
         // Initialize pages array
         this.pages = [];
         
@@ -454,7 +593,11 @@ class NeuralStyleMemoryBook {
         document.getElementById('style-intensity').addEventListener('input', (e) => {
             this.settings.styleIntensity = parseInt(e.target.value);
             document.getElementById('intensity-value').textContent = `${e.target.value}%`;
-            this.updateCurrentPageStyle();
+        });
+        
+        // A render per slider tick would queue dozens; the page renders on release
+        document.getElementById('style-intensity').addEventListener('change', () => {
+            this.updateCurrentPageStyle({ label: 'Adjust intensity', coalesce: 'intensity' });
         });
         
         document.getElementById('parallax-depth').addEventListener('input', (e) => {
@@ -470,10 +613,17 @@ class NeuralStyleMemoryBook {
         // UI toggles
         document.getElementById('upload-btn').addEventListener('click', () => this.toggleUploadSection());
         document.getElementById('settings-btn').addEventListener('click', () => this.toggleSettingsPanel());
+        document.getElementById('gallery-btn').addEventListener('click', () => this.toggleGallery());
         
         // Settings
         this.setupSettingsListeners();
         
+        // Selection (upload preview and page strip)
+        this.setupSelectionListeners();
+        
+        // Page order and chapters
+        this.setupLayoutListeners();
+        
         // Modal
         document.getElementById('modal-close').addEventListener('click', () => this.closeModal());
         document.getElementById('modal-backdrop').addEventListener('click', () => this.closeModal());
@@ -484,6 +634,12 @@ class NeuralStyleMemoryBook {
         // Window resize
         window.addEventListener('resize', () => this.handleResize());
         
+        // Flush pending album saves before the page goes away
+        window.addEventListener('pagehide', () => this.albumStore?.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.albumStore?.flush();
+        });
+        
         console.log('✅ Event listeners set up');
     }
     
@@ -498,6 +654,11 @@ class NeuralStyleMemoryBook {
             this.updateQualitySettings();
         });
         
+        document.getElementById('style-concurrency').addEventListener('change', (e) => {
+            this.settings.styleConcurrency = parseInt(e.target.value);
+            this.advancedStyleSystem?.setConcurrency(this.settings.styleConcurrency);
+        });
+        
         document.getElementById('face-detection').addEventListener('change', (e) => {
             this.settings.faceDetection = e.target.checked;
             this.updateFaceDetection();
@@ -507,6 +668,11 @@ class NeuralStyleMemoryBook {
             this.settings.faceSensitivity = parseInt(e.target.value);
         });
         
+        // Re-filtering waits for the slider to be released
+        document.getElementById('face-sensitivity').addEventListener('change', () => {
+            this.queueFaceSensitivity();
+        });
+        
         document.getElementById('animation-speed').addEventListener('input', (e) => {
             this.settings.animationSpeed = parseFloat(e.target.value);
         });
@@ -532,18 +698,45 @@ class NeuralStyleMemoryBook {
     handleFileDrop(event) {
         event.preventDefault();
         event.currentTarget.classList.remove('dragover');
-        const files = Array.from(event.dataTransfer.files).filter(file => file.type.startsWith('image/'));
+        const files = Array.from(event.dataTransfer.files).filter(file => 
+            file.type.startsWith('image/') || this.albumArchive?.isArchiveFile(file)
+        );
         this.processFiles(files);
     }
     
-    async processFiles(files) {
+    async processFiles(files, savedRecords = []) {
+        // Album bundles are opened separately and feed their images back through here
+        if (this.albumArchive) {
+            const archives = files.filter(file => this.albumArchive.isArchiveFile(file));
+            for (const archive of archives) {
+                await this.openAlbumArchive(archive);
+            }
+            files = files.filter(file => !archives.includes(file));
+            if (files.length === 0) return [];
+        }
+        
         this.showProcessing('Processing images...');
+        const added = [];
+        const skipped = [];
         
         try {
-            for (const file of files) {
-                await this.addPhoto(file);
+            for (let i = 0; i < files.length; i++) {
+                // One unreadable image (or a damaged bundle entry) should not stop the rest
+                try {
+                    added.push(await this.addPhoto(files[i], savedRecords[i] || null));
+                } catch (error) {
+                    console.warn(`⚠️ Could not add ${files[i].name}:`, error);
+                    skipped.push(files[i].name);
+                }
+            }
+            
+            if (skipped.length > 0) {
+                this.showNotification(`Skipped ${skipped.length} unreadable ${skipped.length === 1 ? 'image' : 'images'}: ${skipped.join(', ')}`, 'warning');
             }
             
+            // New photos land at the end; sort them into place and refresh chapters
+            this.bookLayout?.apply();
+            this.faceClusters?.cluster();
             this.updatePageNavigation();
             this.hideProcessing();
             
@@ -551,26 +744,38 @@ class NeuralStyleMemoryBook {
                 this.goToPage(0);
             }
             
+            this.persistAlbum();
+            
         } catch (error) {
             console.error('❌ File processing failed:', error);
             this.showError('Failed to process images', error.message);
             this.hideProcessing();
         }
+        
+        return added;
     }
     
-    async addPhoto(file) {
+    async addPhoto(file, saved = null) {
+        const exif = await this.readPhotoMetadata(file);
+        
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = async (e) => {
                 try {
                     const img = new Image();
                     img.onload = async () => {
-                        const photo = await this.createPhotoObject(img, file.name);
-                        this.photos.push(photo);
-                        this.addPhotoToPreview(photo);
-                        this.createBookPage(photo);
-                        resolve(photo);
+                        try {
+                            const photo = await this.createPhotoObject(img, file.name, saved, exif);
+                            photo.sourceBlob = file;
+                            this.photos.push(photo);
+                            this.addPhotoToPreview(photo);
+                            this.createBookPage(photo);
+                            resolve(photo);
+                        } catch (error) {
+                            reject(error);
+                        }
                     };
+                    img.onerror = () => reject(new Error(`Could not decode ${file.name}`));
                     img.src = e.target.result;
                 } catch (error) {
                     reject(error);
@@ -581,41 +786,66 @@ class NeuralStyleMemoryBook {
         });
     }
     
-    async createPhotoObject(img, filename) {
+    async createPhotoObject(img, filename, saved = null, exif = null) {
         // Create canvas for processing
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         
-        // Resize image for optimal processing
+        // Rotate/flip ourselves only when the browser has not already applied EXIF orientation
+        const orientation = exif && !(await PhotoMetadata.browserAppliesOrientation()) ? exif.orientation : 1;
+        const quarterTurn = PhotoMetadata.isQuarterTurn(orientation);
+        const uprightWidth = quarterTurn ? img.height : img.width;
+        const uprightHeight = quarterTurn ? img.width : img.height;
+        
+        // Resize image for optimal processing; saved photos keep their size so faces and depth line up
         const maxSize = this.getMaxImageSize();
-        const { width, height } = this.calculateDimensions(img.width, img.height, maxSize);
+        const size = saved
+            ? { width: saved.width, height: saved.height }
+            : this.calculateDimensions(uprightWidth, uprightHeight, maxSize);
+        
+        // Whole pixels, as the canvas has them: masks and depth maps step through rows of this width.
+        // Floored because older saves kept fractional sizes, and their depth maps match the truncated canvas
+        const width = Math.max(1, Math.floor(size.width));
+        const height = Math.max(1, Math.floor(size.height));
         
         canvas.width = width;
         canvas.height = height;
-        ctx.drawImage(img, 0, 0, width, height);
+        PhotoMetadata.applyOrientation(ctx, orientation, width, height);
+        ctx.drawImage(img, 0, 0, quarterTurn ? height : width, quarterTurn ? width : height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         
         const imageData = ctx.getImageData(0, 0, width, height);
         
         // Detect faces if enabled
-        let faces = [];
-        if (this.settings.faceDetection) {
-            faces = await this.detectFaces(canvas);
+        let faces = saved ? saved.faces : [];
+        let faceCandidates = null;
+        if (!saved && this.settings.faceDetection) {
+            faceCandidates = await this.detectFaces(canvas);
+            faces = this.filterFaces(faceCandidates);
         }
         
         // Estimate depth
-        const depthMap = await this.models.depthEstimation.estimate(imageData);
+        const depthMap = saved?.depthMap || await this.models.depthEstimation.estimate(imageData);
         
         const photo = {
-            id: Date.now() + Math.random(),
+            id: saved?.id ?? Date.now() + Math.random(),
             filename,
             originalImage: img,
             canvas,
             imageData,
             faces,
+            // Every detection before filtering, so sensitivity changes need no new pass
+            faceCandidates,
             depthMap,
             styledVersions: new Map(),
+            renderKeys: new Map(),
             width,
-            height
+            height,
+            caption: saved?.caption || '',
+            exif: exif || PhotoMetadata.empty(),
+            style: saved?.style || { name: 'original', parameters: {} },
+            regions: saved?.regions || [],
+            addedAt: saved?.addedAt ?? Date.now()
         };
         
         // Pre-generate original style
@@ -626,38 +856,39 @@ class NeuralStyleMemoryBook {
     
     // === STYLE TRANSFER ===
     
-    async applyStyleTransfer(photo, style) {
+    async applyStyleTransfer(photo, style, options = {}) {
+        // options: { priority, group, signal } for the style job queue, plus the page's
+        // { parameters, intensity }; without them the style controls are used
         if (style === 'original') {
             return photo.styledVersions.get('original');
         }
         
-        if (photo.styledVersions.has(style)) {
-            return photo.styledVersions.get(style);
+        const parameters = options.parameters ?? this.getCurrentStyleParameters();
+        const intensity = options.intensity ?? this.settings.styleIntensity;
+        const cacheKey = this.getStyleCacheKey(photo, style, parameters, intensity);
+        const cached = this.styleCache?.get(cacheKey)
+            ?? (photo.renderKeys.get(style) === cacheKey ? photo.styledVersions.get(style) : undefined);
+        
+        if (cached) {
+            this.storeStyledVersion(photo, style, cacheKey, cached);
+            return cached;
         }
         
         // Check if advanced style system is available
         if (this.advancedStyleSystem && this.advancedStyleSystem.isInitialized) {
             try {
-                const styledImageData = await this.advancedStyleSystem.models.get(style)?.process(
-                    photo.imageData,
-                    this.getCurrentStyleParameters()
-                );
+                // Queued by priority, then rendered and PNG-encoded in the style worker when available
+                const styledDataURL = await this.advancedStyleSystem.scheduleStyle(photo, style, parameters, {
+                    priority: options.priority,
+                    group: options.group,
+                    signal: options.signal,
+                    intensity: intensity / 100
+                });
                 
-                if (styledImageData) {
-                    const canvas = this.processingCanvases.temp;
-                    canvas.width = photo.width;
-                    canvas.height = photo.height;
-                    const ctx = canvas.getContext('2d');
-                    
-                    const imageData = new ImageData(styledImageData, photo.width, photo.height);
-                    ctx.putImageData(imageData, 0, 0);
-                    
-                    const styledDataURL = canvas.toDataURL();
-                    photo.styledVersions.set(style, styledDataURL);
-                    
-                    return styledDataURL;
-                }
+                this.storeStyledVersion(photo, style, cacheKey, styledDataURL);
+                return styledDataURL;
             } catch (error) {
+                if (error.name === 'AbortError') throw error;
                 console.warn('⚠️ Advanced style transfer failed, falling back to basic:', error);
             }
         }
@@ -674,15 +905,163 @@ class NeuralStyleMemoryBook {
         // Apply style filter
         const filter = this.models.styleTransfer[style];
         if (filter) {
-            filter(ctx, photo.imageData, this.settings.styleIntensity / 100);
+            filter(ctx, photo.imageData, intensity / 100);
         }
         
         const styledDataURL = canvas.toDataURL();
-        photo.styledVersions.set(style, styledDataURL);
+        this.storeStyledVersion(photo, style, cacheKey, styledDataURL);
         
         return styledDataURL;
     }
     
+    getStyleCacheKey(photo, style, parameters = this.getCurrentStyleParameters(), intensity = this.settings.styleIntensity) {
+        // Everything that changes the pixels: style, its parameters, intensity and quality
+        return StyleCache.createKey(photo.id, style, { ...parameters, intensity: intensity / 100 }, this.settings.qualityPreset);
+    }
+    
+    async renderPhotoStyle(photo, style = photo.style, options = {}) {
+        // Renders a page style ({ name, parameters, intensity, blend }); options go to the job queue.
+        // The photo's regions are composited on top unless options.regions is false
+        if (options.regions !== false && photo.regions.length > 0 && this.regionMasks) {
+            return await this.renderPhotoRegions(photo, style, options);
+        }
+        
+        if (style.preserveFaces && style.name !== 'original' && photo.faces.length > 0 && this.regionMasks) {
+            return await this.renderPreservedFaces(photo, style, options);
+        }
+        
+        const intensity = style.intensity ?? this.settings.styleIntensity;
+        
+        if (!style.blend || !this.advancedStyleSystem) {
+            return await this.applyStyleTransfer(photo, style.name, { ...options, parameters: style.parameters || {}, intensity });
+        }
+        
+        // Blends are cached and saved like single styles, under a combined name
+        const version = this.getStyleVersionKey(style);
+        const cacheKey = this.getStyleCacheKey(photo, version, { ...style.parameters, blendWeight: style.blend.weight }, intensity);
+        const cached = this.styleCache?.get(cacheKey)
+            ?? (photo.renderKeys.get(version) === cacheKey ? photo.styledVersions.get(version) : undefined);
+        
+        if (cached) {
+            this.storeStyledVersion(photo, version, cacheKey, cached);
+            return cached;
+        }
+        
+        const dataURL = await this.advancedStyleSystem.scheduleBlend(photo, style, cacheKey, options);
+        this.storeStyledVersion(photo, version, cacheKey, dataURL);
+        return dataURL;
+    }
+    
+    async renderPhotoRegions(photo, style, options = {}) {
+        // Regions are replaced on edit, so this recipe stays fixed while the layers render
+        const regions = photo.regions;
+        const version = this.getPageVersionKey(photo, style);
+        const cacheKey = this.getStyleCacheKey(photo, version, {
+            style: JSON.stringify(style),
+            regions: JSON.stringify(regions)
+        }, style.intensity ?? this.settings.styleIntensity);
+        const cached = this.styleCache?.get(cacheKey)
+            ?? (photo.renderKeys.get(version) === cacheKey ? photo.styledVersions.get(version) : undefined);
+        
+        if (cached) {
+            this.storeStyledVersion(photo, version, cacheKey, cached);
+            return cached;
+        }
+        
+        // The page style and every region style share the queue, and its dedupe
+        const layerOptions = { ...options, regions: false };
+        const [base, ...images] = await Promise.all(
+            [style, ...regions.map(region => region.style)].map(layer => this.renderPhotoStyle(photo, layer, layerOptions))
+        );
+        
+        const dataURL = await this.regionMasks.composite(photo, base, regions.map((region, i) => ({ region, image: images[i] })));
+        this.storeStyledVersion(photo, version, cacheKey, dataURL);
+        return dataURL;
+    }
+    
+    async renderPreservedFaces(photo, style, options = {}) {
+        const version = this.getStyleVersionKey(style);
+        const cacheKey = this.getStyleCacheKey(photo, version, {
+            ...style.parameters,
+            blendWeight: style.blend?.weight,
+            faceStrength: style.preserveFaces,
+            faces: JSON.stringify(photo.faces.map(face => face.box))
+        }, style.intensity ?? this.settings.styleIntensity);
+        const cached = this.styleCache?.get(cacheKey)
+            ?? (photo.renderKeys.get(version) === cacheKey ? photo.styledVersions.get(version) : undefined);
+        
+        if (cached) {
+            this.storeStyledVersion(photo, version, cacheKey, cached);
+            return cached;
+        }
+        
+        // The full-strength render is shared with pages that do not preserve faces
+        const styledImage = await this.renderPhotoStyle(photo, { ...style, preserveFaces: null }, options);
+        const dataURL = await this.regionMasks.preserveFaces(photo, styledImage, style.preserveFaces);
+        this.storeStyledVersion(photo, version, cacheKey, dataURL);
+        return dataURL;
+    }
+    
+    getStyleVersionKey(style) {
+        // Key into photo.styledVersions for the render a page style produces
+        const version = style.blend ? `${style.name}+${style.blend.style}` : style.name;
+        return style.preserveFaces && style.name !== 'original' ? `${version}~faces` : version;
+    }
+    
+    getPageVersionKey(photo, style = photo.style) {
+        // Region composites are kept apart from the plain render of the same style
+        const version = this.getStyleVersionKey(style);
+        return photo.regions.length > 0 ? `${version}@regions` : version;
+    }
+    
+    getStyledImage(photo) {
+        return photo.styledVersions.get(this.getPageVersionKey(photo)) || photo.styledVersions.get('original');
+    }
+    
+    getStyleFromControls() {
+        // The style the panel currently describes, ready to assign to pages
+        const style = {
+            name: this.currentStyle,
+            parameters: this.getCurrentStyleParameters(),
+            intensity: this.settings.styleIntensity
+        };
+        
+        const blend = this.currentStyle !== 'original' ? this.advancedStyleSystem?.getBlendFromControls() : null;
+        if (blend) {
+            style.blend = blend;
+        }
+        
+        const preserveFaces = this.currentStyle !== 'original' ? this.advancedStyleSystem?.getFacePreservationFromControls() : null;
+        if (preserveFaces) {
+            style.preserveFaces = preserveFaces;
+        }
+        return style;
+    }
+    
+    storeStyledVersion(photo, style, cacheKey, dataURL) {
+        this.styleCache?.set(cacheKey, dataURL);
+        
+        // styledVersions holds the page's own render for thumbnails and saving; everything
+        // else lives in the style cache, whose byte budget then bounds what stays in memory
+        if (photo.renderKeys.get(style) === cacheKey && photo.styledVersions.get(style) === dataURL) return;
+        
+        photo.styledVersions.set(style, dataURL);
+        photo.renderKeys.set(style, cacheKey);
+        // The newest render is kept too: pages are restyled only after their render arrives
+        this.pruneStyledVersions(photo, style);
+        this.persistAlbum();
+    }
+    
+    pruneStyledVersions(photo, keep = null) {
+        const pageVersion = this.getPageVersionKey(photo);
+        
+        Array.from(photo.styledVersions.keys()).forEach(version => {
+            if (version === 'original' || version === pageVersion || version === keep) return;
+            photo.styledVersions.delete(version);
+            photo.renderKeys.delete(version);
+        });
+    }
+    
     getCurrentStyleParameters() {
         // Get current style parameters from advanced UI if available
         if (this.advancedStyleSystem) {
@@ -714,10 +1093,16 @@ class NeuralStyleMemoryBook {
             return;
         }
         
+        this.setPageTexture(currentPageMesh, dataURL);
+    }
+    
+    setPageTexture(pageMesh, dataURL) {
         const texture = new THREE.TextureLoader().load(dataURL);
         texture.flipY = false;
-        currentPageMesh.material.map = texture;
-        currentPageMesh.material.needsUpdate = true;
+        // The replaced texture would otherwise stay on the GPU
+        pageMesh.material.map?.dispose();
+        pageMesh.material.map = texture;
+        pageMesh.material.needsUpdate = true;
     }
     
     updateProcessingText(text) {
@@ -731,121 +1116,202 @@ class NeuralStyleMemoryBook {
         console.log('📦 Cache updated:', data);
     }
     
-    // === STYLE FILTERS ===
+    // === FACE DETECTION ===
     
-    createVanGoghFilter() {
-        return (ctx, imageData, intensity) => {
-            // Van Gogh style: swirling patterns, vibrant colors
-            ctx.filter = `
-                saturate(${1 + intensity * 0.5})
-                contrast(${1 + intensity * 0.3})
-                brightness(${1 + intensity * 0.2})
-                hue-rotate(${intensity * 20}deg)
-            `;
-            ctx.globalCompositeOperation = 'overlay';
-            ctx.fillStyle = `rgba(70, 130, 180, ${intensity * 0.2})`;
-            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-            ctx.globalCompositeOperation = 'source-over';
-        };
+    async detectFaces(canvas) {
+        // Returns every candidate; filterFaces applies the sensitivity setting
+        if (!this.models.faceDetection) return [];
+        
+        const tileCanvas = document.createElement('canvas');
+        const tileCtx = tileCanvas.getContext('2d');
+        const candidates = [];
+        
+        try {
+            for (const tile of this.getFaceTiles(canvas.width, canvas.height)) {
+                let input = canvas;
+                if (tile.width !== canvas.width || tile.height !== canvas.height) {
+                    tileCanvas.width = tile.width;
+                    tileCanvas.height = tile.height;
+                    tileCtx.drawImage(canvas, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+                    input = tileCanvas;
+                }
+                
+                const predictions = await this.models.faceDetection.estimateFaces(input, false);
+                predictions.forEach(prediction => {
+                    candidates.push({
+                        box: [
+                            prediction.topLeft[0] + tile.x,
+                            prediction.topLeft[1] + tile.y,
+                            prediction.bottomRight[0] + tile.x,
+                            prediction.bottomRight[1] + tile.y
+                        ],
+                        landmarks: prediction.landmarks.map(([x, y]) => [x + tile.x, y + tile.y]),
+                        confidence: prediction.probability[0]
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Face detection failed:', error);
+        }
+        
+        return candidates;
     }
     
-    createPicassoFilter() {
-        return (ctx, imageData, intensity) => {
-            // Picasso style: geometric shapes, bold colors
-            ctx.filter = `
-                saturate(${1 + intensity * 0.8})
-                contrast(${1 + intensity * 0.5})
-                sepia(${intensity * 0.3})
-            `;
-            this.applyPixelation(ctx, intensity * 8);
-        };
+    getFaceTiles(width, height) {
+        // BlazeFace squeezes its input to 128px, so small faces in group photos vanish;
+        // overlapping 2x2 and 3x3 tiles look at them closer
+        const tiles = [{ x: 0, y: 0, width, height }];
+        
+        for (const grid of [2, 3]) {
+            const tileWidth = Math.min(width, Math.round(width / grid * 1.25));
+            const tileHeight = Math.min(height, Math.round(height / grid * 1.25));
+            if (Math.min(tileWidth, tileHeight) < this.minFaceTile) break;
+            
+            for (let row = 0; row < grid; row++) {
+                for (let column = 0; column < grid; column++) {
+                    tiles.push({
+                        x: Math.round(column * (width - tileWidth) / (grid - 1)),
+                        y: Math.round(row * (height - tileHeight) / (grid - 1)),
+                        width: tileWidth,
+                        height: tileHeight
+                    });
+                }
+            }
+        }
+        
+        return tiles;
     }
     
-    createMonetFilter() {
-        return (ctx, imageData, intensity) => {
-            // Monet style: soft, impressionistic
-            ctx.filter = `
-                blur(${intensity * 2}px)
-                saturate(${1 + intensity * 0.4})
-                brightness(${1 + intensity * 0.1})
-            `;
-            ctx.globalCompositeOperation = 'soft-light';
-            ctx.fillStyle = `rgba(173, 216, 230, ${intensity * 0.3})`;
-            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-            ctx.globalCompositeOperation = 'source-over';
+    getFaceThresholds() {
+        // Low sensitivity keeps only confident faces; high keeps faint ones and lets
+        // faces in a crowd overlap more before one suppresses the other
+        const sensitivity = this.settings.faceSensitivity / 100;
+        return {
+            score: 0.95 - sensitivity * (0.95 - this.faceDetectionFloor),
+            iou: 0.2 + sensitivity * 0.25
         };
     }
     
-    createKandinskyFilter() {
-        return (ctx, imageData, intensity) => {
-            // Kandinsky style: abstract, colorful
-            ctx.filter = `
-                saturate(${1 + intensity})
-                contrast(${1 + intensity * 0.4})
-                hue-rotate(${intensity * 45}deg)
-            `;
-            this.applyColorShift(ctx, intensity);
-        };
+    filterFaces(candidates) {
+        const { score, iou } = this.getFaceThresholds();
+        const kept = [];
+        
+        // Faces the user wrote a memory for stay whatever the setting
+        candidates
+            .filter(face => face.memory || face.confidence >= score)
+            .sort((a, b) => b.confidence - a.confidence)
+            .forEach(face => {
+                // Non-maximum suppression across scales; a face cut by a tile edge lies
+                // mostly inside the whole face found in a larger tile
+                const suppressed = kept.some(other => {
+                    const overlap = this.getBoxOverlap(face.box, other.box);
+                    return overlap.iou > iou || overlap.cover > 0.7;
+                });
+                if (!suppressed) {
+                    kept.push(face);
+                }
+            });
+        
+        return kept;
     }
     
-    createHokusaiFilter() {
-        return (ctx, imageData, intensity) => {
-            // Hokusai style: wave patterns, blue tones
-            ctx.filter = `
-                sepia(${intensity * 0.4})
-                saturate(${1 + intensity * 0.3})
-                hue-rotate(${180 + intensity * 20}deg)
-            `;
-            ctx.globalCompositeOperation = 'multiply';
-            ctx.fillStyle = `rgba(0, 100, 200, ${intensity * 0.2})`;
-            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-            ctx.globalCompositeOperation = 'source-over';
+    getBoxOverlap(a, b) {
+        const width = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+        const height = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+        const intersection = width * height;
+        const areaA = (a[2] - a[0]) * (a[3] - a[1]);
+        const areaB = (b[2] - b[0]) * (b[3] - b[1]);
+        
+        return {
+            iou: intersection / (areaA + areaB - intersection || 1),
+            cover: intersection / (Math.min(areaA, areaB) || 1)
         };
     }
     
-    applyPixelation(ctx, pixelSize) {
-        const canvas = ctx.canvas;
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        for (let y = 0; y < canvas.height; y += pixelSize) {
-            for (let x = 0; x < canvas.width; x += pixelSize) {
-                const pixelData = ctx.getImageData(x, y, 1, 1).data;
-                ctx.fillStyle = `rgb(${pixelData[0]}, ${pixelData[1]}, ${pixelData[2]})`;
-                ctx.fillRect(x, y, pixelSize, pixelSize);
+    adoptFaces(candidates, faces) {
+        // Restored photos only kept their filtered faces; the matching candidates take
+        // their place so descriptors and names carry over
+        const result = [...candidates];
+        faces.forEach(face => {
+            let best = -1;
+            let bestIou = 0.5;
+            result.forEach((candidate, index) => {
+                const { iou } = this.getBoxOverlap(face.box, candidate.box);
+                if (iou > bestIou && !faces.includes(candidate)) {
+                    best = index;
+                    bestIou = iou;
+                }
+            });
+            if (best >= 0) {
+                face.confidence = Math.max(face.confidence, result[best].confidence);
+                result[best] = face;
+            } else {
+                result.push(face);
             }
-        }
+        });
+        return result;
     }
     
-    applyColorShift(ctx, intensity) {
-        const imageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
-        const data = imageData.data;
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const shift = intensity * 50;
-            data[i] = Math.min(255, data[i] + shift); // Red
-            data[i + 1] = Math.min(255, data[i + 1] - shift / 2); // Green
-            data[i + 2] = Math.min(255, data[i + 2] + shift / 3); // Blue
-        }
+    queueFaceSensitivity() {
+        // One pass at a time; a newer setting stops the running pass at the next photo
+        this.faceSensitivityPass?.abort();
+        const pass = new AbortController();
+        this.faceSensitivityPass = pass;
         
-        ctx.putImageData(imageData, 0, 0);
+        this.faceSensitivityUpdate = (this.faceSensitivityUpdate || Promise.resolve())
+            .then(() => this.applyFaceSensitivity(pass.signal))
+            .catch(error => console.error('❌ Face sensitivity update failed:', error));
+        return this.faceSensitivityUpdate;
     }
     
-    // === FACE DETECTION ===
-    
-    async detectFaces(canvas) {
-        if (!this.models.faceDetection) return [];
+    async applyFaceSensitivity(signal = null) {
+        if (!this.settings.faceDetection || !this.models.faceDetection || this.photos.length === 0) return;
+        if (signal?.aborted) return;
+        
+        this.showProcessing('Updating face detection...');
+        let changed = false;
         
         try {
-            const predictions = await this.models.faceDetection.estimateFaces(canvas, false);
-            return predictions.map(prediction => ({
-                box: prediction.topLeft.concat(prediction.bottomRight),
-                landmarks: prediction.landmarks,
-                confidence: prediction.probability[0]
-            }));
-        } catch (error) {
-            console.warn('⚠️ Face detection failed:', error);
-            return [];
+            const photos = [...this.photos];
+            for (let i = 0; i < photos.length; i++) {
+                // Candidates found so far are kept; the newer pass picks up from them
+                if (signal?.aborted) break;
+                
+                const photo = photos[i];
+                if (!photo.faceCandidates) {
+                    // Restored pages have no candidates yet and need a full multi-scale pass
+                    this.updateProcessingText(`Detecting faces on page ${i + 1} of ${photos.length}...`);
+                    photo.faceCandidates = this.adoptFaces(await this.detectFaces(photo.canvas), photo.faces);
+                }
+                
+                const faces = this.filterFaces(photo.faceCandidates);
+                if (faces.length === photo.faces.length && faces.every((face, index) => face === photo.faces[index])) {
+                    continue;
+                }
+                
+                photo.faces = faces;
+                changed = true;
+                this.refreshFaceHotspots(photo);
+                
+                // Face masks and preserved faces follow the new detections
+                const usesFaces = photo.style.preserveFaces || photo.regions.some(region => region.source === 'faces');
+                if (usesFaces && photo.style.name !== 'original') {
+                    await this.refreshPhotoRender(photo);
+                }
+            }
+        } finally {
+            this.hideProcessing();
+        }
+        
+        if (!changed) return;
+        
+        if (this.faceClusters) {
+            this.faceClusters.cluster();
+            this.faceClusters.updateLabels();
+        } else {
+            this.persistAlbum();
         }
+        this.regionMasks?.renderRegionList();
     }
     
     // === DEPTH ESTIMATION ===
@@ -880,20 +1346,22 @@ class NeuralStyleMemoryBook {
     // === 3D BOOK PAGES ===
     
     createBookPage(photo) {
-        const pageGeometry = new THREE.PlaneGeometry(3.8, 5.3);
+        const pageGeometry = this.createPageGeometry();
         
-        // Create texture from photo
-        const texture = new THREE.TextureLoader().load(photo.styledVersions.get('original'));
+        // Create texture from photo, showing its saved style when a render is cached
+        const texture = new THREE.TextureLoader().load(
+            this.getStyledImage(photo)
+        );
         texture.flipY = false;
         
+        // One-sided: the leaf's other side is a separate page mesh
         const pageMaterial = new THREE.MeshLambertMaterial({
             map: texture,
             transparent: true,
-            side: THREE.DoubleSide
+            side: THREE.FrontSide
         });
         
         const page = new THREE.Mesh(pageGeometry, pageMaterial);
-        page.position.set(0, 0, 0.01 * this.pages.length);
         page.userData = { photo, pageIndex: this.pages.length };
         
         // Add page turn animation capability
@@ -901,21 +1369,96 @@ class NeuralStyleMemoryBook {
         
         this.pages.push(page);
         this.book.add(page);
+        this.stackPages();
         
         // Create hotspots for faces
         this.createFaceHotspots(photo, page);
     }
     
+    stackPages() {
+        // Places every page on its leaf; called whenever pages are added, removed or reordered
+        const leaves = Math.ceil(this.pages.length / 2);
+        
+        this.pages.forEach((page, index) => {
+            const leaf = Math.floor(index / 2);
+            page.userData.pageIndex = index;
+            this.setPageSide(page, index % 2 === 0 ? 'front' : 'back');
+            
+            // Unturned leaves: the first lies on top at the right; turned: the last on top at the left
+            page.userData.stack = {
+                right: this.pageBaseZ + this.leafGap * (leaves - leaf),
+                left: this.pageBaseZ + this.leafGap * (leaf + 1)
+            };
+            
+            const { right, left } = page.userData.stack;
+            page.position.z = right + (left - right) * this.getPageTurn(page);
+        });
+    }
+    
+    setPageSide(page, side) {
+        if (page.userData.side === side) return;
+        page.userData.side = side;
+        
+        // A back is seen from behind the sheet, so it is drawn from that side and mirrored
+        // to read correctly once its leaf is turned
+        page.material.side = side === 'back' ? THREE.BackSide : THREE.FrontSide;
+        page.material.needsUpdate = true;
+        
+        const uv = page.geometry.attributes.uv;
+        if (!page.geometry.userData.uv) {
+            page.geometry.userData.uv = Float32Array.from(uv.array);
+        }
+        const flat = page.geometry.userData.uv;
+        for (let i = 0; i < uv.count; i++) {
+            uv.setX(i, side === 'back' ? 1 - flat[i * 2] : flat[i * 2]);
+        }
+        uv.needsUpdate = true;
+        
+        page.children
+            .filter(child => child.userData.face)
+            .forEach(hotspot => this.placeHotspot(hotspot, side));
+        this.pageCurl?.apply(page);
+    }
+    
+    getPageTurn(page) {
+        // 0 lies flat right of the spine, 1 lies turned over to the left
+        return this.pageCurl ? this.pageCurl.getState(page).progress : -page.rotation.y / Math.PI;
+    }
+    
+    refreshFaceHotspots(photo) {
+        const page = this.getPageForPhoto(photo);
+        if (!page) return;
+        
+        page.children
+            .filter(child => child.userData.face)
+            .forEach(hotspot => {
+                gsap.killTweensOf(hotspot.scale);
+                page.remove(hotspot);
+                hotspot.geometry.dispose();
+                hotspot.material.dispose();
+            });
+        
+        this.createFaceHotspots(photo, page);
+        // New hotspots start flat; a turned page carries them to where it lies
+        this.pageCurl?.apply(page);
+    }
+    
+    createPageGeometry() {
+        // Subdivided when pages curl as they turn
+        return this.pageCurl ? this.pageCurl.createGeometry() : new THREE.PlaneGeometry(3.8, 5.3);
+    }
+    
     createFaceHotspots(photo, page) {
         photo.faces.forEach((face, index) => {
-            const hotspot = this.createHotspot(face, photo, index);
+            const hotspot = this.createHotspot(face, photo, index, page.userData.side);
             if (hotspot) {
+                hotspot.visible = this.settings.faceDetection && this.getSpreadPages().includes(page);
                 page.add(hotspot);
             }
         });
     }
     
-    createHotspot(face, photo, index) {
+    createHotspot(face, photo, index, side = 'front') {
         const geometry = new THREE.SphereGeometry(0.1, 8, 8);
         const material = new THREE.MeshBasicMaterial({
             color: 0xf59e0b,
@@ -924,13 +1467,8 @@ class NeuralStyleMemoryBook {
         });
         
         const hotspot = new THREE.Mesh(geometry, material);
-        
-        // Convert face coordinates to 3D position
-        const x = ((face.box[0] + face.box[2]) / 2 / photo.width - 0.5) * 3.8;
-        const y = (0.5 - (face.box[1] + face.box[3]) / 2 / photo.height) * 5.3;
-        
-        hotspot.position.set(x, y, 0.1);
         hotspot.userData = { face, photo, faceIndex: index };
+        this.placeHotspot(hotspot, side);
         
         // Add pulsing animation
         this.animateHotspot(hotspot);
@@ -938,6 +1476,22 @@ class NeuralStyleMemoryBook {
         return hotspot;
     }
     
+    placeHotspot(hotspot, side) {
+        const { face, photo } = hotspot.userData;
+        
+        // Convert face coordinates to 3D position on the flat page
+        const x = ((face.box[0] + face.box[2]) / 2 / photo.width - 0.5) * 3.8;
+        const y = (0.5 - (face.box[1] + face.box[3]) / 2 / photo.height) * 5.3;
+        
+        // Backs are mirrored and face away until turned, so their hotspots sit behind the sheet
+        if (side === 'back') {
+            hotspot.position.set(-x, y, -0.1);
+        } else {
+            hotspot.position.set(x, y, 0.1);
+        }
+        hotspot.userData.anchor = hotspot.position.clone();
+    }
+    
     animateHotspot(hotspot) {
         gsap.to(hotspot.scale, {
             x: 1.5,
@@ -952,134 +1506,1085 @@ class NeuralStyleMemoryBook {
     
     // === PAGE NAVIGATION ===
     
+    // Spread 0 shows page 0 alone on the right; spread s shows pages 2s - 1 and 2s
+    
+    getSpreadForPage(pageIndex) {
+        return Math.floor((pageIndex + 1) / 2);
+    }
+    
+    getSpreadCount() {
+        return this.pages.length === 0 ? 0 : Math.floor(this.pages.length / 2) + 1;
+    }
+    
+    getSpreadPages(spread = this.getSpreadForPage(this.currentPage)) {
+        // [left, right]; either may be missing at the ends of the book
+        return [this.pages[2 * spread - 1], this.pages[2 * spread]].filter(Boolean);
+    }
+    
     goToPage(pageIndex) {
+        // Opens the spread holding this page; the page itself is the one being edited
         if (pageIndex < 0 || pageIndex >= this.pages.length) return;
         
-        const currentPage = this.currentPage;
+        const fromSpread = this.getSpreadForPage(this.currentPage);
+        const spread = this.getSpreadForPage(pageIndex);
         this.currentPage = pageIndex;
         
         // Update UI
-        document.getElementById('current-page').textContent = pageIndex + 1;
-        document.getElementById('total-pages').textContent = this.pages.length;
+        document.getElementById('current-page').textContent = spread + 1;
+        document.getElementById('total-pages').textContent = this.getSpreadCount();
         
         // Animate page turns
-        this.animatePageTurn(currentPage, pageIndex);
+        this.animatePageTurn(fromSpread, spread);
+        this.updateHotspotVisibility();
+        if (spread !== fromSpread) {
+            this.controls?.handleSpreadChange();
+        }
         
         // Update navigation buttons
-        document.getElementById('prev-page').disabled = pageIndex === 0;
-        document.getElementById('next-page').disabled = pageIndex === this.pages.length - 1;
+        document.getElementById('prev-page').disabled = spread === 0;
+        document.getElementById('next-page').disabled = spread === this.getSpreadCount() - 1;
+        
+        this.syncStyleControls();
+        this.updatePageStripCurrent();
+        this.faceClusters?.updateLabels();
     }
     
-    animatePageTurn(fromPage, toPage) {
-        const duration = this.settings.animationSpeed;
+    goToSpread(spread) {
+        // The first page of the spread takes the focus
+        this.goToPage(Math.min(Math.max(0, 2 * spread - 1), this.pages.length - 1));
+    }
+    
+    animatePageTurn(fromSpread, toSpread) {
+        const duration = this.getMotionDuration();
+        
+        // Leaves turned in one jump follow each other instead of moving as a block
+        const turning = Math.abs(toSpread - fromSpread);
+        const stagger = turning > 1 ? Math.min(0.15, 1 / turning) * duration : 0;
         
         this.pages.forEach((page, index) => {
-            if (index <= toPage) {
-                // Pages that should be visible
-                gsap.to(page.rotation, {
-                    y: 0,
-                    duration: duration,
-                    ease: "power2.inOut"
-                });
-                gsap.to(page.material, {
-                    opacity: 1,
-                    duration: duration / 2
-                });
-            } else {
-                // Pages that should be turned
-                gsap.to(page.rotation, {
-                    y: -Math.PI,
-                    duration: duration,
-                    ease: "power2.inOut"
-                });
-                gsap.to(page.material, {
-                    opacity: 0.3,
-                    duration: duration / 2,
-                    delay: duration / 2
-                });
-            }
+            const leaf = Math.floor(index / 2);
+            const order = toSpread > fromSpread ? leaf - fromSpread : fromSpread - 1 - leaf;
+            this.turnPage(page, leaf < toSpread ? 1 : 0, duration, Math.max(0, order) * stagger);
         });
         
         // Update camera position for better viewing
         this.updateCameraPosition();
     }
     
-    updateCameraPosition() {
-        const targetPosition = {
-            x: this.currentPage * 0.1,
-            y: 0,
-            z: 5
-        };
+    turnPage(page, progress, duration, delay = 0) {
+        // Curled around the spine when available, otherwise flipped flat
+        if (this.pageCurl) {
+            this.pageCurl.turn(page, progress, duration, delay);
+            return;
+        }
         
-        gsap.to(this.camera.position, {
-            x: targetPosition.x,
-            y: targetPosition.y,
-            z: targetPosition.z,
-            duration: this.settings.animationSpeed,
+        // A flat flip turns about the page center; sliding one page width puts it over the spine
+        const { right, left } = page.userData.stack;
+        gsap.to(page.rotation, {
+            y: -Math.PI * progress,
+            duration: duration,
+            delay: delay,
+            ease: "power2.inOut"
+        });
+        gsap.to(page.position, {
+            x: -3.8 * progress,
+            z: right + (left - right) * progress,
+            duration: duration,
+            delay: delay,
             ease: "power2.inOut"
         });
     }
     
-    previousPage() {
-        if (this.currentPage > 0) {
-            this.goToPage(this.currentPage - 1);
+    setPageTurn(page, progress) {
+        // Immediate, for pages following a drag
+        if (this.pageCurl) {
+            this.pageCurl.setProgress(page, progress);
+            return;
         }
+        
+        const { right, left } = page.userData.stack;
+        gsap.killTweensOf(page.rotation);
+        gsap.killTweensOf(page.position);
+        page.rotation.y = -Math.PI * progress;
+        page.position.x = -3.8 * progress;
+        page.position.z = right + (left - right) * progress;
     }
     
-    nextPage() {
-        if (this.currentPage < this.pages.length - 1) {
-            this.goToPage(this.currentPage + 1);
-        }
+    getLeafPages(leaf) {
+        return [this.pages[2 * leaf], this.pages[2 * leaf + 1]].filter(Boolean);
     }
     
-    // === STYLE MANAGEMENT ===
+    getMotionDuration() {
+        // Reduced motion jumps straight to the end of page turns and camera moves
+        return this.settings.reducedMotion ? 0 : this.settings.animationSpeed;
+    }
     
-    handleStyleChange(event) {
-        const styleButton = event.currentTarget;
-        const newStyle = styleButton.dataset.style;
-        
-        // Update UI
-        document.querySelectorAll('.style-btn').forEach(btn => {
-            btn.classList.remove('active');
-            btn.setAttribute('aria-pressed', 'false');
+    updateHotspotVisibility() {
+        // Only the open spread shows hotspots; the rest would poke through the leaves above
+        const spreadPages = this.getSpreadPages();
+        this.pages.forEach(page => {
+            const visible = this.settings.faceDetection && spreadPages.includes(page);
+            page.children
+                .filter(child => child.userData.face)
+                .forEach(hotspot => {
+                    hotspot.visible = visible;
+                });
         });
-        styleButton.classList.add('active');
-        styleButton.setAttribute('aria-pressed', 'true');
-        
-        this.currentStyle = newStyle;
-        
-        // Update advanced style parameter controls if available
-        if (this.advancedStyleSystem) {
-            this.advancedStyleSystem.updateStyleParameterControls(newStyle);
-        }
+    }
+    
+    updateCameraPosition() {
+        // Centered on the spine, or on the single page at either end of the book
+        const [first, second] = this.getSpreadPages();
+        const single = first && !second;
+        const x = !single ? -1.9 : (this.getSpreadForPage(this.currentPage) === 0 ? 0 : -3.8);
+        const halfWidth = single ? 2.2 : 4.1;
+        
+        // Back off far enough for the whole spread on narrow screens
+        const fit = halfWidth / (Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) * this.camera.aspect);
+        
+        gsap.to(this.cameraRig, {
+            x: x,
+            distance: Math.max(5, fit),
+            duration: this.getMotionDuration(),
+            ease: "power2.inOut"
+        });
+    }
+    
+    applyCameraView() {
+        // Every frame: ease toward the goal, then orbit the (panned) spread center at the
+        // rig's distance, scaled by zoom
+        const ease = this.settings.reducedMotion ? 1 : this.cameraDamping;
+        Object.keys(this.cameraGoal).forEach(key => {
+            this.cameraView[key] += (this.cameraGoal[key] - this.cameraView[key]) * ease;
+        });
+        
+        const { azimuth, polar, zoom, panX, panY } = this.cameraView;
+        const distance = this.cameraRig.distance / zoom;
+        
+        this.cameraTarget = this.cameraTarget || new THREE.Vector3();
+        this.cameraTarget.set(this.cameraRig.x + panX, panY, 0);
+        
+        this.camera.position.set(
+            this.cameraTarget.x + distance * Math.sin(azimuth) * Math.cos(polar),
+            this.cameraTarget.y + distance * Math.sin(polar),
+            this.cameraTarget.z + distance * Math.cos(azimuth) * Math.cos(polar)
+        );
+        this.camera.lookAt(this.cameraTarget);
+    }
+    
+    setCameraGoal(changes) {
+        const limits = this.cameraLimits;
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        const goal = { ...this.cameraGoal, ...changes };
         
-        this.updateCurrentPageStyle();
+        this.cameraGoal = {
+            azimuth: clamp(goal.azimuth, -limits.azimuth, limits.azimuth),
+            polar: clamp(goal.polar, -limits.polar, limits.polar),
+            zoom: clamp(goal.zoom, limits.minZoom, limits.maxZoom),
+            panX: clamp(goal.panX, -limits.pan, limits.pan),
+            panY: clamp(goal.panY, -limits.pan, limits.pan)
+        };
+    }
+    
+    orbitCamera(deltaAzimuth, deltaPolar) {
+        this.setCameraGoal({
+            azimuth: this.cameraGoal.azimuth + deltaAzimuth,
+            polar: this.cameraGoal.polar + deltaPolar
+        });
+    }
+    
+    zoomCamera(factor) {
+        this.setCameraGoal({ zoom: this.cameraGoal.zoom * factor });
+    }
+    
+    panCamera(deltaX, deltaY) {
+        // Screen-sized steps: the closer the camera, the smaller the move
+        this.setCameraGoal({
+            panX: this.cameraGoal.panX + deltaX / this.cameraGoal.zoom,
+            panY: this.cameraGoal.panY + deltaY / this.cameraGoal.zoom
+        });
     }
     
-    async updateCurrentPageStyle() {
+    previousPage() {
+        const spread = this.getSpreadForPage(this.currentPage);
+        if (spread > 0) {
+            this.goToSpread(spread - 1);
+        }
+    }
+    
+    nextPage() {
+        const spread = this.getSpreadForPage(this.currentPage);
+        if (spread < this.getSpreadCount() - 1) {
+            this.goToSpread(spread + 1);
+        }
+    }
+    
+    // === STYLE MANAGEMENT ===
+    
+    handleStyleChange(event) {
+        const styleButton = event.currentTarget;
+        const newStyle = styleButton.dataset.style;
+        
+        // Update UI
+        this.setActiveStyleButton(newStyle);
+        
+        this.currentStyle = newStyle;
+        
+        // Update advanced style parameter controls if available
+        if (this.advancedStyleSystem) {
+            this.advancedStyleSystem.updateStyleParameterControls(newStyle);
+        }
+        
+        this.updateCurrentPageStyle({ label: `Apply ${styleButton.textContent.trim() || newStyle}` });
+    }
+    
+    setActiveStyleButton(style) {
+        document.querySelectorAll('.style-btn').forEach(btn => {
+            const active = btn.dataset.style === style;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+    }
+    
+    async updateCurrentPageStyle(options = {}) {
+        // options: { label, coalesce } for the edit history
         if (this.pages.length === 0) return;
         
         const currentPageMesh = this.pages[this.currentPage];
         const photo = currentPageMesh.userData.photo;
         
+        // Chapter dividers have no photo to style
+        if (!photo) return;
+        
+        // A newer edit supersedes one still rendering: its render is cancelled and its result dropped
+        this.styleEdit?.abort();
+        const edit = new AbortController();
+        this.styleEdit = edit;
+        
+        // Taken now, so undo goes back to what the page showed when this edit began
+        const before = this.snapshotStyle(photo);
+        
         this.showProcessing(`Applying ${this.currentStyle} style...`);
         
         try {
-            const styledImage = await this.applyStyleTransfer(photo, this.currentStyle);
+            // The controls describe this page's style, blend included
+            const style = this.getStyleFromControls();
+            const styledImage = await this.renderPhotoStyle(photo, style, { signal: edit.signal });
+            if (edit.signal.aborted) return;
             
             // Update texture
-            const texture = new THREE.TextureLoader().load(styledImage);
-            texture.flipY = false;
-            currentPageMesh.material.map = texture;
-            currentPageMesh.material.needsUpdate = true;
+            this.setPageTexture(currentPageMesh, styledImage);
+            
+            // Remember the style this page is shown in
+            photo.style = style;
+            this.pruneStyledVersions(photo);
+            this.recordStyleChange([photo], [before], options.label || 'Change style', options.coalesce);
+            this.persistAlbum();
             
             this.hideProcessing();
         } catch (error) {
+            // The edit that replaced this one owns the processing overlay now
+            if (edit.signal.aborted) return;
             console.error('❌ Style transfer failed:', error);
             this.hideProcessing();
+        } finally {
+            if (this.styleEdit === edit) this.styleEdit = null;
+        }
+    }
+    
+    // === ALBUM PERSISTENCE ===
+    
+    persistAlbum() {
+        if (this.albumStore && !this.isRestoringAlbum) {
+            this.albumStore.scheduleSave();
+        }
+    }
+    
+    async restoreAlbum() {
+        if (!this.albumStore) return;
+        
+        let saved;
+        try {
+            saved = await this.albumStore.loadAlbum();
+        } catch (error) {
+            console.warn('⚠️ Could not load saved album:', error);
+            return;
+        }
+        
+        if (!saved || saved.photos.length === 0) return;
+        
+        this.isRestoringAlbum = true;
+        this.updateLoadingText(`Restoring ${saved.photos.length} saved photos...`);
+        // Book settings first: quality and concurrency shape how the pages are rebuilt
+        this.applyBookSettings(saved.album.settings);
+        this.bookLayout?.restore(saved.album.layout);
+        this.syncLayoutControls();
+        this.editHistory?.restore(saved.album.history);
+        this.faceClusters?.restore(saved.album.people);
+        
+        try {
+            for (const record of saved.photos) {
+                try {
+                    await this.restorePhoto(record);
+                } catch (error) {
+                    console.warn(`⚠️ Failed to restore ${record.filename}:`, error);
+                }
+            }
+            
+            this.bookLayout?.apply();
+            this.faceClusters?.cluster();
+            this.updatePageNavigation();
+            if (this.pages.length > 0) {
+                this.goToPage(Math.min(saved.album.currentPage || 0, this.pages.length - 1));
+            }
+            this.controls?.restore(saved.album.camera);
+            
+            console.log(`✅ Restored ${this.photos.length} photos from saved album`);
+        } finally {
+            this.isRestoringAlbum = false;
+        }
+    }
+    
+    async restorePhoto(record) {
+        const img = await this.loadImageFromBlob(record.blob);
+        const exif = await this.readPhotoMetadata(record.blob);
+        const photo = await this.createPhotoObject(img, record.filename, record, exif);
+        photo.sourceBlob = record.blob;
+        
+        // Only the page's own render is held on the photo; older saves may have one per style
+        const pageVersion = this.getPageVersionKey(photo);
+        for (const render of record.renders) {
+            if (render.style !== pageVersion && !render.cacheKey) continue;
+            
+            const dataURL = await this.albumStore.blobToDataURL(render.blob);
+            if (render.style === pageVersion) {
+                photo.styledVersions.set(render.style, dataURL);
+            }
+            
+            // Older saves have no cache key; those renders show until the style is reapplied
+            if (render.cacheKey) {
+                if (render.style === pageVersion) {
+                    photo.renderKeys.set(render.style, render.cacheKey);
+                }
+                this.styleCache?.set(render.cacheKey, dataURL);
+            }
+        }
+        
+        this.photos.push(photo);
+        this.addPhotoToPreview(photo);
+        this.createBookPage(photo);
+        
+        return photo;
+    }
+    
+    async readPhotoMetadata(blob) {
+        // Capture details come from the source file every time, so saved albums need no extra fields
+        return await PhotoMetadata.read(blob);
+    }
+    
+    loadImageFromBlob(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to decode saved image'));
+            };
+            img.src = url;
+        });
+    }
+    
+    // === ALBUM BUNDLES ===
+    
+    async openAlbumArchive(file) {
+        try {
+            this.showProcessing(`Opening ${file.name}...`);
+            
+            const wasEmpty = this.photos.length === 0;
+            const { manifest, entries } = await this.albumArchive.readArchive(file);
+            
+            // Pages may be styled with the sender's own artwork
+            await this.customStyles?.importStyles(manifest.customStyles);
+            
+            // Book settings only apply when the bundle becomes the whole book
+            if (wasEmpty) {
+                this.applyBookSettings(manifest.book.settings);
+                // Names first, so grouping the new faces keeps the bundle's people
+                this.faceClusters?.restore(manifest.book.people);
+            }
+            
+            const photos = await this.processFiles(
+                entries.map(entry => entry.file),
+                entries.map(entry => entry.record)
+            );
+            
+            if (photos.some(photo => photo.style.name !== 'original')) {
+                this.showProcessing('Restoring page styles...');
+                await this.applySavedStyles(photos);
+                this.hideProcessing();
+            }
+            
+            // Bundle entry IDs → IDs of the photos just created from them; entries that
+            // failed to load have no photo and drop out of links and the layout
+            const photoIds = new Map(entries.map(entry => [
+                entry.id,
+                photos.find(photo => photo.sourceBlob === entry.file)?.id
+            ]));
+            if (this.memoryHotspots) {
+                this.memoryHotspots.remapLinks(photos, id => photoIds.get(id));
+                this.persistAlbum();
+            }
+            
+            if (wasEmpty && manifest.book.layout && this.bookLayout) {
+                this.bookLayout.restore(manifest.book.layout, id => photoIds.get(id));
+                this.bookLayout.apply();
+                this.syncLayoutControls();
+                this.persistAlbum();
+            }
+            
+            if (wasEmpty && this.pages.length > 0) {
+                this.goToPage(Math.min(manifest.book.currentPage || 0, this.pages.length - 1));
+            }
+            if (wasEmpty && manifest.book.camera && this.controls) {
+                this.controls.restore(manifest.book.camera);
+                this.persistAlbum();
+            }
+            
+            this.showNotification(`Opened "${manifest.book.title}" with ${photos.length} pages`);
+        } catch (error) {
+            console.error('❌ Failed to open album:', error);
+            this.hideProcessing();
+            this.showError('Failed to open album', error.message);
         }
     }
     
+    async applySavedStyles(photos) {
+        for (const photo of photos) {
+            if (photo.style.name === 'original') continue;
+            
+            try {
+                this.updateProcessingText(`Applying ${photo.style.name} to ${photo.filename}...`);
+                const styledImage = await this.renderPhotoStyle(photo);
+                const page = this.getPageForPhoto(photo);
+                if (page) {
+                    this.setPageTexture(page, styledImage);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not restore ${photo.style.name} style for ${photo.filename}:`, error);
+            }
+        }
+    }
+    
+    applyBookSettings(settings = {}) {
+        // Only adopt keys this version knows about
+        Object.keys(this.settings).forEach(key => {
+            if (key in settings) {
+                this.settings[key] = settings[key];
+            }
+        });
+        
+        this.syncSettingsControls();
+        this.updateQualitySettings();
+        this.advancedStyleSystem?.setConcurrency(this.settings.styleConcurrency);
+    }
+    
+    syncSettingsControls() {
+        const { settings } = this;
+        
+        document.getElementById('style-intensity').value = settings.styleIntensity;
+        document.getElementById('intensity-value').textContent = `${settings.styleIntensity}%`;
+        document.getElementById('parallax-depth').value = settings.parallaxDepth;
+        document.getElementById('depth-value').textContent = `${settings.parallaxDepth}%`;
+        document.getElementById('gpu-acceleration').checked = settings.gpuAcceleration;
+        document.getElementById('quality-preset').value = settings.qualityPreset;
+        document.getElementById('style-concurrency').value = settings.styleConcurrency;
+        document.getElementById('face-detection').checked = settings.faceDetection;
+        document.getElementById('face-sensitivity').value = settings.faceSensitivity;
+        document.getElementById('animation-speed').value = settings.animationSpeed;
+        document.getElementById('reduced-motion').checked = settings.reducedMotion;
+        document.documentElement.style.setProperty('--motion-reduce', settings.reducedMotion ? '0' : '1');
+    }
+    
+    // === EDIT HISTORY ===
+    
+    setupEditHistory() {
+        const history = this.editHistory;
+        
+        history.register('style', {
+            undo: command => this.restorePhotoStyles(command.before),
+            redo: command => this.restorePhotoStyles(command.after)
+        });
+        
+        history.register('layout', {
+            undo: command => this.restoreLayoutState(command.before),
+            redo: command => this.restoreLayoutState(command.after)
+        });
+        
+        history.register('regions', {
+            undo: command => this.restorePhotoRegions(command.before),
+            redo: command => this.restorePhotoRegions(command.after)
+        });
+        
+        history.register('people', {
+            undo: command => this.restorePeople(command.before),
+            redo: command => this.restorePeople(command.after)
+        });
+        
+        history.register('remove', {
+            undo: command => this.restoreRemovedPhotos(command.before),
+            redo: command => this.removePhotos(command.before.map(entry => entry.photo.id), { record: false }),
+            // Removed photos keep their pixels and renders alive for as long as the step is in the history
+            measure: command => command.before.reduce((total, { photo }) => {
+                let bytes = photo.width * photo.height * 4 * 2;
+                photo.styledVersions.forEach(dataURL => {
+                    bytes += dataURL.length;
+                });
+                return total + bytes;
+            }, 0)
+        });
+        
+        // The history is saved with the album
+        history.onChange(() => this.persistAlbum());
+        
+        document.getElementById('undo-btn').addEventListener('click', () => history.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => history.redo());
+        history.onChange(() => this.updateUndoButtons());
+        this.updateUndoButtons();
+    }
+    
+    updateUndoButtons() {
+        const history = this.editHistory;
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+        const nextUndo = history.undoStack[history.undoStack.length - 1];
+        const nextRedo = history.redoStack[history.redoStack.length - 1];
+        
+        undoButton.disabled = !nextUndo;
+        redoButton.disabled = !nextRedo;
+        undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+    
+    snapshotStyle(photo) {
+        return JSON.parse(JSON.stringify(photo.style));
+    }
+    
+    recordStyleChange(photos, before, label, coalesce = null) {
+        if (!this.editHistory || photos.length === 0) return;
+        
+        const after = photos.map(photo => this.snapshotStyle(photo));
+        // Re-applying the style a page already has is not a step
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        this.editHistory.record({
+            type: 'style',
+            label,
+            before: photos.map((photo, index) => ({ photoId: photo.id, style: before[index] })),
+            after: photos.map((photo, index) => ({ photoId: photo.id, style: after[index] })),
+            coalesce: coalesce ? `${coalesce}:${photos.map(photo => photo.id).join(',')}` : null
+        });
+    }
+    
+    async restorePhotoStyles(entries) {
+        // Photos deleted since the step was recorded are skipped
+        const targets = entries
+            .map(({ photoId, style }) => ({ photo: this.photos.find(p => p.id === photoId), style }))
+            .filter(target => target.photo);
+        if (targets.length === 0) return;
+        
+        // A single-page step brings that page into view
+        if (targets.length === 1) {
+            this.goToPage(this.pages.indexOf(this.getPageForPhoto(targets[0].photo)));
+        }
+        
+        this.showProcessing('Restoring style...');
+        
+        try {
+            for (const { photo, style } of targets) {
+                const styledImage = await this.renderPhotoStyle(photo, style);
+                
+                const page = this.getPageForPhoto(photo);
+                if (page) {
+                    this.setPageTexture(page, styledImage);
+                }
+                photo.style = JSON.parse(JSON.stringify(style));
+                this.pruneStyledVersions(photo);
+            }
+        } finally {
+            this.hideProcessing();
+        }
+        
+        this.syncStyleControls();
+        this.renderPageStrip();
+        this.persistAlbum();
+    }
+    
+    async updatePhotoRegions(photo, regions, label) {
+        const before = JSON.parse(JSON.stringify(photo.regions));
+        photo.regions = regions;
+        
+        this.showProcessing('Applying region styles...');
+        
+        try {
+            await this.refreshPhotoRender(photo);
+        } catch (error) {
+            console.error('❌ Region styling failed:', error);
+            photo.regions = before;
+            this.hideProcessing();
+            this.showError('Could not apply region styles', error.message);
+            return;
+        }
+        
+        this.hideProcessing();
+        this.editHistory?.record({
+            type: 'regions',
+            label,
+            before: [{ photoId: photo.id, regions: before }],
+            after: [{ photoId: photo.id, regions: JSON.parse(JSON.stringify(regions)) }]
+        });
+        this.renderPageStrip();
+        this.persistAlbum();
+    }
+    
+    async restorePhotoRegions(entries) {
+        const targets = entries
+            .map(({ photoId, regions }) => ({ photo: this.photos.find(p => p.id === photoId), regions }))
+            .filter(target => target.photo);
+        if (targets.length === 0) return;
+        
+        if (targets.length === 1) {
+            this.goToPage(this.pages.indexOf(this.getPageForPhoto(targets[0].photo)));
+        }
+        
+        this.showProcessing('Restoring regions...');
+        
+        try {
+            for (const { photo, regions } of targets) {
+                photo.regions = JSON.parse(JSON.stringify(regions));
+                await this.refreshPhotoRender(photo);
+            }
+        } finally {
+            this.hideProcessing();
+        }
+        
+        this.regionMasks?.renderRegionList();
+        this.renderPageStrip();
+        this.persistAlbum();
+    }
+    
+    async refreshPhotoRender(photo) {
+        // Re-renders a page in its own style after something other than the style changed
+        const styledImage = await this.renderPhotoStyle(photo);
+        const page = this.getPageForPhoto(photo);
+        if (page) {
+            this.setPageTexture(page, styledImage);
+        }
+    }
+    
+    syncStyleControls() {
+        // The style panel always shows the style of the page being viewed
+        const photo = this.pages[this.currentPage]?.userData.photo;
+        if (photo) {
+            this.setStyleControls(photo.style);
+        }
+        this.regionMasks?.renderRegionList();
+    }
+    
+    setStyleControls(style) {
+        this.currentStyle = style.name;
+        this.setActiveStyleButton(style.name);
+        
+        if (style.intensity !== undefined) {
+            this.settings.styleIntensity = style.intensity;
+            document.getElementById('style-intensity').value = style.intensity;
+            document.getElementById('intensity-value').textContent = `${style.intensity}%`;
+        }
+        
+        this.advancedStyleSystem?.setStyleControls(style);
+    }
+    
+    restorePeople(people) {
+        if (!this.faceClusters) return;
+        
+        this.faceClusters.restore(people);
+        this.faceClusters.refresh();
+        this.persistAlbum();
+    }
+    
+    restoreLayoutState(state) {
+        if (!this.bookLayout) return;
+        
+        this.bookLayout.restore(state);
+        this.bookLayout.apply();
+        this.syncLayoutControls();
+        this.persistAlbum();
+    }
+    
+    // === SELECTION ===
+    
+    setupSelectionListeners() {
+        document.getElementById('select-all-btn').addEventListener('click', () => this.selection?.selectAll());
+        document.getElementById('clear-selection-btn').addEventListener('click', () => this.selection?.clear());
+        document.getElementById('style-selected-btn').addEventListener('click', () => this.applyStyleToSelection());
+        document.getElementById('style-all-btn').addEventListener('click', () => this.applyStyleToBook());
+        document.getElementById('duplicate-selected-btn').addEventListener('click', () => this.duplicateSelectedPhotos());
+        document.getElementById('delete-selected-btn').addEventListener('click', () => this.deleteSelectedPhotos());
+        
+        ['upload-preview', 'page-strip-list'].forEach(id => {
+            document.getElementById(id).addEventListener('keydown', (e) => this.handleSelectionKeys(e));
+        });
+    }
+    
+    handleSelectionKeys(event) {
+        if (!this.selection) return;
+        
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a') {
+            event.preventDefault();
+            this.selection.selectAll();
+        } else if (event.key === 'Escape' && this.selection.count > 0) {
+            // Clear the selection before Escape closes anything else
+            event.stopPropagation();
+            this.selection.clear();
+        } else if (event.key === 'Delete' && this.selection.count > 0) {
+            event.preventDefault();
+            this.deleteSelectedPhotos();
+        } else if (event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight') && this.selection.count > 0) {
+            // Keyboard alternative to dragging; keeps the arrows from also turning the page
+            event.preventDefault();
+            event.stopPropagation();
+            this.nudgeSelectedPhotos(event.key === 'ArrowLeft' ? -1 : 1);
+        }
+    }
+    
+    handleSelectionChange() {
+        // Dataset values are strings, photo IDs are numbers
+        const selectedIds = new Set(this.selection.getSelectedPhotos().map(photo => String(photo.id)));
+        
+        document.querySelectorAll('#upload-preview .preview-item, #page-strip-list .page-thumb').forEach(item => {
+            const selected = selectedIds.has(item.dataset.photoId);
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', selected);
+        });
+        
+        const count = this.selection.count;
+        document.getElementById('selection-count').textContent = count === 0
+            ? 'No pages selected'
+            : `${count} of ${this.photos.length} selected`;
+        document.getElementById('clear-selection-btn').disabled = count === 0;
+        document.getElementById('style-selected-btn').disabled = count === 0;
+        document.getElementById('duplicate-selected-btn').disabled = count === 0;
+        document.getElementById('delete-selected-btn').disabled = count === 0;
+        
+        this.advancedStyleSystem?.updateBatchLabels();
+        this.exportSystem?.handleSelectionChange();
+    }
+    
+    renderPageStrip() {
+        const strip = document.getElementById('page-strip');
+        const list = document.getElementById('page-strip-list');
+        if (!strip || !list) return;
+        
+        strip.hidden = this.pages.length === 0;
+        list.innerHTML = '';
+        
+        this.pages.forEach((page, index) => {
+            if (page.userData.chapter) {
+                list.appendChild(this.createChapterThumb(page.userData.chapter, index));
+                return;
+            }
+            
+            const photo = page.userData.photo;
+            const thumb = document.createElement('button');
+            thumb.className = 'page-thumb';
+            thumb.dataset.photoId = photo.id;
+            thumb.setAttribute('role', 'option');
+            thumb.setAttribute('aria-label', `Page ${index + 1}: ${photo.filename}`);
+            thumb.draggable = Boolean(this.bookLayout);
+            thumb.innerHTML = `
+                <img src="${this.getStyledImage(photo)}" alt="" class="page-thumb-image">
+                <span class="page-thumb-number">${index + 1}</span>
+                <span class="selection-check" aria-hidden="true">✓</span>
+            `;
+            thumb.addEventListener('click', (e) => {
+                this.selection?.handleClick(photo, e);
+                // A plain click also opens the page; modifier clicks only build the selection
+                if (!e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                    this.goToPage(this.pages.indexOf(page));
+                }
+            });
+            thumb.addEventListener('dblclick', () => this.showPhotoDetails(photo));
+            list.appendChild(thumb);
+        });
+        
+        this.updatePageStripCurrent();
+        if (this.selection) {
+            this.handleSelectionChange();
+        }
+        this.faceClusters?.refresh();
+    }
+    
+    createChapterThumb(chapter, index) {
+        const thumb = document.createElement('button');
+        thumb.className = 'page-thumb chapter-thumb';
+        thumb.setAttribute('aria-label', `Page ${index + 1}: chapter "${chapter.title}". Double-click to rename`);
+        thumb.title = 'Double-click to rename';
+        thumb.innerHTML = `
+            <span class="chapter-thumb-title"></span>
+            <span class="page-thumb-number">${index + 1}</span>
+        `;
+        thumb.querySelector('.chapter-thumb-title').textContent = chapter.title;
+        thumb.addEventListener('click', () => this.goToPage(index));
+        thumb.addEventListener('dblclick', () => this.bookLayout?.promptRenameChapter(chapter));
+        return thumb;
+    }
+    
+    setupLayoutListeners() {
+        if (!this.bookLayout) {
+            document.getElementById('page-layout-controls').hidden = true;
+            return;
+        }
+        
+        document.getElementById('page-order-mode').addEventListener('change', (e) => {
+            this.bookLayout.setOrderMode(e.target.value);
+            this.syncLayoutControls();
+        });
+        
+        document.getElementById('chapter-grouping').addEventListener('change', (e) => {
+            this.bookLayout.setChapterGrouping(e.target.value);
+        });
+        
+        this.setupPageStripDragAndDrop();
+        this.syncLayoutControls();
+    }
+    
+    setupPageStripDragAndDrop() {
+        const list = document.getElementById('page-strip-list');
+        
+        list.addEventListener('dragstart', (e) => {
+            const thumb = e.target.closest('.page-thumb[data-photo-id]');
+            const photo = thumb && this.photos.find(p => String(p.id) === thumb.dataset.photoId);
+            if (!photo) return;
+            
+            // Dragging a selected page carries the whole selection along
+            this.draggedPhotoIds = this.selection?.isSelected(photo)
+                ? this.selection.getSelectedPhotos().map(p => p.id)
+                : [photo.id];
+            
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', thumb.dataset.photoId);
+            thumb.classList.add('dragging');
+        });
+        
+        list.addEventListener('dragover', (e) => {
+            const drop = this.getStripDropTarget(e);
+            this.clearStripDropIndicator();
+            if (!drop) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            drop.thumb.classList.add(drop.placeAfter ? 'drop-after' : 'drop-before');
+        });
+        
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) {
+                this.clearStripDropIndicator();
+            }
+        });
+        
+        list.addEventListener('drop', (e) => {
+            const drop = this.getStripDropTarget(e);
+            if (!drop) return;
+            
+            e.preventDefault();
+            const photoIds = this.draggedPhotoIds;
+            this.endStripDrag();
+            this.movePhotos(photoIds, drop.photo.id, drop.placeAfter);
+        });
+        
+        list.addEventListener('dragend', () => this.endStripDrag());
+    }
+    
+    getStripDropTarget(event) {
+        // Only pages dragged from the strip itself; files dropped here are not pages yet
+        if (!this.draggedPhotoIds) return null;
+        
+        const thumb = event.target.closest('.page-thumb[data-photo-id]');
+        const photo = thumb && this.photos.find(p => String(p.id) === thumb.dataset.photoId);
+        if (!photo || this.draggedPhotoIds.includes(photo.id)) return null;
+        
+        const rect = thumb.getBoundingClientRect();
+        return { thumb, photo, placeAfter: event.clientX > rect.left + rect.width / 2 };
+    }
+    
+    clearStripDropIndicator() {
+        document.querySelectorAll('#page-strip-list .drop-before, #page-strip-list .drop-after').forEach(thumb => {
+            thumb.classList.remove('drop-before', 'drop-after');
+        });
+    }
+    
+    endStripDrag() {
+        this.draggedPhotoIds = null;
+        this.clearStripDropIndicator();
+        document.querySelectorAll('#page-strip-list .dragging').forEach(thumb => thumb.classList.remove('dragging'));
+    }
+    
+    movePhotos(photoIds, targetId, placeAfter) {
+        if (!this.bookLayout?.movePhotos(photoIds, targetId, placeAfter)) return;
+        
+        // Any rearranging switches the book to manual order
+        this.syncLayoutControls();
+    }
+    
+    nudgeSelectedPhotos(direction) {
+        const photoIds = this.selection.getSelectedPhotos().map(photo => photo.id);
+        if (!this.bookLayout?.nudgePhotos(photoIds, direction)) return;
+        
+        this.syncLayoutControls();
+        document.getElementById('page-strip-list').focus();
+    }
+    
+    syncLayoutControls() {
+        if (!this.bookLayout) return;
+        
+        document.getElementById('page-order-mode').value = this.bookLayout.orderMode;
+        document.getElementById('chapter-grouping').value = this.bookLayout.chapterGrouping;
+        // Chapters follow gaps in capture time, so they need date order
+        document.getElementById('chapter-grouping').disabled = this.bookLayout.orderMode !== 'captured';
+    }
+    
+    updatePageStripCurrent() {
+        const thumbs = document.querySelectorAll('#page-strip-list .page-thumb');
+        const spread = this.getSpreadForPage(this.currentPage);
+        thumbs.forEach((thumb, index) => {
+            thumb.classList.toggle('current', index === this.currentPage);
+            thumb.classList.toggle('in-spread', index !== this.currentPage && this.getSpreadForPage(index) === spread);
+        });
+    }
+    
+    getSelectedOrAllPhotos() {
+        const selected = this.selection ? this.selection.getSelectedPhotos() : [];
+        return selected.length > 0 ? selected : this.photos;
+    }
+    
+    getPageForPhoto(photo) {
+        return this.pages.find(page => page.userData.photo === photo);
+    }
+    
+    async applyStyleToSelection() {
+        const photos = this.selection?.getSelectedPhotos() || [];
+        if (photos.length === 0) return;
+        
+        await this.applyStyleToPhotos(photos, this.getStyleFromControls());
+    }
+    
+    async applyStyleToBook() {
+        if (this.photos.length === 0) return;
+        
+        const style = this.getStyleFromControls();
+        await this.applyStyleToPhotos(this.photos, style, `Apply ${style.name} to all pages`);
+    }
+    
+    async applyStyleToPhotos(photos, style, label = `Apply ${style.name} to ${photos.length} pages`) {
+        this.showProcessing(`Applying ${style.name} to ${photos.length} pages...`);
+        
+        const styled = [];
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            try {
+                this.updateProcessingText(`Applying ${style.name} to ${photo.filename} (${i + 1}/${photos.length})...`);
+                const styledImage = await this.renderPhotoStyle(photo, style);
+                styled.push({ photo, style, styledImage });
+            } catch (error) {
+                console.warn(`⚠️ Could not apply ${style.name} to ${photo.filename}:`, error);
+            }
+        }
+        
+        this.assignPhotoStyles(styled, label);
+        this.hideProcessing();
+    }
+    
+    assignPhotoStyles(results, label) {
+        // results: [{ photo, style, styledImage }] from finished renders
+        const photos = results.map(result => result.photo);
+        const before = photos.map(photo => this.snapshotStyle(photo));
+        
+        results.forEach(({ photo, style, styledImage }) => {
+            const page = this.getPageForPhoto(photo);
+            if (page) {
+                this.setPageTexture(page, styledImage);
+            }
+            photo.style = JSON.parse(JSON.stringify(style));
+            this.pruneStyledVersions(photo);
+        });
+        
+        this.recordStyleChange(photos, before, label);
+        this.renderPageStrip();
+        this.persistAlbum();
+    }
+    
+    duplicateSelectedPhotos() {
+        const photos = this.selection?.getSelectedPhotos() || [];
+        if (photos.length === 0) return;
+        
+        photos.forEach(photo => this.duplicatePhoto(photo));
+        
+        // Copies sort in right after their originals
+        this.bookLayout?.apply();
+        this.updatePageNavigation();
+        this.persistAlbum();
+        this.showNotification(photos.length === 1 ? `Duplicated ${photos[0].filename}` : `Duplicated ${photos.length} pages`);
+    }
+    
+    duplicatePhoto(photo) {
+        const canvas = document.createElement('canvas');
+        canvas.width = photo.width;
+        canvas.height = photo.height;
+        canvas.getContext('2d').drawImage(photo.canvas, 0, 0);
+        
+        const copy = {
+            ...photo,
+            id: Date.now() + Math.random(),
+            canvas,
+            imageData: new ImageData(new Uint8ClampedArray(photo.imageData.data), photo.width, photo.height),
+            // Faces are plain data, copied whole so nothing nested is shared with the original page
+            faces: JSON.parse(JSON.stringify(photo.faces)),
+            // Re-detected on the next sensitivity change, so the copy gets its own faces
+            faceCandidates: null,
+            styledVersions: new Map(photo.styledVersions),
+            renderKeys: new Map(),
+            style: JSON.parse(JSON.stringify(photo.style)),
+            regions: JSON.parse(JSON.stringify(photo.regions))
+        };
+        
+        // Cache keys start with the photo ID; re-key the renders so the copy hits the cache too
+        const prefix = `${photo.id}|`;
+        photo.renderKeys.forEach((cacheKey, style) => {
+            if (!cacheKey.startsWith(prefix)) return;
+            const copyKey = `${copy.id}|${cacheKey.slice(prefix.length)}`;
+            copy.renderKeys.set(style, copyKey);
+            this.styleCache?.set(copyKey, copy.styledVersions.get(style));
+        });
+        
+        this.photos.push(copy);
+        this.bookLayout?.insertAfter(copy.id, photo.id);
+        this.addPhotoToPreview(copy);
+        this.createBookPage(copy);
+        
+        return copy;
+    }
+    
+    deleteSelectedPhotos() {
+        const photos = this.selection?.getSelectedPhotos() || [];
+        if (photos.length === 0) return;
+        
+        // No confirmation: the notification offers undo instead
+        this.removePhotos(photos.map(photo => photo.id));
+    }
+    
     // === UI MANAGEMENT ===
     
     showLoading(text = 'Loading...') {
@@ -1139,6 +2644,35 @@ class NeuralStyleMemoryBook {
         };
     }
     
+    showNotification(message, type = 'info', action = null) {
+        const notification = document.createElement('div');
+        notification.className = `app-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        
+        if (action) {
+            // action: { label, onClick } for a single inline button such as Undo
+            const content = document.createElement('div');
+            content.className = 'notification-content';
+            const text = document.createElement('span');
+            text.textContent = message;
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            content.append(text, button);
+            notification.appendChild(content);
+        } else {
+            notification.textContent = message;
+        }
+        
+        document.body.appendChild(notification);
+        
+        // Leave more time to reach an action button
+        setTimeout(() => notification.remove(), type === 'error' || action ? 8000 : 4000);
+    }
+    
     // === MODAL MANAGEMENT ===
     
     showModal(title, content) {
@@ -1159,6 +2693,43 @@ class NeuralStyleMemoryBook {
         modal.setAttribute('aria-hidden', 'true');
     }
     
+    showPhotoDetails(photo) {
+        const rows = [
+            ['File', photo.filename],
+            ['Size', `${photo.width} × ${photo.height}`],
+            ['Faces', String(photo.faces.length)],
+            ...PhotoMetadata.describe(photo.exif)
+        ];
+        
+        const names = photo.faces.map(face => this.faceClusters?.getPersonName(face.personId)).filter(Boolean);
+        if (names.length > 0) {
+            rows.splice(3, 0, ['People', names.join(', ')]);
+        }
+        
+        const details = rows
+            .map(([label, value]) => `<dt>${this.escapeHTML(label)}</dt><dd>${this.escapeHTML(value)}</dd>`)
+            .join('');
+        
+        const gps = photo.exif?.gps;
+        const mapLink = gps
+            ? `<a class="memory-map-link" href="https://www.openstreetmap.org/?mlat=${gps.latitude}&mlon=${gps.longitude}#map=15/${gps.latitude}/${gps.longitude}" target="_blank" rel="noopener">View on map</a>`
+            : '';
+        
+        this.showModal(photo.caption || photo.filename, `
+            <img src="${this.getStyledImage(photo)}" alt="" class="memory-image">
+            <dl class="memory-details">${details}</dl>
+            ${mapLink}
+        `);
+    }
+    
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
     // === SETTINGS MANAGEMENT ===
     
     toggleSettingsPanel() {
@@ -1166,6 +2737,22 @@ class NeuralStyleMemoryBook {
         panel.classList.toggle('open');
     }
     
+    toggleGallery() {
+        const strip = document.getElementById('page-strip');
+        if (this.pages.length === 0) {
+            this.showNotification('Upload some photos to see them in the gallery');
+            return;
+        }
+        
+        const expanded = strip.classList.toggle('gallery-view');
+        document.getElementById('gallery-btn').setAttribute('aria-pressed', expanded);
+        
+        if (expanded) {
+            strip.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            document.getElementById('page-strip-list').focus();
+        }
+    }
+    
     toggleUploadSection() {
         const section = document.getElementById('upload-section');
         section.style.display = section.style.display === 'none' ? 'block' : 'none';
@@ -1224,6 +2811,14 @@ class NeuralStyleMemoryBook {
         // Update UI
         document.getElementById('fps-counter').textContent = this.performance.fps;
         document.getElementById('memory-usage').textContent = `${this.performance.memory}MB`;
+        
+        if (this.styleCache) {
+            const stats = this.styleCache.getStats();
+            document.getElementById('cache-stats').textContent =
+                `${Math.round(stats.hitRate * 100)}% hit · ${Math.round(stats.bytes / 1024 / 1024)}MB`;
+            document.getElementById('cache-stats').title =
+                `${stats.hits} hits, ${stats.misses} misses, ${stats.evictions} evictions, ${stats.entries} renders`;
+        }
     }
     
     // === ANIMATION LOOP ===
@@ -1232,7 +2827,9 @@ class NeuralStyleMemoryBook {
         requestAnimationFrame(() => this.animate());
         
         if (this.renderer && this.scene && this.camera) {
+            this.applyCameraView();
             this.renderer.render(this.scene, this.camera);
+            this.faceClusters?.positionLabels();
         }
         
         // Update performance counter
@@ -1258,6 +2855,11 @@ class NeuralStyleMemoryBook {
     }
     
     handleKeyboard(event) {
+        if ((event.ctrlKey || event.metaKey) && ['z', 'y'].includes(event.key.toLowerCase())) {
+            this.handleUndoKeys(event);
+            return;
+        }
+        
         switch (event.key) {
             case 'ArrowLeft':
                 event.preventDefault();
@@ -1273,6 +2875,19 @@ class NeuralStyleMemoryBook {
         }
     }
     
+    handleUndoKeys(event) {
+        // Text fields keep their own undo
+        if (!this.editHistory || event.target.matches('input[type="text"], input:not([type]), textarea, [contenteditable="true"]')) return;
+        
+        event.preventDefault();
+        const redo = event.key.toLowerCase() === 'y' || event.shiftKey;
+        if (redo) {
+            this.editHistory.redo();
+        } else {
+            this.editHistory.undo();
+        }
+    }
+    
     handleResize() {
         if (this.renderer && this.camera) {
             const canvas = this.renderer.domElement;
@@ -1282,6 +2897,11 @@ class NeuralStyleMemoryBook {
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(width, height);
+            
+            // Narrow windows need the camera further back to fit the spread
+            if (this.pages.length > 0) {
+                this.updateCameraPosition();
+            }
         }
     }
     
@@ -1289,71 +2909,187 @@ class NeuralStyleMemoryBook {
         const preview = document.getElementById('upload-preview');
         const item = document.createElement('div');
         item.className = 'preview-item';
+        item.dataset.photoId = photo.id;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
         item.innerHTML = `
             <img src="${photo.styledVersions.get('original')}" alt="${photo.filename}" class="preview-image">
+            <span class="selection-check" aria-hidden="true">✓</span>
             <div class="preview-overlay">
-                <button class="preview-remove" onclick="app.removePhoto('${photo.id}')">✕</button>
+                <button class="preview-remove" onclick="event.stopPropagation(); app.removePhoto('${photo.id}')">✕</button>
             </div>
         `;
+        item.addEventListener('click', (e) => this.selection?.handleClick(photo, e));
+        item.addEventListener('dblclick', () => this.showPhotoDetails(photo));
         preview.appendChild(item);
     }
     
     removePhoto(photoId) {
-        const index = this.photos.findIndex(p => p.id == photoId);
-        if (index !== -1) {
-            this.photos.splice(index, 1);
-            
-            // Remove from Three.js scene
-            if (this.pages[index]) {
-                this.book.remove(this.pages[index]);
-                this.pages.splice(index, 1);
+        this.removePhotos([photoId]);
+    }
+    
+    removePhotos(photoIds, options = {}) {
+        // options.record: false when redo replays a removal that is already in the history
+        const ids = new Set(photoIds.map(String));
+        // Remember each photo's place so undo can put it back where it was
+        const removed = this.photos
+            .map((photo, index) => ({ photo, index }))
+            .filter(entry => ids.has(String(entry.photo.id)));
+        if (removed.length === 0) return [];
+        
+        removed.forEach(({ photo }) => this.detachPhoto(photo));
+        
+        // Drop them from the selection
+        this.selection?.prune();
+        
+        this.reindexPages();
+        
+        if (this.currentPage >= this.pages.length) {
+            this.goToPage(Math.max(0, this.pages.length - 1));
+        }
+        
+        this.persistAlbum();
+        if (options.record !== false) {
+            this.offerUndoDelete(removed);
+        }
+        
+        return removed.map(entry => entry.photo);
+    }
+    
+    detachPhoto(photo) {
+        this.photos.splice(this.photos.indexOf(photo), 1);
+        this.styleCache?.deletePhoto(photo.id);
+        
+        // Chapter dividers mean page and photo indices differ
+        const page = this.getPageForPhoto(photo);
+        if (page) {
+            this.pages.splice(this.pages.indexOf(page), 1);
+            this.disposePage(page);
+        }
+        
+        document.querySelector(`#upload-preview .preview-item[data-photo-id="${photo.id}"]`)?.remove();
+    }
+    
+    disposePage(page) {
+        // Hotspots pulse forever; their tweens would keep the meshes alive
+        page.traverse(object => {
+            gsap.killTweensOf(object.scale);
+            gsap.killTweensOf(object.rotation);
+            gsap.killTweensOf(object.position);
+            if (object.userData.curl) {
+                gsap.killTweensOf(object.userData.curl);
             }
+            if (object.material) {
+                gsap.killTweensOf(object.material);
+            }
+        });
+        
+        this.book.remove(page);
+        
+        page.traverse(object => {
+            object.geometry?.dispose();
+            if (object.material) {
+                object.material.map?.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+    
+    reindexPages() {
+        if (this.bookLayout) {
+            // Chapters may merge or vanish without the removed photos
+            this.bookLayout.apply();
+            return;
+        }
+        
+        this.stackPages();
+        this.updatePageNavigation();
+    }
+    
+    offerUndoDelete(removed) {
+        const label = removed.length === 1 ? removed[0].photo.filename : `${removed.length} pages`;
+        
+        if (this.editHistory) {
+            // Removed photos live on in the history entry until it is trimmed away
+            const command = this.editHistory.record({
+                type: 'remove',
+                label: `Delete ${label}`,
+                before: removed,
+                after: null,
+                transient: true
+            });
+            this.showNotification(`Deleted ${label}`, 'info', {
+                label: 'Undo',
+                onClick: () => this.editHistory.undo(command)
+            });
+            return;
+        }
+        
+        // Without the history only the latest deletion can be undone; older photos are released
+        this.deletedPhotos = removed;
+        this.showNotification(`Deleted ${label}`, 'info', {
+            label: 'Undo',
+            onClick: () => this.undoDelete()
+        });
+    }
+    
+    undoDelete() {
+        const removed = this.deletedPhotos;
+        if (!removed) return;
+        this.deletedPhotos = null;
+        this.restoreRemovedPhotos(removed);
+        
+        const label = removed.length === 1 ? removed[0].photo.filename : `${removed.length} pages`;
+        this.showNotification(`Restored ${label}`);
+    }
+    
+    restoreRemovedPhotos(removed) {
+        // Lowest index first so each photo lands back in its old slot
+        removed.forEach(({ photo, index }) => {
+            this.photos.splice(Math.min(index, this.photos.length), 0, photo);
             
-            // Update preview
-            const preview = document.getElementById('upload-preview');
-            preview.children[index]?.remove();
-            
-            // Update navigation
-            this.updatePageNavigation();
+            // Renders were evicted with the photo; its own copies seed the cache again
+            photo.renderKeys.forEach((cacheKey, style) => {
+                this.styleCache?.set(cacheKey, photo.styledVersions.get(style));
+            });
             
-            if (this.currentPage >= this.pages.length) {
-                this.goToPage(Math.max(0, this.pages.length - 1));
-            }
+            this.addPhotoToPreview(photo);
+            this.createBookPage(photo);
+        });
+        
+        if (this.bookLayout) {
+            this.bookLayout.apply();
+        } else {
+            // Without a layout the restored pages were appended; follow the photo order again
+            this.pages = this.photos.map(photo => this.getPageForPhoto(photo));
+            this.reindexPages();
         }
+        
+        this.goToPage(this.pages.indexOf(this.getPageForPhoto(removed[0].photo)));
+        this.persistAlbum();
     }
     
     updatePageNavigation() {
         const hasPages = this.pages.length > 0;
-        document.getElementById('prev-page').disabled = !hasPages || this.currentPage === 0;
-        document.getElementById('next-page').disabled = !hasPages || this.currentPage === this.pages.length - 1;
-        document.getElementById('total-pages').textContent = this.pages.length;
+        const spread = this.getSpreadForPage(this.currentPage);
+        document.getElementById('prev-page').disabled = !hasPages || spread === 0;
+        document.getElementById('next-page').disabled = !hasPages || spread === this.getSpreadCount() - 1;
+        document.getElementById('total-pages').textContent = this.getSpreadCount();
+        this.renderPageStrip();
     }
     
     updateParallaxEffect() {
-        // Update parallax depth for current page
-        if (this.pages.length > 0) {
-            const currentPageMesh = this.pages[this.currentPage];
-            const depth = this.settings.parallaxDepth / 100;
-            
-            // Apply depth-based positioning to page elements
-            currentPageMesh.position.z = depth * 0.5;
-        }
+        // Lifts the whole book toward the camera; single pages keep the z of their leaf in the stack
+        if (!this.book) return;
+        
+        const depth = this.settings.parallaxDepth / 100;
+        this.book.position.z = depth * 0.5;
     }
     
     updateFaceDetection() {
-        // Toggle face detection for all photos
-        this.photos.forEach(photo => {
-            photo.faces.forEach((face, index) => {
-                // Toggle hotspot visibility
-                const page = this.pages.find(p => p.userData.photo.id === photo.id);
-                if (page) {
-                    const hotspots = page.children.filter(child => child.userData.face);
-                    hotspots.forEach(hotspot => {
-                        hotspot.visible = this.settings.faceDetection;
-                    });
-                }
-            });
-        });
+        // Toggle hotspot visibility
+        this.updateHotspotVisibility();
+        this.faceClusters?.updateLabels();
     }
     
     async reinitializeModels() {
@@ -1443,7 +3179,10 @@ document.addEventListener('DOMContentLoaded', () => {
             photos: () => window.app?.photos,
             models: () => window.app?.models,
             exportSystem: () => window.app?.exportSystem,
-            advancedStyleSystem: () => window.app?.advancedStyleSystem
+            advancedStyleSystem: () => window.app?.advancedStyleSystem,
+            albumStore: () => window.app?.albumStore,
+            selection: () => window.app?.selection,
+            customStyles: () => window.app?.customStyles
         };
         console.log('🔧 Debug helpers available via window.debugApp');
     }
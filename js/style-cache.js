@@ -0,0 +1,175 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                      Parameter-aware Style Cache                     ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/style-cache.js                                              ║
+║ Purpose: Keep styled renders keyed by what produced them             ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Keys from photo ID, style, parameter hash and quality preset       ║
+║ • Parameter normalization so slider noise hits the same entry        ║
+║ • Least-recently-used eviction against a byte budget                 ║
+║ • Hit/miss/eviction stats for the performance monitor                ║
+║                                                                      ║
+║ Integration: Used by NeuralStyleMemoryBook.applyStyleTransfer        ║
+║ Browser Support: ES6+                                                ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Style Cache */
+/* LRU cache of styled renders with a byte budget */
+
+class StyleCache {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || 128 * 1024 * 1024;
+        // Map iteration order doubles as recency order: oldest first
+        this.entries = new Map();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    // === KEYS ===
+
+    static createKey(photoId, style, parameters = {}, quality = 'medium') {
+        return `${photoId}|${style}|${StyleCache.hashParameters(parameters)}|${quality}`;
+    }
+
+    static normalizeParameters(parameters = {}) {
+        // Sorted keys and rounded numbers: {a: 0.30000001, b: 1} and {b: 1, a: 0.3} are the same render
+        return Object.keys(parameters)
+            .filter(name => parameters[name] !== undefined && parameters[name] !== null)
+            .sort()
+            .map(name => {
+                const value = parameters[name];
+                return [name, typeof value === 'number' ? Math.round(value * 1000) / 1000 : value];
+            });
+    }
+
+    static hashParameters(parameters = {}) {
+        // FNV-1a over the normalized JSON; short enough to read in a key
+        const text = JSON.stringify(StyleCache.normalizeParameters(parameters));
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // === ACCESS ===
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+
+        // Touch: move to the most recent end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    set(key, value) {
+        const bytes = this.measure(value);
+
+        // Never worth evicting everything for one oversized render
+        if (bytes > this.maxBytes) return false;
+
+        this.delete(key);
+        this.entries.set(key, { value, bytes });
+        this.bytes += bytes;
+        this.evict();
+        return true;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+        return true;
+    }
+
+    deletePhoto(photoId) {
+        const prefix = `${photoId}|`;
+        Array.from(this.entries.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.delete(key));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    // === BUDGET ===
+
+    setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.evict();
+    }
+
+    evict() {
+        for (const key of this.entries.keys()) {
+            if (this.bytes <= this.maxBytes) break;
+            this.delete(key);
+            this.evictions++;
+        }
+    }
+
+    measure(value) {
+        if (typeof value === 'string') {
+            // Data URLs are ASCII, stored one byte per character
+            return value.length;
+        }
+        if (value && typeof value.byteLength === 'number') {
+            return value.byteLength;
+        }
+        if (value && value.data && typeof value.data.byteLength === 'number') {
+            return value.data.byteLength;
+        }
+        return 0;
+    }
+
+    // === STATS ===
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups > 0 ? this.hits / lookups : 0
+        };
+    }
+
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.StyleCache = StyleCache;
+}
+
+console.log('🗄️ Style Cache loaded');
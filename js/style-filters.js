@@ -0,0 +1,167 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                     Canvas Style Filters (Shared)                    ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/style-filters.js                                            ║
+║ Purpose: Lightweight 2D-canvas style filters for page and worker     ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Van Gogh, Picasso, Monet, Kandinsky and Hokusai looks              ║
+║ • Works on CanvasRenderingContext2D and OffscreenCanvas contexts     ║
+║ • No DOM access, so the style worker can importScripts() it          ║
+║                                                                      ║
+║ Filter Signature:                                                    ║
+║ • (ctx, imageData, intensity) with intensity in [0, 1]               ║
+║                                                                      ║
+║ Browser Support: Canvas 2D filters, OffscreenCanvas (optional)       ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Style Filters */
+/* Canvas-based fallback styles shared by the main thread and the style worker */
+
+class StyleFilters {
+    static get(styleKey) {
+        const filters = {
+            vangogh: StyleFilters.vangogh,
+            picasso: StyleFilters.picasso,
+            monet: StyleFilters.monet,
+            kandinsky: StyleFilters.kandinsky,
+            hokusai: StyleFilters.hokusai
+        };
+        return filters[styleKey] || null;
+    }
+
+    // === FILTERS ===
+
+    static vangogh(ctx, imageData, intensity) {
+        // Van Gogh style: swirling patterns, vibrant colors
+        ctx.filter = `
+            saturate(${1 + intensity * 0.5})
+            contrast(${1 + intensity * 0.3})
+            brightness(${1 + intensity * 0.2})
+            hue-rotate(${intensity * 20}deg)
+        `;
+        ctx.globalCompositeOperation = 'overlay';
+        ctx.fillStyle = `rgba(70, 130, 180, ${intensity * 0.2})`;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    static picasso(ctx, imageData, intensity) {
+        // Picasso style: geometric shapes, bold colors
+        ctx.filter = `
+            saturate(${1 + intensity * 0.8})
+            contrast(${1 + intensity * 0.5})
+            sepia(${intensity * 0.3})
+        `;
+        StyleFilters.applyPixelation(ctx, intensity * 8);
+    }
+
+    static monet(ctx, imageData, intensity) {
+        // Monet style: soft, impressionistic
+        ctx.filter = `
+            blur(${intensity * 2}px)
+            saturate(${1 + intensity * 0.4})
+            brightness(${1 + intensity * 0.1})
+        `;
+        ctx.globalCompositeOperation = 'soft-light';
+        ctx.fillStyle = `rgba(173, 216, 230, ${intensity * 0.3})`;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    static kandinsky(ctx, imageData, intensity) {
+        // Kandinsky style: abstract, colorful
+        ctx.filter = `
+            saturate(${1 + intensity})
+            contrast(${1 + intensity * 0.4})
+            hue-rotate(${intensity * 45}deg)
+        `;
+        StyleFilters.applyColorShift(ctx, intensity);
+    }
+
+    static hokusai(ctx, imageData, intensity) {
+        // Hokusai style: wave patterns, blue tones
+        ctx.filter = `
+            sepia(${intensity * 0.4})
+            saturate(${1 + intensity * 0.3})
+            hue-rotate(${180 + intensity * 20}deg)
+        `;
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = `rgba(0, 100, 200, ${intensity * 0.2})`;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    // === HELPERS ===
+
+    static applyPixelation(ctx, pixelSize) {
+        const canvas = ctx.canvas;
+        const size = Math.max(1, Math.round(pixelSize));
+        if (size === 1) return;
+
+        for (let y = 0; y < canvas.height; y += size) {
+            for (let x = 0; x < canvas.width; x += size) {
+                const pixelData = ctx.getImageData(x, y, 1, 1).data;
+                ctx.fillStyle = `rgb(${pixelData[0]}, ${pixelData[1]}, ${pixelData[2]})`;
+                ctx.fillRect(x, y, size, size);
+            }
+        }
+    }
+
+    static applyColorShift(ctx, intensity) {
+        const imageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const data = imageData.data;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const shift = intensity * 50;
+            data[i] = Math.min(255, data[i] + shift); // Red
+            data[i + 1] = Math.min(255, data[i + 1] - shift / 2); // Green
+            data[i + 2] = Math.min(255, data[i + 2] + shift / 3); // Blue
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // === RENDERING ===
+
+    static render(canvas, imageData, styleKey, intensity) {
+        // Draws imageData onto canvas (HTML or Offscreen) and styles it in place
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(imageData, 0, 0);
+
+        const filter = StyleFilters.get(styleKey);
+        if (filter) {
+            filter(ctx, imageData, intensity);
+        }
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    }
+
+    static mix(original, styled, intensity) {
+        // Kernels and custom styles render at full strength; intensity fades them back toward the photo
+        if (intensity === undefined || intensity >= 1) return styled;
+
+        const amount = Math.max(0, intensity);
+        const mixed = new Uint8ClampedArray(styled.length);
+        for (let i = 0; i < mixed.length; i++) {
+            mixed[i] = original[i] + (styled[i] - original[i]) * amount;
+        }
+        return mixed;
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.StyleFilters = StyleFilters;
+}
+
+console.log('🖌️ Style Filters loaded');
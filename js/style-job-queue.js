@@ -0,0 +1,273 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                     Prioritized Style Job Queue                      ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/style-job-queue.js                                          ║
+║ Purpose: Schedule style renders by priority with cancellation        ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Priorities: interactive preview, visible page, background batch    ║
+║ • AbortSignal cancellation, queued or running                        ║
+║ • Configurable concurrency                                           ║
+║ • Identical (photo, style, params) jobs share one render             ║
+║ • Per-group progress and ETA for progress bars                       ║
+║                                                                      ║
+║ Integration: Owned by AdvancedStyleSystem as processingQueue         ║
+║ Browser Support: ES6+, AbortController                               ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Style Job Queue */
+/* Priority scheduler for style renders with dedupe, cancellation and progress */
+
+class StyleJobQueue {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.pending = [];
+        this.running = new Set();
+        this.jobsByKey = new Map();
+        this.groups = new Map();
+        this.listeners = [];
+        this.sequence = 0;
+    }
+
+    // Lower number runs first
+    static get PRIORITY() {
+        return { PREVIEW: 0, VISIBLE: 1, BATCH: 2 };
+    }
+
+    // === SCHEDULING ===
+
+    enqueue({ key = null, priority = StyleJobQueue.PRIORITY.BATCH, group = null, signal = null, run }) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        let job = key !== null ? this.jobsByKey.get(key) : null;
+
+        if (job) {
+            // Same render already scheduled: share it, and let the more urgent caller set the pace
+            if (priority < job.priority && !this.running.has(job)) {
+                job.priority = priority;
+                this.sortPending();
+            }
+        } else {
+            job = {
+                key,
+                priority,
+                order: this.sequence++,
+                run,
+                controller: new AbortController(),
+                waiters: new Set(),
+                groups: new Set(),
+                startedAt: 0
+            };
+            if (key !== null) {
+                this.jobsByKey.set(key, job);
+            }
+            this.pending.push(job);
+            this.sortPending();
+        }
+
+        if (group !== null && !job.groups.has(group)) {
+            job.groups.add(group);
+            this.getGroup(group, true).total++;
+            this.emitProgress(group);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                waiter.onAbort = () => this.dropWaiter(job, waiter);
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            job.waiters.add(waiter);
+        });
+
+        this.pump();
+        return promise;
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+        this.pump();
+    }
+
+    get size() {
+        return this.pending.length + this.running.size;
+    }
+
+    // === EXECUTION ===
+
+    pump() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            this.start(this.pending.shift());
+        }
+    }
+
+    async start(job) {
+        this.running.add(job);
+        job.startedAt = performance.now();
+
+        let result;
+        let error = null;
+        try {
+            result = await job.run(job.controller.signal);
+        } catch (err) {
+            error = err;
+        }
+
+        this.running.delete(job);
+        this.forget(job);
+
+        const cancelled = job.controller.signal.aborted;
+        const duration = performance.now() - job.startedAt;
+
+        job.groups.forEach(group => {
+            this.settleGroup(group, cancelled ? 'cancelled' : error ? 'failed' : 'completed', cancelled ? 0 : duration);
+        });
+
+        job.waiters.forEach(waiter => {
+            this.detachWaiter(waiter);
+            if (cancelled) {
+                waiter.reject(this.createAbortError());
+            } else if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve(result);
+            }
+        });
+        job.waiters.clear();
+
+        this.pump();
+    }
+
+    dropWaiter(job, waiter) {
+        if (!job.waiters.delete(waiter)) return;
+
+        this.detachWaiter(waiter);
+        waiter.reject(this.createAbortError());
+
+        // Last interested caller gone: stop the render itself
+        if (job.waiters.size > 0) return;
+
+        job.controller.abort();
+        // A running job settles later; the next identical request must not join it meanwhile
+        this.forget(job);
+
+        const index = this.pending.indexOf(job);
+        if (index !== -1) {
+            this.pending.splice(index, 1);
+            job.groups.forEach(group => this.settleGroup(group, 'cancelled'));
+        }
+    }
+
+    detachWaiter(waiter) {
+        if (waiter.signal && waiter.onAbort) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+    }
+
+    forget(job) {
+        if (job.key !== null && this.jobsByKey.get(job.key) === job) {
+            this.jobsByKey.delete(job.key);
+        }
+    }
+
+    sortPending() {
+        this.pending.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    }
+
+    createAbortError() {
+        return new DOMException('Style job cancelled', 'AbortError');
+    }
+
+    // === PROGRESS ===
+
+    getGroup(group, create = false) {
+        let stats = this.groups.get(group);
+
+        // A finished group starts over when new work arrives
+        if (create && (!stats || this.isGroupDone(stats))) {
+            stats = { total: 0, completed: 0, failed: 0, cancelled: 0, workTime: 0, startedAt: performance.now() };
+            this.groups.set(group, stats);
+        }
+        return stats || null;
+    }
+
+    isGroupDone(stats) {
+        return stats.total > 0 && stats.completed + stats.failed + stats.cancelled >= stats.total;
+    }
+
+    settleGroup(group, outcome, duration = 0) {
+        const stats = this.groups.get(group);
+        if (!stats) return;
+
+        stats[outcome]++;
+        if (outcome !== 'cancelled') {
+            stats.workTime += duration;
+        }
+        this.emitProgress(group);
+    }
+
+    getProgress(group) {
+        const stats = this.groups.get(group);
+        if (!stats) return null;
+
+        const settled = stats.completed + stats.failed + stats.cancelled;
+        const remaining = Math.max(0, stats.total - settled);
+        const rendered = stats.completed + stats.failed;
+
+        // Average render time spread over the parallel slots; unknown until the first job lands
+        const averageTime = rendered > 0 ? stats.workTime / rendered : null;
+        const slots = Math.max(1, Math.min(this.concurrency, remaining));
+        const eta = averageTime !== null ? (remaining * averageTime) / slots : null;
+
+        return {
+            group,
+            total: stats.total,
+            completed: stats.completed,
+            failed: stats.failed,
+            cancelled: stats.cancelled,
+            remaining,
+            fraction: stats.total > 0 ? settled / stats.total : 1,
+            elapsed: performance.now() - stats.startedAt,
+            eta,
+            done: remaining === 0
+        };
+    }
+
+    onProgress(group, listener) {
+        const entry = { group, listener };
+        this.listeners.push(entry);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== entry);
+        };
+    }
+
+    emitProgress(group) {
+        const progress = this.getProgress(group);
+        this.listeners
+            .filter(entry => entry.group === group)
+            .forEach(entry => {
+                try {
+                    entry.listener(progress);
+                } catch (error) {
+                    console.error('❌ Job progress listener failed:', error);
+                }
+            });
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.StyleJobQueue = StyleJobQueue;
+}
+
+console.log('🗂️ Style Job Queue loaded');
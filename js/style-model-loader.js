@@ -0,0 +1,223 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                 Feed-forward Style Transfer Model Loader             ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/style-model-loader.js                                       ║
+║ Purpose: Load and run TensorFlow.js style transfer networks          ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Graph models (tfjs-converter) and Layers models (Keras)            ║
+║ • Download progress per model                                        ║
+║ • Input/output shape validation before first use                     ║
+║ • Configurable base URL for locally hosted model files               ║
+║ • Fixed-size models resized in and out transparently                 ║
+║ • Input/output value ranges from style config or model metadata      ║
+║                                                                      ║
+║ Model Requirements:                                                  ║
+║ • One image input of shape [batch, height, width, 3]                 ║
+║ • One image output of shape [batch, height, width, 3]                ║
+║ • Height/width may be fixed or dynamic (-1 / null)                   ║
+║                                                                      ║
+║ Integration: Used by AdvancedStyleSystem.createAdvancedStyleModel    ║
+║ Browser Support: TensorFlow.js 4.x, Fetch API                        ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Style Model Loader */
+/* Fetches, validates and runs feed-forward style transfer networks */
+
+class StyleModelLoader {
+    constructor(options = {}) {
+        // Rewrites the '/models/' prefix of configured URLs, e.g. 'http://localhost:8080/models/'
+        this.baseUrl = options.baseUrl || '';
+        this.onProgress = options.onProgress || (() => {});
+        this.defaultRange = [0, 1];
+    }
+
+    // === URLS ===
+
+    resolveUrl(modelUrl) {
+        if (!this.baseUrl || !modelUrl) return modelUrl;
+
+        const base = this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`;
+        return modelUrl.replace(/^\/?models\//, base);
+    }
+
+    // === LOADING ===
+
+    async load(styleKey, config) {
+        const url = this.resolveUrl(config.modelUrl);
+        if (!url) return null;
+
+        // Fetch the manifest ourselves so a missing model is a quiet fallback, not a tf error
+        const manifest = await this.fetchManifest(url);
+        if (!manifest) return null;
+
+        const format = this.detectFormat(manifest);
+        const loadOptions = {
+            onProgress: (fraction) => this.onProgress(styleKey, fraction)
+        };
+
+        this.onProgress(styleKey, 0);
+
+        const model = format === 'layers-model'
+            ? await tf.loadLayersModel(url, loadOptions)
+            : await tf.loadGraphModel(url, loadOptions);
+
+        try {
+            const io = this.validateModel(model, config.name);
+            const metadata = manifest.userDefinedMetadata || {};
+
+            this.onProgress(styleKey, 1);
+
+            return {
+                model,
+                format,
+                url,
+                ...io,
+                inputRange: config.inputRange || metadata.inputRange || this.defaultRange,
+                outputRange: config.outputRange || metadata.outputRange || this.defaultRange
+            };
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+    }
+
+    async fetchManifest(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            return null;
+        }
+
+        if (!response.ok) return null;
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Model file at ${url} is not valid JSON`);
+        }
+    }
+
+    detectFormat(manifest) {
+        if (manifest.format === 'layers-model' || manifest.modelTopology?.class_name || manifest.modelTopology?.model_config) {
+            return 'layers-model';
+        }
+        return 'graph-model';
+    }
+
+    // === VALIDATION ===
+
+    validateModel(model, name) {
+        const inputs = model.inputs || [];
+        const outputs = model.outputs || [];
+
+        if (inputs.length !== 1) {
+            throw new Error(`${name} model must take exactly one image input (found ${inputs.length})`);
+        }
+        if (outputs.length !== 1) {
+            throw new Error(`${name} model must produce exactly one image output (found ${outputs.length})`);
+        }
+
+        const inputShape = this.normalizeShape(inputs[0].shape);
+        const outputShape = this.normalizeShape(outputs[0].shape);
+
+        this.assertImageShape(inputShape, `${name} model input`);
+        this.assertImageShape(outputShape, `${name} model output`);
+
+        return {
+            inputName: inputs[0].name,
+            outputName: outputs[0].name,
+            inputShape,
+            outputShape,
+            // Fixed spatial size means we resize in and out of the network
+            inputSize: inputShape[1] > 0 && inputShape[2] > 0
+                ? { height: inputShape[1], width: inputShape[2] }
+                : null
+        };
+    }
+
+    normalizeShape(shape) {
+        // tf reports unknown dimensions as -1 (graph) or null (layers)
+        return (shape || []).map(dim => (dim === null || dim === undefined ? -1 : dim));
+    }
+
+    assertImageShape(shape, label) {
+        if (shape.length !== 4) {
+            throw new Error(`${label} must be rank 4 [batch, height, width, 3], got [${shape.join(', ')}]`);
+        }
+        if (shape[3] !== 3) {
+            throw new Error(`${label} must have 3 color channels, got ${shape[3]}`);
+        }
+        if (shape[0] > 1) {
+            throw new Error(`${label} has a fixed batch size of ${shape[0]}; expected 1 or dynamic`);
+        }
+    }
+
+    // === INFERENCE ===
+
+    async run(loaded, imageData, options = {}) {
+        const { width, height } = imageData;
+        const { strength = 1 } = options;
+
+        const input = tf.tidy(() => {
+            let pixels = tf.browser.fromPixels(imageData).toFloat();
+            if (loaded.inputSize) {
+                pixels = tf.image.resizeBilinear(pixels, [loaded.inputSize.height, loaded.inputSize.width]);
+            }
+            return this.fromUnitRange(pixels.div(255), loaded.inputRange).expandDims(0);
+        });
+
+        let output;
+        try {
+            output = loaded.format === 'layers-model'
+                ? loaded.model.predict(input)
+                : await loaded.model.executeAsync(input);
+        } finally {
+            input.dispose();
+        }
+
+        const result = tf.tidy(() => {
+            let image = this.toUnitRange(output.squeeze([0]), loaded.outputRange);
+            if (image.shape[0] !== height || image.shape[1] !== width) {
+                image = tf.image.resizeBilinear(image, [height, width]);
+            }
+
+            // Networks have no intensity knob, so mix the result back toward the original
+            if (strength < 1) {
+                const original = tf.browser.fromPixels(imageData).toFloat().div(255);
+                image = original.add(image.sub(original).mul(strength));
+            }
+
+            return image.clipByValue(0, 1);
+        });
+        output.dispose();
+
+        try {
+            return await tf.browser.toPixels(result);
+        } finally {
+            result.dispose();
+        }
+    }
+
+    fromUnitRange(tensor, [min, max]) {
+        return tensor.mul(max - min).add(min);
+    }
+
+    toUnitRange(tensor, [min, max]) {
+        return tensor.sub(min).div(max - min);
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.StyleModelLoader = StyleModelLoader;
+}
+
+console.log('🧠 Style Model Loader loaded');
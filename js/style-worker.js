@@ -0,0 +1,202 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                   Background Style Rendering Worker                  ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/style-worker.js                                             ║
+║ Purpose: Render styles off the main thread so the book stays smooth  ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • TensorFlow.js style kernels on the worker's own backend            ║
+║ • Canvas filters on OffscreenCanvas                                  ║
+║ • Custom style statistics transfer                                   ║
+║ • Transferable pixel buffers in and out                              ║
+║ • Optional PNG encoding in the worker                                ║
+║ • Job IDs, progress events and cancellation                          ║
+║                                                                      ║
+║ Messages In:                                                         ║
+║ • INIT { styleConfigs, customStyle }                                 ║
+║ • PROCESS_STYLE { jobId, task, image, encode }                       ║
+║ • BATCH_PROCESS { jobId, tasks, image, encode }                      ║
+║ • CANCEL { jobId }                                                   ║
+║                                                                      ║
+║ Messages Out:                                                        ║
+║ • READY { backend }                                                  ║
+║ • PROGRESS { jobId, progress, stage, style }                         ║
+║ • STYLE_PROCESSED { jobId, style, result, batch }                    ║
+║ • BATCH_COMPLETED { jobId, styles }                                  ║
+║ • JOB_FAILED { jobId, style, error, cancelled }                      ║
+║                                                                      ║
+║ Integration: Spawned by AdvancedStyleSystem.setupProcessingPipeline  ║
+║ Browser Support: Web Workers, OffscreenCanvas                        ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - Style Worker */
+/* Off-main-thread style rendering with OffscreenCanvas and transferable buffers */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+    'style-filters.js',
+    'advanced-styles.js',
+    'custom-styles.js'
+);
+
+// Prototype-only instances: we need the processing methods, not the DOM setup in the constructors
+const kernels = Object.create(AdvancedStyleSystem.prototype);
+const customStyles = Object.create(CustomStyleManager.prototype);
+
+const cancelledJobs = new Set();
+let ready = null;
+let queue = Promise.resolve();
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'INIT':
+            ready = initialize(message);
+            break;
+        case 'PROCESS_STYLE':
+            enqueue(message, processStyleJob);
+            break;
+        case 'BATCH_PROCESS':
+            enqueue(message, processBatchJob);
+            break;
+        case 'CANCEL':
+            cancelledJobs.add(message.jobId);
+            break;
+    }
+};
+
+// === SETUP ===
+
+async function initialize({ styleConfigs, customStyle }) {
+    kernels.styleConfigs = styleConfigs;
+    customStyles.pyramidLevels = customStyle.pyramidLevels;
+    customStyles.parameters = customStyle.parameters;
+
+    try {
+        await tf.setBackend('webgl');
+    } catch (error) {
+        await tf.setBackend('cpu');
+    }
+    await tf.ready();
+    tf.enableProdMode();
+
+    self.postMessage({ type: 'READY', backend: tf.getBackend() });
+}
+
+function enqueue(message, handler) {
+    // One job at a time keeps memory flat and progress events in order
+    queue = queue
+        .then(() => ready)
+        .then(() => runJob(message, handler));
+}
+
+async function runJob(message, handler) {
+    const { jobId } = message;
+
+    if (cancelledJobs.delete(jobId)) {
+        self.postMessage({ type: 'JOB_FAILED', jobId, error: 'Cancelled', cancelled: true });
+        return;
+    }
+
+    try {
+        await handler(message);
+    } catch (error) {
+        self.postMessage({
+            type: 'JOB_FAILED',
+            jobId,
+            error: error.message || String(error),
+            cancelled: cancelledJobs.has(jobId)
+        });
+    } finally {
+        cancelledJobs.delete(jobId);
+    }
+}
+
+// === JOBS ===
+
+async function processStyleJob({ jobId, task, image, encode }) {
+    const imageData = new ImageData(new Uint8ClampedArray(image.buffer), image.width, image.height);
+
+    postProgress(jobId, 0.1, 'styling', task.style);
+    const pixels = await renderTask(imageData, task);
+
+    postProgress(jobId, 0.8, encode ? 'encoding' : 'transferring', task.style);
+    const result = await packResult(pixels, image.width, image.height, encode);
+
+    self.postMessage({ type: 'STYLE_PROCESSED', jobId, style: task.style, result }, transferList(result));
+}
+
+async function processBatchJob({ jobId, tasks, image, encode }) {
+    const imageData = new ImageData(new Uint8ClampedArray(image.buffer), image.width, image.height);
+    const completed = [];
+
+    for (let i = 0; i < tasks.length; i++) {
+        if (cancelledJobs.has(jobId)) {
+            throw new Error('Cancelled');
+        }
+
+        const task = tasks[i];
+        postProgress(jobId, i / tasks.length, 'styling', task.style);
+
+        try {
+            const pixels = await renderTask(imageData, task);
+            const result = await packResult(pixels, image.width, image.height, encode);
+            self.postMessage({ type: 'STYLE_PROCESSED', jobId, style: task.style, result, batch: true }, transferList(result));
+            completed.push(task.style);
+        } catch (error) {
+            // One bad style should not sink the rest of the batch
+            self.postMessage({ type: 'JOB_FAILED', jobId, style: task.style, error: error.message || String(error) });
+        }
+    }
+
+    postProgress(jobId, 1, 'done');
+    self.postMessage({ type: 'BATCH_COMPLETED', jobId, styles: completed });
+}
+
+// === RENDERING ===
+
+async function renderTask(imageData, task) {
+    if (task.mode === 'custom') {
+        const pixels = await customStyles.applyStatistics(imageData, task.statistics, task.parameters);
+        return StyleFilters.mix(imageData.data, pixels, task.intensity);
+    }
+
+    if (task.mode === 'kernels') {
+        try {
+            const pixels = await kernels.processStyleAdvanced(imageData, task.style, task.parameters);
+            return StyleFilters.mix(imageData.data, pixels, task.intensity);
+        } catch (error) {
+            // Same fallback order as the main thread: kernels, then canvas filters
+            if (!StyleFilters.get(task.style)) throw error;
+        }
+    }
+
+    return StyleFilters.render(new OffscreenCanvas(1, 1), imageData, task.style, task.intensity);
+}
+
+async function packResult(pixels, width, height, encode) {
+    if (encode) {
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        return { width, height, blob: await canvas.convertToBlob({ type: 'image/png' }) };
+    }
+
+    return { width, height, buffer: pixels.buffer };
+}
+
+function transferList(result) {
+    return result.buffer ? [result.buffer] : [];
+}
+
+function postProgress(jobId, progress, stage, style) {
+    self.postMessage({ type: 'PROGRESS', jobId, progress, stage, style });
+}
+
+console.log('🧵 Style Worker loaded');
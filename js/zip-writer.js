@@ -0,0 +1,355 @@
+/*
+╔═══════════════════════════════════════════════════════════╗
+║                        NEURAL STYLE MEMORY BOOK                      ║
+║                     ZIP Archive Writer (ZIP64 ready)                 ║
+╠═══════════════════════════════════════════════════════════╣
+║ File: js/zip-writer.js                                               ║
+║ Purpose: Build standards-compliant ZIP archives in the browser       ║
+║ Version: 1.2.0                                                       ║
+║ Author: Neural Style Memory Book Team                                ║
+║ Created: 2024                                                        ║
+║                                                                      ║
+║ Features:                                                            ║
+║ • Store and deflate entries (deflate via CompressionStream)          ║
+║ • Streaming CRC32 so large blobs never load into memory at once      ║
+║ • ZIP64 records for entries/offsets past 4 GB or 65535 entries       ║
+║ • UTF-8 filenames and DOS timestamps                                 ║
+║ • Automatic fallback to store when deflate does not help             ║
+║                                                                      ║
+║ Compression Modes:                                                   ║
+║ • store:   no compression (method 0)                                 ║
+║ • deflate: raw deflate (method 8)                                    ║
+║ • auto:    store already-compressed images, deflate everything else  ║
+║                                                                      ║
+║ Browser Support: Blob streams, CompressionStream (for deflate)       ║
+╚═══════════════════════════════════════════════════════════╝
+*/
+
+/* Neural Style Memory Book - ZIP Writer */
+/* Minimal ZIP/ZIP64 archive writer with store and deflate support */
+
+class ZipWriter {
+    constructor(options = {}) {
+        this.compression = options.compression || 'auto';
+        this.entries = [];
+        this.parts = [];
+        this.offset = 0;
+        this.names = new Set();
+        this.finalized = false;
+    }
+
+    // === PUBLIC API ===
+
+    async addFile(name, data, options = {}) {
+        if (this.finalized) {
+            throw new Error('Cannot add files to a finalized archive');
+        }
+
+        const filename = this.uniqueName(name);
+        const nameBytes = new TextEncoder().encode(filename);
+        const source = this.toBlob(data);
+        const date = options.lastModified ? new Date(options.lastModified) : new Date();
+
+        const crc = await ZipWriter.crc32(source);
+        const uncompressedSize = source.size;
+
+        let method = 0;
+        let payload = source;
+
+        if (this.shouldDeflate(filename, source, options.compression) && ZipWriter.supportsDeflate()) {
+            const deflated = await this.deflate(source);
+
+            // Keep the deflated data only when it is actually smaller
+            if (deflated.size < source.size) {
+                method = 8;
+                payload = deflated;
+            }
+        }
+
+        const entry = {
+            nameBytes,
+            method,
+            crc,
+            compressedSize: payload.size,
+            uncompressedSize,
+            offset: this.offset,
+            dosTime: this.toDosTime(date),
+            dosDate: this.toDosDate(date)
+        };
+
+        const localHeader = this.createLocalHeader(entry);
+        this.parts.push(localHeader, payload);
+        this.offset += localHeader.byteLength + payload.size;
+        this.entries.push(entry);
+
+        return filename;
+    }
+
+    async finalize(mimeType = 'application/zip') {
+        if (this.finalized) {
+            throw new Error('Archive already finalized');
+        }
+        this.finalized = true;
+
+        const centralDirectoryOffset = this.offset;
+        let centralDirectorySize = 0;
+
+        this.entries.forEach(entry => {
+            const header = this.createCentralHeader(entry);
+            this.parts.push(header);
+            centralDirectorySize += header.byteLength;
+        });
+
+        const needsZip64 = this.entries.length >= 0xFFFF ||
+            centralDirectorySize >= 0xFFFFFFFF ||
+            centralDirectoryOffset >= 0xFFFFFFFF;
+
+        if (needsZip64) {
+            const zip64EndOffset = centralDirectoryOffset + centralDirectorySize;
+            this.parts.push(this.createZip64EndRecord(centralDirectoryOffset, centralDirectorySize));
+            this.parts.push(this.createZip64Locator(zip64EndOffset));
+        }
+
+        this.parts.push(this.createEndRecord(centralDirectoryOffset, centralDirectorySize, needsZip64));
+
+        return new Blob(this.parts, { type: mimeType });
+    }
+
+    // === COMPRESSION ===
+
+    static supportsDeflate() {
+        if (typeof CompressionStream === 'undefined') return false;
+
+        try {
+            new CompressionStream('deflate-raw');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    shouldDeflate(filename, blob, mode = this.compression) {
+        if (mode === 'store') return false;
+        if (mode === 'deflate') return true;
+
+        // Already-compressed formats gain nothing from a second pass
+        return !/\.(jpe?g|png|webp|gif|zip|pdf|nsmb)$/i.test(filename) && !/^image\//.test(blob.type);
+    }
+
+    async deflate(blob) {
+        const stream = blob.stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return await new Response(stream).blob();
+    }
+
+    // === CRC32 ===
+
+    static getCrcTable() {
+        if (!ZipWriter.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            ZipWriter.crcTable = table;
+        }
+        return ZipWriter.crcTable;
+    }
+
+    static updateCrc32(crc, bytes) {
+        const table = ZipWriter.getCrcTable();
+        let c = crc;
+        for (let i = 0; i < bytes.length; i++) {
+            c = table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        }
+        return c;
+    }
+
+    static async crc32(blob) {
+        let crc = 0xFFFFFFFF;
+        const reader = blob.stream().getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            crc = ZipWriter.updateCrc32(crc, value);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // === RECORDS ===
+
+    createLocalHeader(entry) {
+        const zip64 = entry.uncompressedSize >= 0xFFFFFFFF || entry.compressedSize >= 0xFFFFFFFF;
+        const extraLength = zip64 ? 20 : 0;
+        const buffer = new ArrayBuffer(30 + entry.nameBytes.length + extraLength);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x04034B50, true);
+        view.setUint16(4, zip64 ? 45 : 20, true);
+        view.setUint16(6, 0x0800, true); // UTF-8 names
+        view.setUint16(8, entry.method, true);
+        view.setUint16(10, entry.dosTime, true);
+        view.setUint16(12, entry.dosDate, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, zip64 ? 0xFFFFFFFF : entry.compressedSize, true);
+        view.setUint32(22, zip64 ? 0xFFFFFFFF : entry.uncompressedSize, true);
+        view.setUint16(26, entry.nameBytes.length, true);
+        view.setUint16(28, extraLength, true);
+        new Uint8Array(buffer, 30).set(entry.nameBytes);
+
+        if (zip64) {
+            // Local ZIP64 extra must carry both sizes
+            const extra = 30 + entry.nameBytes.length;
+            view.setUint16(extra, 0x0001, true);
+            view.setUint16(extra + 2, 16, true);
+            this.setUint64(view, extra + 4, entry.uncompressedSize);
+            this.setUint64(view, extra + 12, entry.compressedSize);
+        }
+
+        return buffer;
+    }
+
+    createCentralHeader(entry) {
+        // Central ZIP64 extra lists only the fields that overflowed, in spec order
+        const zip64Fields = [];
+        if (entry.uncompressedSize >= 0xFFFFFFFF) zip64Fields.push(entry.uncompressedSize);
+        if (entry.compressedSize >= 0xFFFFFFFF) zip64Fields.push(entry.compressedSize);
+        if (entry.offset >= 0xFFFFFFFF) zip64Fields.push(entry.offset);
+
+        const zip64 = zip64Fields.length > 0;
+        const extraLength = zip64 ? 4 + zip64Fields.length * 8 : 0;
+        const buffer = new ArrayBuffer(46 + entry.nameBytes.length + extraLength);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x02014B50, true);
+        view.setUint16(4, zip64 ? 45 : 20, true); // made by
+        view.setUint16(6, zip64 ? 45 : 20, true); // needed to extract
+        view.setUint16(8, 0x0800, true);
+        view.setUint16(10, entry.method, true);
+        view.setUint16(12, entry.dosTime, true);
+        view.setUint16(14, entry.dosDate, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, Math.min(entry.compressedSize, 0xFFFFFFFF), true);
+        view.setUint32(24, Math.min(entry.uncompressedSize, 0xFFFFFFFF), true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint16(30, extraLength, true);
+        view.setUint16(32, 0, true); // comment length
+        view.setUint16(34, 0, true); // disk number
+        view.setUint16(36, 0, true); // internal attributes
+        view.setUint32(38, 0, true); // external attributes
+        view.setUint32(42, Math.min(entry.offset, 0xFFFFFFFF), true);
+        new Uint8Array(buffer, 46).set(entry.nameBytes);
+
+        if (zip64) {
+            const extra = 46 + entry.nameBytes.length;
+            view.setUint16(extra, 0x0001, true);
+            view.setUint16(extra + 2, zip64Fields.length * 8, true);
+            zip64Fields.forEach((value, index) => {
+                this.setUint64(view, extra + 4 + index * 8, value);
+            });
+        }
+
+        return buffer;
+    }
+
+    createZip64EndRecord(centralDirectoryOffset, centralDirectorySize) {
+        const buffer = new ArrayBuffer(56);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x06064B50, true);
+        this.setUint64(view, 4, 44); // size of remaining record
+        view.setUint16(12, 45, true);
+        view.setUint16(14, 45, true);
+        view.setUint32(16, 0, true);
+        view.setUint32(20, 0, true);
+        this.setUint64(view, 24, this.entries.length);
+        this.setUint64(view, 32, this.entries.length);
+        this.setUint64(view, 40, centralDirectorySize);
+        this.setUint64(view, 48, centralDirectoryOffset);
+
+        return buffer;
+    }
+
+    createZip64Locator(zip64EndOffset) {
+        const buffer = new ArrayBuffer(20);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x07064B50, true);
+        view.setUint32(4, 0, true);
+        this.setUint64(view, 8, zip64EndOffset);
+        view.setUint32(16, 1, true);
+
+        return buffer;
+    }
+
+    createEndRecord(centralDirectoryOffset, centralDirectorySize, zip64) {
+        const buffer = new ArrayBuffer(22);
+        const view = new DataView(buffer);
+        const count = zip64 ? 0xFFFF : this.entries.length;
+
+        view.setUint32(0, 0x06054B50, true);
+        view.setUint16(4, 0, true);
+        view.setUint16(6, 0, true);
+        view.setUint16(8, count, true);
+        view.setUint16(10, count, true);
+        view.setUint32(12, zip64 ? 0xFFFFFFFF : centralDirectorySize, true);
+        view.setUint32(16, zip64 ? 0xFFFFFFFF : centralDirectoryOffset, true);
+        view.setUint16(20, 0, true);
+
+        return buffer;
+    }
+
+    // === HELPERS ===
+
+    setUint64(view, offset, value) {
+        view.setUint32(offset, value % 0x100000000, true);
+        view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+    }
+
+    toBlob(data) {
+        if (data instanceof Blob) return data;
+        if (typeof data === 'string') return new Blob([data], { type: 'text/plain' });
+        return new Blob([data]);
+    }
+
+    uniqueName(name) {
+        const clean = name.replace(/\\/g, '/').replace(/^\/+/, '');
+        if (!this.names.has(clean)) {
+            this.names.add(clean);
+            return clean;
+        }
+
+        const dot = clean.lastIndexOf('.');
+        const stem = dot > 0 ? clean.slice(0, dot) : clean;
+        const extension = dot > 0 ? clean.slice(dot) : '';
+
+        let counter = 2;
+        while (this.names.has(`${stem}-${counter}${extension}`)) {
+            counter++;
+        }
+
+        const unique = `${stem}-${counter}${extension}`;
+        this.names.add(unique);
+        return unique;
+    }
+
+    toDosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    }
+
+    toDosDate(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+}
+
+// Integration with main app
+if (typeof window !== 'undefined') {
+    window.ZipWriter = ZipWriter;
+}
+
+console.log('🗜️ ZIP Writer loaded');
@@ -29,7 +29,7 @@
 ║                                                                          ║
 ║ Cache Sizes:                                                             ║
 ║ • Static cache: 100 entries max                                          ║
-║ • Model cache: 20 entries max                                            ║
+║ • Model cache: 100 entries max                                           ║
 ║ • Image cache: 200 entries max                                           ║
 ║ • Dynamic cache: 50 entries max                                          ║
 ║                                                                          ║
@@ -41,11 +41,11 @@
 /* Neural Style Memory Book - Service Worker */
 /* PWA functionality with intelligent caching and offline support */
 
-const CACHE_NAME = 'neural-style-memory-book-v1.2.0';
-const STATIC_CACHE = 'neural-static-v1.2.0';
-const DYNAMIC_CACHE = 'neural-dynamic-v1.2.0';
-const MODEL_CACHE = 'neural-models-v1.2.0';
-const IMAGE_CACHE = 'neural-images-v1.2.0';
+const CACHE_NAME = 'neural-style-memory-book-v1.2.19';
+const STATIC_CACHE = 'neural-static-v1.2.19';
+const DYNAMIC_CACHE = 'neural-dynamic-v1.2.19';
+const MODEL_CACHE = 'neural-models-v1.2.19';
+const IMAGE_CACHE = 'neural-images-v1.2.19';
 
 // Assets to cache immediately on install
 const STATIC_ASSETS = [
@@ -54,6 +54,27 @@ const STATIC_ASSETS = [
     '/css/variables.css',
     '/css/styles.css',
     '/css/queries.css',
+    // App modules; bump the cache names above whenever one is added so stale copies are dropped
+    '/js/album-store.js',
+    '/js/album-archive.js',
+    '/js/zip-writer.js',
+    '/js/pdf-writer.js',
+    '/js/photo-selection.js',
+    '/js/style-model-loader.js',
+    '/js/custom-styles.js',
+    '/js/style-filters.js',
+    '/js/style-worker.js',
+    '/js/style-job-queue.js',
+    '/js/style-cache.js',
+    '/js/photo-metadata.js',
+    '/js/book-layout.js',
+    '/js/edit-history.js',
+    '/js/region-masks.js',
+    '/js/face-clusters.js',
+    '/js/memory-hotspots.js',
+    '/js/page-curl.js',
+    '/js/page-gestures.js',
+    '/js/camera-controls.js',
     '/js/script.js',
     '/manifest.json',
     // External CDN resources (cached for offline use)
@@ -89,11 +110,11 @@ const ROUTE_CONFIG = {
         maxEntries: 100
     },
     models: {
-        pattern: /tensorflow|blazeface|mobilenet/,
+        pattern: /tensorflow|blazeface|mobilenet|\/models\//,
         strategy: CACHE_STRATEGIES.CACHE_FIRST,
         cacheName: MODEL_CACHE,
         maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-        maxEntries: 20
+        maxEntries: 100 // style networks are a model.json plus several weight shards each
     },
     images: {
         pattern: /\.(jpg|jpeg|png|webp|gif)$/,